@@ -1,13 +1,7 @@
 const axios = require('axios');
+const { admin, cleanHost } = require('../request');
+const { withDryRun } = require('../dryRun');
 
-/**
- * Removes trailing slash from URL
- * @param  {string} host Base URI of the pterodactyl panel
- * @returns {string} Host without trailing slash
- */
-const cleanHost = (host) => {
-	return host.replace(/\/$/, '');
-};
 /**
  * Check and sets the API key
  * @param  {string} host Base URI of the pterodactyl panel
@@ -48,9 +42,30 @@ const setApiKey = (host, key) => {
 	});
 };
 
-const servers = require('./methods/servers/index');
+/**
+ * Sets request options of the default client
+ * @param  {Object} options Any `RequestConfig` option except host and key, such as `retries` or `requestsPerMinute`
+ */
+const configure = (options) => {
+	const { host, key, ...rest } = options;
+	Object.assign(admin.config, rest);
+};
+
+const nests = withDryRun(require('./methods/nests/index')(admin));
+const servers = withDryRun(require('./methods/servers/index')(admin, nests));
+const users = withDryRun(require('./methods/users/index')(admin));
+const nodes = withDryRun(require('./methods/nodes/index')(admin));
+const databaseHosts = withDryRun(require('./methods/databaseHosts/index')(admin));
+const reconcile = require('./methods/reconcile/index')({ ...servers, ...users, ...nodes, ...nests });
 
 module.exports = {
 	setApiKey,
-	...servers
+	configure,
+	use: admin.use,
+	...servers,
+	...users,
+	...nodes,
+	...nests,
+	...databaseHosts,
+	reconcile
 };
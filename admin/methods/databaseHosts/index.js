@@ -0,0 +1,216 @@
+const { paginate, fetchAll } = require('../../../paginate');
+const { ValidationError } = require('../../../errors');
+
+/**
+ * @typedef {Object} DatabaseHost
+ * @property {number} id
+ * @property {string} name
+ * @property {string} host - Address of the database server
+ * @property {number} port
+ * @property {string} username
+ * @property {?number} node - ID of the node the host is linked to
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Checks the database host fields shared by `createDatabaseHost` and `updateDatabaseHost`
+ * @param  {Object} host Database host fields, keyed the way the panel expects them
+ * @param  {boolean} passwordRequired Whether a password must be given
+ * @returns {?ValidationError} The first failed check
+ */
+const validateDatabaseHost = (host, passwordRequired) => {
+	if (!host.name || typeof host.name !== 'string') {
+		return new ValidationError('Error: Database host name must be a string', { field: 'name' });
+	}
+	if (!host.host || typeof host.host !== 'string') {
+		return new ValidationError('Error: Database host address must be a string', { field: 'host' });
+	}
+	if (typeof host.port !== 'number') {
+		return new ValidationError('Error: Database host port must be a number', { field: 'port' });
+	}
+	if (!host.username || typeof host.username !== 'string') {
+		return new ValidationError('Error: Database host username must be a string', { field: 'username' });
+	}
+	if ((passwordRequired || host.password !== undefined) && typeof host.password !== 'string') {
+		return new ValidationError('Error: Database host password must be a string', { field: 'password' });
+	}
+	if (host.node_ids !== undefined && !Array.isArray(host.node_ids)) {
+		return new ValidationError('Error: Node IDs must be an array', { field: 'node_ids' });
+	}
+	return null;
+};
+
+/**
+ * Creates the database host methods bound to a set of request helpers.
+ * Database hosts are only exposed by panels that have the `/api/application/database-hosts` endpoints
+ * @param  {Object} admin Request helpers created by `createRequest`
+ * @returns {Object} Database host methods
+ */
+module.exports = (admin) => {
+	/**
+	 * Gets the first page of database hosts on the site
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{hosts: DatabaseHost[], pagination: Pagination}>}
+	 */
+	const getAllDatabaseHosts = (options) => {
+		return new Promise((resolve, reject) => {
+			admin
+				.getRequest('/api/application/database-hosts', options)
+				.then((response) => {
+					resolve({
+						hosts: response.data.data.map((data) => data.attributes),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all database hosts on the site, following every page
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of database hosts per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<DatabaseHost>}
+	 */
+	const iterateDatabaseHosts = (options) => paginate(admin, '/api/application/database-hosts', options);
+	/**
+	 * Gets all database hosts on the site from every page
+	 * @param {Object} [options] - Same options as `iterateDatabaseHosts`
+	 * @returns {Promise<DatabaseHost[]>}
+	 */
+	const fetchAllDatabaseHosts = (options) => fetchAll(admin, '/api/application/database-hosts', options);
+	/**
+	 *
+	 * @param {number} host_id - ID of the database host
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<DatabaseHost>}
+	 */
+	const getDatabaseHost = (host_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(host_id)) {
+				return reject(new ValidationError('Database host ID must be a number', { field: 'host_id' }));
+			}
+			admin
+				.getRequest('/api/application/database-hosts/' + host_id, options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* POST */
+	/**
+	 *
+	 * @param {string} name - Name of the database host
+	 * @param {string} host - Address of the database server
+	 * @param {number} port - Port of the database server
+	 * @param {string} username - Username the panel connects with, it must be able to create databases and users
+	 * @param {string} password - Password the panel connects with
+	 * @param {number[]} [nodeIds] - IDs of the nodes the host is linked to
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{host: DatabaseHost}>}
+	 */
+	const createDatabaseHost = (name, host, port, username, password, nodeIds, options) => {
+		return new Promise((resolve, reject) => {
+			const data = { name, host, port, username, password };
+			if (nodeIds !== undefined) {
+				data.node_ids = nodeIds;
+			}
+			const error = validateDatabaseHost(data, true);
+			if (error) {
+				return reject(error);
+			}
+			admin
+				.postRequest('/api/application/database-hosts', data, options)
+				.then((response) => {
+					resolve({ host: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* PATCH */
+	/**
+	 * @param {number} host_id - ID of the database host you want to update
+	 * @param {string} name - New name
+	 * @param {string} host - New address of the database server
+	 * @param {number} port - New port of the database server
+	 * @param {string} username - New username
+	 * @param {?string} [password] - New password, the current one is kept when left out
+	 * @param {?number[]} [nodeIds] - New IDs of the nodes the host is linked to
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{host: DatabaseHost}>}
+	 */
+	const updateDatabaseHost = (host_id, name, host, port, username, password, nodeIds, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(host_id)) {
+				return reject(new ValidationError('Database host ID must be a number', { field: 'host_id' }));
+			}
+			const obj = { name, host, port, username };
+			if (password) {
+				obj.password = password;
+			}
+			if (nodeIds) {
+				obj.node_ids = nodeIds;
+			}
+			const error = validateDatabaseHost(obj, false);
+			if (error) {
+				return reject(error);
+			}
+			admin
+				.patchRequest('/api/application/database-hosts/' + host_id, obj, options)
+				.then((response) => {
+					resolve({ host: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* DELETE */
+	/**
+	 *
+	 * @param {number} host_id - ID of the database host
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteDatabaseHost = (host_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(host_id)) {
+				return reject(new ValidationError('Database host ID must be a number', { field: 'host_id' }));
+			}
+			admin
+				.deleteRequest('/api/application/database-hosts/' + host_id, options)
+				.then(() => {
+					resolve('Successfully deleted the database host');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+
+	return {
+		//get
+		getAllDatabaseHosts,
+		iterateDatabaseHosts,
+		fetchAllDatabaseHosts,
+		getDatabaseHost,
+		//post
+		createDatabaseHost,
+		//patch
+		updateDatabaseHost,
+		//delete
+		deleteDatabaseHost
+	};
+};
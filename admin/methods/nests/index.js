@@ -0,0 +1,214 @@
+const { paginate, fetchAll } = require('../../../paginate');
+const { ValidationError, NotFoundError } = require('../../../errors');
+const { applyDefaults, validateEnvironment } = require('./variables');
+const { hydrate, includeParams, toQuery } = require('../../../includes');
+
+/**
+ * @typedef {Object} Nest
+ * @property {number} id
+ * @property {string} uuid
+ * @property {string} author
+ * @property {string} name
+ * @property {string} description
+ * @property {Egg[]} [eggs] Only present when `eggs` is included
+ * @property {Server[]} [servers] Only present when `servers` is included
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+/**
+ * @typedef {Object} Egg
+ * @property {number} id
+ * @property {string} uuid
+ * @property {string} name
+ * @property {number|Nest} nest Nest ID of the egg, or the nest when `nest` is included
+ * @property {string} author
+ * @property {string} description
+ * @property {string} docker_image Default docker image
+ * @property {Object<string, string>} [docker_images] Docker images keyed by name, on newer panels
+ * @property {string} startup Default startup command
+ * @property {EggVariable[]} [variables] Only present when `variables` is included, `getEgg` and `findEgg` always do
+ * @property {Server[]} [servers] Only present when `servers` is included
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+const nestIncludes = [ 'eggs', 'servers' ];
+const eggIncludes = [ 'nest', 'servers', 'config', 'script', 'variables' ];
+
+/**
+ * Creates the nest and egg methods bound to a set of request helpers
+ * @param  {Object} admin Request helpers created by `createRequest`
+ * @returns {Object} Nest and egg methods
+ */
+module.exports = (admin) => {
+	// Egg ID -> nest ID, eggs are only reachable through their nest
+	const eggNests = new Map();
+
+	/**
+	 * Gets the first page of nests on the site
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['eggs']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{nests: Nest[], pagination: Pagination}>}
+	 */
+	const getAllNests = ({ include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			admin
+				.getRequest('/api/application/nests' + toQuery(includeParams(include, nestIncludes)), options)
+				.then((response) => {
+					resolve({
+						nests: response.data.data.map(hydrate),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all nests on the site, following every page
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of nests per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['eggs']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<Nest>}
+	 */
+	const iterateNests = async function*({ include, params, ...options } = {}) {
+		yield* paginate(admin, '/api/application/nests', {
+			...options,
+			params: { ...params, ...includeParams(include, nestIncludes) }
+		});
+	};
+	/**
+	 * Gets all nests on the site from every page
+	 * @param {Object} [options] - Same options as `iterateNests`
+	 * @returns {Promise<Nest[]>}
+	 */
+	const fetchAllNests = async ({ include, params, ...options } = {}) =>
+		fetchAll(admin, '/api/application/nests', {
+			...options,
+			params: { ...params, ...includeParams(include, nestIncludes) }
+		});
+	/**
+	 *
+	 * @param {number} nest_id - ID of the nest
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['eggs']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<Nest>}
+	 */
+	const getNest = (nest_id, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(nest_id)) {
+				return reject(new ValidationError('Nest ID must be a number', { field: 'nest_id' }));
+			}
+			const query = toQuery(includeParams(include, nestIncludes));
+			admin
+				.getRequest('/api/application/nests/' + nest_id + query, options)
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {number} nest_id - ID of the nest
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['variables']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{eggs: Egg[]}>}
+	 */
+	const getAllEggs = (nest_id, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(nest_id)) {
+				return reject(new ValidationError('Nest ID must be a number', { field: 'nest_id' }));
+			}
+			const query = toQuery(includeParams(include, eggIncludes));
+			admin
+				.getRequest('/api/application/nests/' + nest_id + '/eggs' + query, options)
+				.then((response) => {
+					const eggs = response.data.data.map(hydrate);
+					eggs.forEach((egg) => eggNests.set(egg.id, Number(nest_id)));
+					resolve({ eggs });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets an egg along with its variables
+	 * @param {number} nest_id - ID of the nest
+	 * @param {number} egg_id - ID of the egg
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include besides variables (e.g `['servers']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<Egg>}
+	 */
+	const getEgg = (nest_id, egg_id, { include = [], ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(nest_id)) {
+				return reject(new ValidationError('Nest ID must be a number', { field: 'nest_id' }));
+			}
+			if (isNaN(egg_id)) {
+				return reject(new ValidationError('Egg ID must be a number', { field: 'egg_id' }));
+			}
+			const list = Array.isArray(include) ? include : String(include).split(',').filter(Boolean);
+			const params = includeParams([ ...new Set([ 'variables', ...list ]) ], eggIncludes);
+			const query = toQuery(params);
+			admin
+				.getRequest('/api/application/nests/' + nest_id + '/eggs/' + egg_id + query, options)
+				.then((response) => {
+					const egg = hydrate(response.data);
+					eggNests.set(egg.id, Number(nest_id));
+					resolve(egg);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets an egg along with its variables without knowing its nest, by looking through every nest
+	 * @param {number} egg_id - ID of the egg
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Egg>}
+	 */
+	const findEgg = async (egg_id, options = {}) => {
+		if (isNaN(egg_id)) {
+			throw new ValidationError('Egg ID must be a number', { field: 'egg_id' });
+		}
+		egg_id = Number(egg_id);
+		if (!eggNests.has(egg_id)) {
+			for await (const nest of iterateNests(options)) {
+				const { eggs } = await getAllEggs(nest.id, options);
+				if (eggs.some((egg) => egg.id === egg_id)) {
+					break;
+				}
+			}
+		}
+		if (!eggNests.has(egg_id)) {
+			throw new NotFoundError('Egg ' + egg_id + ' does not exist in any nest');
+		}
+		return getEgg(eggNests.get(egg_id), egg_id, options);
+	};
+
+	return {
+		//get
+		getAllNests,
+		iterateNests,
+		fetchAllNests,
+		getNest,
+		getAllEggs,
+		getEgg,
+		findEgg,
+		//helpers
+		applyDefaults,
+		validateEnvironment
+	};
+};
@@ -0,0 +1,148 @@
+const { ValidationError } = require('../../../errors');
+
+/**
+ * @typedef {Object} EggVariable
+ * @property {number} id
+ * @property {number} egg_id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} env_variable Name of the environment variable (e.g "SERVER_JARFILE")
+ * @property {string} default_value
+ * @property {boolean} user_viewable
+ * @property {boolean} user_editable
+ * @property {string} rules Laravel validation rules (e.g "required|numeric|max:20")
+ */
+
+/**
+ * Splits Laravel rules on "|", without splitting regex rules that contain "|" themselves
+ * @param  {string} rules
+ * @returns {{name: string, args: string[]}[]}
+ */
+const parseRules = (rules) =>
+	(rules || '').split(/\|(?=[a-z_]+(?::|\||$))/).filter(Boolean).map((rule) => {
+		const index = rule.indexOf(':');
+		if (index === -1) {
+			return { name: rule, args: [] };
+		}
+		const name = rule.slice(0, index);
+		const arg = rule.slice(index + 1);
+		return { name, args: name === 'regex' ? [ arg ] : arg.split(',') };
+	});
+
+/**
+ * Converts a Laravel regex rule such as "/^[\w.]+$/i" to a RegExp
+ * @param  {string} pattern
+ * @returns {?RegExp}
+ */
+const toRegExp = (pattern) => {
+	const match = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+	try {
+		return match ? new RegExp(match[1], match[2].replace(/[^gimsuy]/g, '')) : null;
+	} catch (e) {
+		return null;
+	}
+};
+
+/**
+ * Checks a single value against parsed rules, the way Laravel's validator would
+ * @param  {*} value
+ * @param  {{name: string, args: string[]}[]} rules
+ * @returns {?{rule: string, detail: string}} The first failed rule
+ */
+const checkRules = (value, rules) => {
+	const names = rules.map((rule) => rule.name);
+	const empty = value === undefined || value === null || value === '';
+	if (empty) {
+		return names.includes('required') ? { rule: 'required', detail: 'is required' } : null;
+	}
+	const numeric = names.includes('numeric') || names.includes('integer');
+	const size = numeric ? Number(value) : String(value).length;
+	const unit = numeric ? '' : ' characters';
+
+	for (const { name, args } of rules) {
+		let detail = null;
+		if (name === 'string' && typeof value !== 'string') {
+			detail = 'must be a string';
+		} else if (name === 'numeric' && isNaN(value)) {
+			detail = 'must be a number';
+		} else if (name === 'integer' && !/^-?\d+$/.test(String(value))) {
+			detail = 'must be an integer';
+		} else if (name === 'boolean' && ![ true, false, 0, 1, '0', '1', 'true', 'false' ].includes(value)) {
+			detail = 'must be true or false';
+		} else if (name === 'alpha_num' && !/^[a-zA-Z0-9]+$/.test(String(value))) {
+			detail = 'may only contain letters and numbers';
+		} else if (name === 'alpha_dash' && !/^[a-zA-Z0-9_-]+$/.test(String(value))) {
+			detail = 'may only contain letters, numbers, dashes and underscores';
+		} else if (name === 'min' && size < Number(args[0])) {
+			detail = 'must be at least ' + args[0] + unit;
+		} else if (name === 'max' && size > Number(args[0])) {
+			detail = 'may not be greater than ' + args[0] + unit;
+		} else if (name === 'between' && (size < Number(args[0]) || size > Number(args[1]))) {
+			detail = 'must be between ' + args[0] + ' and ' + args[1] + unit;
+		} else if (name === 'in' && !args.includes(String(value))) {
+			detail = 'must be one of ' + args.join(', ');
+		} else if (name === 'regex') {
+			const regex = toRegExp(args[0]);
+			if (regex && !regex.test(String(value))) {
+				detail = 'format is invalid';
+			}
+		}
+		if (detail) {
+			return { rule: name, detail };
+		}
+	}
+	return null;
+};
+
+/**
+ * Fills in the default value of every egg variable missing from the environment
+ * @param  {EggVariable[]} variables Variables of the egg
+ * @param  {Object} [environment={}] Environment variables keyed by `env_variable`
+ * @returns {Object} A new environment object
+ */
+const applyDefaults = (variables, environment = {}) =>
+	variables.reduce(
+		(env, variable) => {
+			if (env[variable.env_variable] === undefined && variable.default_value !== null) {
+				env[variable.env_variable] = variable.default_value;
+			}
+			return env;
+		},
+		{ ...environment }
+	);
+
+/**
+ * Checks an environment against the rules of an egg's variables
+ * @param  {EggVariable[]} variables Variables of the egg
+ * @param  {Object} environment Environment variables keyed by `env_variable`
+ * @returns {?ValidationError} Every failed variable, or null when the environment is valid
+ */
+const validateEnvironment = (variables, environment) => {
+	const errors = [];
+	const addError = (field, rule, detail) =>
+		errors.push({
+			code: 'ValidationException',
+			detail,
+			meta: { source_field: 'environment.' + field, rule }
+		});
+
+	const known = variables.map((variable) => variable.env_variable);
+	Object.keys(environment).filter((key) => !known.includes(key)).forEach((key) => {
+		addError(key, 'exists', 'The ' + key + ' variable does not exist on this egg');
+	});
+	variables.forEach((variable) => {
+		const failed = checkRules(environment[variable.env_variable], parseRules(variable.rules));
+		if (failed) {
+			addError(variable.env_variable, failed.rule, 'The ' + variable.name + ' variable ' + failed.detail);
+		}
+	});
+
+	if (!errors.length) {
+		return null;
+	}
+	return new ValidationError('Error: Environment variables are invalid: ' + errors.map((e) => e.detail).join(', '), {
+		errors
+	});
+};
+
+module.exports = { parseRules, applyDefaults, validateEnvironment };
@@ -0,0 +1,526 @@
+const { paginate, fetchAll } = require('../../../paginate');
+const { ValidationError, NotFoundError } = require('../../../errors');
+const { hydrate, includeParams, toQuery } = require('../../../includes');
+
+/**
+ * @typedef {Object} Node
+ * @property {number} id
+ * @property {string} uuid
+ * @property {boolean} public
+ * @property {string} name
+ * @property {string} description
+ * @property {number} location_id
+ * @property {string} fqdn
+ * @property {string} scheme
+ * @property {boolean} behind_proxy
+ * @property {boolean} maintenance_mode
+ * @property {number} memory
+ * @property {number} memory_overallocate
+ * @property {number} disk
+ * @property {number} disk_overallocate
+ * @property {number} upload_size
+ * @property {number} daemon_listen
+ * @property {number} daemon_sftp
+ * @property {string} daemon_base
+ * @property {Allocation[]} [allocations] Only present when `allocations` is included
+ * @property {Object} [location] Only present when `location` is included
+ * @property {Server[]} [servers] Only present when `servers` is included
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+/**
+ * @typedef {Object} Allocation
+ * @property {number} id
+ * @property {string} ip
+ * @property {?string} alias
+ * @property {number} port
+ * @property {?string} notes
+ * @property {boolean} assigned Whether a server is using the allocation
+ * @property {Node} [node] Only present when `node` is included
+ * @property {?Server} [server] Only present when `server` is included
+ */
+/**
+ * @typedef {Object} FreeAllocations
+ * @property {number} default ID of the first free allocation, for `createServer`'s `allocationID`
+ * @property {number[]} additional IDs of the other free allocations, for `createServer`'s `additionalAllocations`
+ * @property {Allocation[]} allocations
+ */
+
+/**
+ * Checks the node fields shared by `createNode` and `updateNode`
+ * @param  {Object} node Node fields, keyed the way the panel expects them
+ * @returns {?ValidationError} The first failed check
+ */
+const validateNode = (node) => {
+	if (!node.name || typeof node.name !== 'string') {
+		return new ValidationError('Error: Node name must be a string', { field: 'name' });
+	}
+	if (typeof node.location_id !== 'number') {
+		return new ValidationError('Error: Location ID must be a number', { field: 'location_id' });
+	}
+	if (!node.fqdn || typeof node.fqdn !== 'string') {
+		return new ValidationError('Error: FQDN must be a string', { field: 'fqdn' });
+	}
+	if (typeof node.memory !== 'number') {
+		return new ValidationError('Error: Memory must be a number', { field: 'memory' });
+	}
+	if (typeof node.disk !== 'number') {
+		return new ValidationError('Error: Disk space must be a number', { field: 'disk' });
+	}
+	if (node.scheme !== undefined && ![ 'http', 'https' ].includes(node.scheme)) {
+		return new ValidationError('Error: Scheme must be either http or https', { field: 'scheme' });
+	}
+	const numbers = [ 'memory_overallocate', 'disk_overallocate', 'upload_size', 'daemon_listen', 'daemon_sftp' ];
+	const number = numbers.find((key) => node[key] !== undefined && typeof node[key] !== 'number');
+	if (number) {
+		return new ValidationError('Error: ' + number + ' must be a number', { field: number });
+	}
+	const booleans = [ 'public', 'behind_proxy', 'maintenance_mode' ];
+	const boolean = booleans.find((key) => node[key] !== undefined && typeof node[key] !== 'boolean');
+	if (boolean) {
+		return new ValidationError('Error: ' + boolean + ' must be a boolean', { field: boolean });
+	}
+	return null;
+};
+
+const nodeIncludes = [ 'allocations', 'location', 'servers' ];
+const allocationIncludes = [ 'node', 'server' ];
+
+const filterObject = (obj, predicate) =>
+	Object.keys(obj).filter((key) => predicate(obj[key])).reduce((res, key) => ((res[key] = obj[key]), res), {});
+
+/**
+ * Creates the node methods bound to a set of request helpers
+ * @param  {Object} admin Request helpers created by `createRequest`
+ * @returns {Object} Node methods
+ */
+module.exports = (admin) => {
+	/**
+	 * Gets the first page of nodes on the site
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['location']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{nodes: Node[], pagination: Pagination}>}
+	 */
+	const getAllNodes = ({ include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			admin
+				.getRequest('/api/application/nodes' + toQuery(includeParams(include, nodeIncludes)), options)
+				.then((response) => {
+					resolve({
+						nodes: response.data.data.map(hydrate),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all nodes on the site, following every page
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of nodes per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['location']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<Node>}
+	 */
+	const iterateNodes = async function*({ include, params, ...options } = {}) {
+		yield* paginate(admin, '/api/application/nodes', {
+			...options,
+			params: { ...params, ...includeParams(include, nodeIncludes) }
+		});
+	};
+	/**
+	 * Gets all nodes on the site from every page
+	 * @param {Object} [options] - Same options as `iterateNodes`
+	 * @returns {Promise<Node[]>}
+	 */
+	const fetchAllNodes = async ({ include, params, ...options } = {}) =>
+		fetchAll(admin, '/api/application/nodes', {
+			...options,
+			params: { ...params, ...includeParams(include, nodeIncludes) }
+		});
+	/**
+	 *
+	 * @param {number} node_id - ID of the node
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['location']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<Node>}
+	 */
+	const getNode = (node_id, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(node_id)) {
+				return reject(new ValidationError('Node ID must be a number', { field: 'node_id' }));
+			}
+			const query = toQuery(includeParams(include, nodeIncludes));
+			admin
+				.getRequest('/api/application/nodes/' + node_id + query, options)
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets the first page of allocations on a node
+	 * @param {number} node_id - ID of the node
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['server']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{allocations: Allocation[], pagination: Pagination}>}
+	 */
+	const getAllAllocations = (node_id, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(node_id)) {
+				return reject(new ValidationError('Node ID must be a number', { field: 'node_id' }));
+			}
+			const query = toQuery(includeParams(include, allocationIncludes));
+			admin
+				.getRequest('/api/application/nodes/' + node_id + '/allocations' + query, options)
+				.then((response) => {
+					resolve({
+						allocations: response.data.data.map(hydrate),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all allocations on a node, following every page
+	 * @param {number} node_id - ID of the node
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of allocations per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['server']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<Allocation>}
+	 */
+	const iterateAllocations = async function*(node_id, { include, params, ...options } = {}) {
+		if (isNaN(node_id)) {
+			throw new ValidationError('Node ID must be a number', { field: 'node_id' });
+		}
+		yield* paginate(admin, '/api/application/nodes/' + node_id + '/allocations', {
+			...options,
+			params: { ...params, ...includeParams(include, allocationIncludes) }
+		});
+	};
+	/**
+	 * Gets all allocations on a node from every page
+	 * @param {number} node_id - ID of the node
+	 * @param {Object} [options] - Same options as `iterateAllocations`
+	 * @returns {Promise<Allocation[]>}
+	 */
+	const fetchAllAllocations = async (node_id, { include, params, ...options } = {}) => {
+		if (isNaN(node_id)) {
+			throw new ValidationError('Node ID must be a number', { field: 'node_id' });
+		}
+		return fetchAll(admin, '/api/application/nodes/' + node_id + '/allocations', {
+			...options,
+			params: { ...params, ...includeParams(include, allocationIncludes) }
+		});
+	};
+	/**
+	 * Finds the first unassigned allocations on a node, or on any node of a location
+	 * @param {Object} options
+	 * @param {number} [options.node] - ID of the node to search
+	 * @param {number} [options.location] - ID of the location to search, used when no node is given
+	 * @param {number} [options.count=1] - Amount of allocations needed
+	 * @param {string} [options.ip] - Only return allocations on this IP
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<FreeAllocations>}
+	 */
+	const findFreeAllocations = async ({ node, location, count = 1, ip, ...options } = {}) => {
+		if (node === undefined && location === undefined) {
+			throw new ValidationError('Error: A node or location ID must be supplied', { field: 'node' });
+		}
+		if (typeof count !== 'number' || count < 1) {
+			throw new ValidationError('Error: Count must be a positive number', { field: 'count' });
+		}
+		const nodes =
+			node !== undefined
+				? [ node ]
+				: (await fetchAllNodes(options)).filter((n) => n.location_id === location).map((n) => n.id);
+		const allocations = [];
+		for (const id of nodes) {
+			for await (const allocation of iterateAllocations(id, options)) {
+				if (!allocation.assigned && (!ip || allocation.ip === ip)) {
+					allocations.push(allocation);
+				}
+				if (allocations.length === count) {
+					return {
+						default: allocations[0].id,
+						additional: allocations.slice(1).map((a) => a.id),
+						allocations
+					};
+				}
+			}
+		}
+		throw new NotFoundError('Only found ' + allocations.length + ' of ' + count + ' free allocations');
+	};
+
+	/* POST */
+	/**
+	 *
+	 * @param {string} name - Name of the node
+	 * @param {number} locationId - ID of the location the node belongs to
+	 * @param {string} fqdn - Domain name or IP address of the node
+	 * @param {number} memory - Total memory of the node
+	 * @param {number} disk - Total disk space of the node
+	 * @param {string} [scheme='https'] - Whether the daemon uses "http" or "https"
+	 * @param {number} [memoryOverallocate=0] - Memory over-allocation percentage
+	 * @param {number} [diskOverallocate=0] - Disk over-allocation percentage
+	 * @param {number} [uploadSize=100] - Maximum upload size in MB
+	 * @param {number} [daemonListen=8080] - Daemon port
+	 * @param {number} [daemonSftp=2022] - Daemon SFTP port
+	 * @param {string} [description] - Description of the node
+	 * @param {boolean} [isPublic=true] - Whether servers can be deployed to the node automatically
+	 * @param {boolean} [behindProxy=false] - Whether the node is behind a proxy such as Cloudflare
+	 * @param {boolean} [maintenanceMode=false] - Whether the node is in maintenance mode
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{node: Node}>}
+	 */
+	const createNode = (
+		name,
+		locationId,
+		fqdn,
+		memory,
+		disk,
+		scheme = 'https',
+		memoryOverallocate = 0,
+		diskOverallocate = 0,
+		uploadSize = 100,
+		daemonListen = 8080,
+		daemonSftp = 2022,
+		description,
+		isPublic = true,
+		behindProxy = false,
+		maintenanceMode = false,
+		options
+	) => {
+		return new Promise((resolve, reject) => {
+			const fields = {
+				name,
+				location_id: locationId,
+				fqdn,
+				scheme,
+				memory,
+				memory_overallocate: memoryOverallocate,
+				disk,
+				disk_overallocate: diskOverallocate,
+				upload_size: uploadSize,
+				daemon_listen: daemonListen,
+				daemon_sftp: daemonSftp,
+				description,
+				public: isPublic,
+				behind_proxy: behindProxy,
+				maintenance_mode: maintenanceMode
+			};
+			const data = filterObject(fields, (val) => val !== undefined);
+			const error = validateNode(data);
+			if (error) {
+				return reject(error);
+			}
+
+			admin
+				.postRequest('/api/application/nodes', data, options)
+				.then((response) => {
+					resolve({ node: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {number} node_id - ID of the node
+	 * @param {string} ip - IP address of the allocations
+	 * @param {Array<string|number>} ports - Ports or port ranges (e.g `[25565, '25570-25580']`)
+	 * @param {?string} [alias] - IP alias shown instead of the IP address
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const createAllocations = (node_id, ip, ports, alias, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(node_id)) {
+				return reject(new ValidationError('Node ID must be a number', { field: 'node_id' }));
+			}
+			if (!ip || typeof ip !== 'string') {
+				return reject(new ValidationError('IP address must be a string', { field: 'ip' }));
+			}
+			if (!Array.isArray(ports) || !ports.length || ports.some((port) => !/^\d+(-\d+)?$/.test(String(port)))) {
+				return reject(
+					new ValidationError('Ports must be an array of ports or port ranges (e.g "25565-25570")', {
+						field: 'ports'
+					})
+				);
+			}
+			const data = { ip, ports: ports.map(String) };
+			if (alias) {
+				data.alias = alias;
+			}
+			admin
+				.postRequest('/api/application/nodes/' + node_id + '/allocations', data, options)
+				.then(() => {
+					resolve('Successfully created the allocations');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* PATCH */
+	/**
+	 * @param {number} node_id - ID of the node you want to update
+	 * @param {string} name - New name
+	 * @param {number} locationId - New location ID
+	 * @param {string} fqdn - New domain name or IP address
+	 * @param {number} memory - New total memory
+	 * @param {number} disk - New total disk space
+	 * @param {?string} [scheme] - Whether the daemon uses "http" or "https"
+	 * @param {?number} [memoryOverallocate] - Memory over-allocation percentage
+	 * @param {?number} [diskOverallocate] - Disk over-allocation percentage
+	 * @param {?number} [uploadSize] - Maximum upload size in MB
+	 * @param {?number} [daemonListen] - Daemon port
+	 * @param {?number} [daemonSftp] - Daemon SFTP port
+	 * @param {?string} [description] - New description
+	 * @param {?boolean} [isPublic] - Whether servers can be deployed to the node automatically
+	 * @param {?boolean} [behindProxy] - Whether the node is behind a proxy such as Cloudflare
+	 * @param {?boolean} [maintenanceMode] - Whether the node is in maintenance mode
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{node: Node}>}
+	 */
+	const updateNode = (
+		node_id,
+		name,
+		locationId,
+		fqdn,
+		memory,
+		disk,
+		scheme,
+		memoryOverallocate,
+		diskOverallocate,
+		uploadSize,
+		daemonListen,
+		daemonSftp,
+		description,
+		isPublic,
+		behindProxy,
+		maintenanceMode,
+		options
+	) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(node_id)) {
+				return reject(new ValidationError('Node ID must be a number', { field: 'node_id' }));
+			}
+			const fields = {
+				name,
+				location_id: locationId,
+				fqdn,
+				scheme,
+				memory,
+				memory_overallocate: memoryOverallocate,
+				disk,
+				disk_overallocate: diskOverallocate,
+				upload_size: uploadSize,
+				daemon_listen: daemonListen,
+				daemon_sftp: daemonSftp,
+				description,
+				public: isPublic,
+				behind_proxy: behindProxy,
+				maintenance_mode: maintenanceMode
+			};
+			const obj = filterObject(fields, (val) => val !== undefined);
+			const error = validateNode(obj);
+			if (error) {
+				return reject(error);
+			}
+
+			admin
+				.patchRequest('/api/application/nodes/' + node_id, obj, options)
+				.then((response) => {
+					resolve({ node: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* DELETE */
+	/**
+	 *
+	 * @param {number} node_id - ID of the node
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteNode = (node_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(node_id)) {
+				return reject(new ValidationError('Node ID must be a number', { field: 'node_id' }));
+			}
+			admin
+				.deleteRequest('/api/application/nodes/' + node_id, options)
+				.then(() => {
+					resolve('Successfully deleted the node');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {number} node_id - ID of the node
+	 * @param {number} allocation_id - ID of the allocation
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteAllocation = (node_id, allocation_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(node_id)) {
+				return reject(new ValidationError('Node ID must be a number', { field: 'node_id' }));
+			}
+			if (isNaN(allocation_id)) {
+				return reject(new ValidationError('Allocation ID must be a number', { field: 'allocation_id' }));
+			}
+			admin
+				.deleteRequest('/api/application/nodes/' + node_id + '/allocations/' + allocation_id, options)
+				.then(() => {
+					resolve('Successfully deleted the allocation');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+
+	return {
+		//get
+		getAllNodes,
+		iterateNodes,
+		fetchAllNodes,
+		getNode,
+		getAllAllocations,
+		iterateAllocations,
+		fetchAllAllocations,
+		findFreeAllocations,
+		//post
+		createNode,
+		createAllocations,
+		//patch
+		updateNode,
+		//delete
+		deleteNode,
+		deleteAllocation
+	};
+};
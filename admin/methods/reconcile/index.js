@@ -0,0 +1,488 @@
+const { ValidationError, NotFoundError } = require('../../../errors');
+
+/**
+ * @typedef {Object} DesiredDatabase
+ * @property {string} name Database name, without the `s<server id>_` prefix the panel adds
+ * @property {number} host Database host ID
+ * @property {string} [remote='%'] Remote connection rule
+ */
+/**
+ * A server as it should be, servers are told apart by their external ID
+ * @typedef {Object} DesiredServer
+ * @property {string} external_id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} owner External ID of the user owning the server
+ * @property {number} egg
+ * @property {string} [docker_image] Defaults to the egg's image when creating
+ * @property {string} [startup] Defaults to the egg's startup command when creating
+ * @property {Object} [environment] Only used when creating, updates keep the variables the egg being set shares
+ * with the current one
+ * @property {{memory: number, disk: number, cpu: ?number, swap: ?number, io: ?number}} limits
+ * @property {{databases: ?number, allocations: ?number}} [feature_limits]
+ * @property {number} [allocation] Allocation of a new server, it or `node` is needed to create one
+ * @property {number} [node] Node a new server gets a free allocation on, when `allocation` is left out
+ * @property {DesiredDatabase[]} [databases] Databases of the server, left alone when left out
+ */
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field (e.g "limits.memory")
+ * @property {*} [from] Current value, left out when creating
+ * @property {*} to Desired value
+ */
+/**
+ * @typedef {Object} PlannedChange
+ * @property {string} action create, update or delete
+ * @property {string} type server or database
+ * @property {string} key External ID of the server, followed by `/<name>` for databases
+ * @property {string} server External ID of the server
+ * @property {number} [id] Internal ID of the server or database, when it exists
+ * @property {FieldChange[]} fields What changes, empty for deletes
+ * @property {DesiredServer|DesiredDatabase} [spec] Desired state, for creates
+ */
+/**
+ * @typedef {Object} Plan
+ * @property {PlannedChange[]} changes In the order they are applied
+ * @property {{create: number, update: number, delete: number}} summary
+ */
+/**
+ * @typedef {Object} ApplyResult
+ * @property {PlannedChange} change
+ * @property {boolean} ok
+ * @property {*} [value] What the method making the change resolved with
+ * @property {Error} [error] Why it failed, or why it was skipped
+ */
+
+const limitKeys = [ 'memory', 'disk', 'cpu', 'swap', 'io' ];
+const featureLimitKeys = [ 'databases', 'allocations' ];
+const sections = {
+	name: 'details',
+	description: 'details',
+	user: 'details',
+	egg: 'startup',
+	docker_image: 'startup',
+	startup: 'startup'
+};
+// Databases are deleted before server updates lower the database limit, and created after they raise it
+const phases = [ 'create server', 'delete database', 'update server', 'create database', 'delete server' ];
+
+/**
+ * Checks a desired-state document and throws a ValidationError naming the first invalid field
+ * @param  {{servers: DesiredServer[]}} document
+ */
+const validateDocument = (document) => {
+	const fail = (message, field) => {
+		throw new ValidationError('Error: ' + message, { field });
+	};
+	if (!document || !Array.isArray(document.servers)) {
+		fail('The document must have a servers array', 'servers');
+	}
+	const seen = new Set();
+	document.servers.forEach((server, i) => {
+		const at = 'servers[' + i + ']';
+		if (!server || typeof server.external_id !== 'string' || !server.external_id) {
+			fail('Every server needs an external ID', at + '.external_id');
+		}
+		if (seen.has(server.external_id)) {
+			fail('External ID ' + server.external_id + ' is used by more than one server', at + '.external_id');
+		}
+		seen.add(server.external_id);
+		if (typeof server.name !== 'string' || !server.name) {
+			fail('Server name must be a string', at + '.name');
+		}
+		if (typeof server.owner !== 'string' || !server.owner) {
+			fail('Owner must be the external ID of a user', at + '.owner');
+		}
+		if (typeof server.egg !== 'number') {
+			fail('Egg ID must be a number', at + '.egg');
+		}
+		const limits = server.limits || {};
+		if (typeof limits.memory !== 'number' || typeof limits.disk !== 'number') {
+			fail('Limits must have a memory and disk number', at + '.limits');
+		}
+		Object.keys(limits).forEach((key) => {
+			if (!limitKeys.includes(key) || typeof limits[key] !== 'number') {
+				fail('Limits can only be numbers for ' + limitKeys.join(', '), at + '.limits.' + key);
+			}
+		});
+		[ 'allocation', 'node' ].forEach((key) => {
+			if (server[key] !== undefined && typeof server[key] !== 'number') {
+				fail(key[0].toUpperCase() + key.slice(1) + ' ID must be a number', at + '.' + key);
+			}
+		});
+		Object.keys(server.feature_limits || {}).forEach((key) => {
+			if (!featureLimitKeys.includes(key) || typeof server.feature_limits[key] !== 'number') {
+				fail('Feature limits can only be numbers for ' + featureLimitKeys.join(', '), at + '.feature_limits.' + key);
+			}
+		});
+		if (server.databases !== undefined && !Array.isArray(server.databases)) {
+			fail('Databases must be an array', at + '.databases');
+		}
+		(server.databases || []).forEach((database, j) => {
+			if (!database || typeof database.name !== 'string' || typeof database.host !== 'number') {
+				fail('Every database needs a name and a host ID', at + '.databases[' + j + ']');
+			}
+		});
+	});
+};
+
+/**
+ * Flattens the fields of a desired server that are compared against the panel
+ * @param  {DesiredServer} spec
+ * @param  {number} user Internal ID of the owner
+ * @returns {Object<string, *>}
+ */
+const desiredFields = (spec, user) => {
+	const fields = { name: spec.name, user, egg: spec.egg };
+	[ 'description', 'docker_image', 'startup' ].forEach((key) => {
+		if (spec[key] !== undefined) {
+			fields[key] = spec[key];
+		}
+	});
+	Object.keys(spec.limits).forEach((key) => (fields['limits.' + key] = spec.limits[key]));
+	Object.keys(spec.feature_limits || {}).forEach((key) => (fields['feature_limits.' + key] = spec.feature_limits[key]));
+	return fields;
+};
+
+/**
+ * Flattens a server the same way as `desiredFields`
+ * @param  {Server} server
+ * @returns {Object<string, *>}
+ */
+const currentFields = (server) => {
+	const fields = {
+		name: server.name,
+		description: server.description,
+		user: server.user,
+		egg: server.egg,
+		docker_image: server.container.image,
+		startup: server.container.startup_command
+	};
+	limitKeys.forEach((key) => (fields['limits.' + key] = server.limits[key]));
+	featureLimitKeys.forEach((key) => (fields['feature_limits.' + key] = server.feature_limits[key]));
+	return fields;
+};
+
+/**
+ * Lists the fields whose values differ
+ * @param  {?Object<string, *>} current Null when creating
+ * @param  {Object<string, *>} desired
+ * @returns {FieldChange[]}
+ */
+const diffFields = (current, desired) =>
+	Object.keys(desired)
+		.filter((field) => !current || current[field] !== desired[field])
+		.map((field) => (current ? { field, from: current[field], to: desired[field] } : { field, to: desired[field] }));
+
+/**
+ * Whether a panel database is the desired one, the panel prefixes names with `s<server id>_`
+ * @param  {Database} database
+ * @param  {DesiredDatabase} spec
+ * @returns {boolean}
+ */
+const isDatabase = (database, spec) =>
+	database.database === spec.name || database.database === 's' + database.server + '_' + spec.name;
+
+/**
+ * Turns a plan into text, one line per change followed by its fields
+ * @param  {Plan} plan
+ * @returns {string}
+ * @example
+ * Plan: 1 to create, 1 to update, 0 to delete
+ *
+ * + create server game-1
+ *     name: "Survival"
+ * ~ update server game-2 (#7)
+ *     limits.memory: 1024 -> 2048
+ */
+const formatPlan = (plan) => {
+	const { create, update } = plan.summary;
+	const lines = [
+		'Plan: ' + create + ' to create, ' + update + ' to update, ' + plan.summary.delete + ' to delete'
+	];
+	if (!plan.changes.length) {
+		return lines.concat('', 'Nothing to change').join('\n');
+	}
+	const symbols = { create: '+', update: '~', delete: '-' };
+	const value = (val) => (val === undefined ? 'unset' : JSON.stringify(val));
+	lines.push('');
+	plan.changes.forEach((change) => {
+		const id = change.id === undefined ? '' : ' (#' + change.id + ')';
+		lines.push(symbols[change.action] + ' ' + change.action + ' ' + change.type + ' ' + change.key + id);
+		change.fields.forEach(({ field, from, to }) => {
+			lines.push('    ' + field + ': ' + (change.action === 'create' ? value(to) : value(from) + ' -> ' + value(to)));
+		});
+	});
+	return lines.join('\n');
+};
+
+/**
+ * Creates the reconciler, which plans and applies the changes bringing the panel to a desired state
+ * @param  {Object} methods Server, user, node and egg methods bound to the same client
+ * @returns {{plan: Function, apply: Function, format: Function}}
+ */
+module.exports = (methods) => {
+	/**
+	 * Resolves the owners of the desired servers
+	 * @param  {DesiredServer[]} servers
+	 * @param  {RequestOptions} options
+	 * @returns {Promise<Map<string, number>>} Internal user IDs by external ID
+	 */
+	const resolveOwners = (servers, options) => {
+		const owners = [ ...new Set(servers.map((server) => server.owner)) ];
+		return Promise.all(
+			owners.map((owner) =>
+				methods.getUserByExternalId(owner, options).then(
+					(user) => [ owner, user.id ],
+					(error) => {
+						if (error instanceof NotFoundError) {
+							throw new NotFoundError('No user has the external ID ' + owner, error);
+						}
+						throw error;
+					}
+				)
+			)
+		).then((entries) => new Map(entries));
+	};
+
+	/**
+	 * Compares a desired-state document against the panel
+	 * @param {{servers: DesiredServer[]}} document
+	 * @param {Object} [options]
+	 * @param {boolean} [options.prune=false] - Plan deleting servers with an external ID the document doesn't
+	 * have, and databases the document doesn't list. Servers without an external ID are never touched
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<Plan>}
+	 */
+	const plan = async (document, { prune = false, ...options } = {}) => {
+		validateDocument(document);
+		const [ owners, servers ] = await Promise.all([
+			resolveOwners(document.servers, options),
+			methods.fetchAllServers(options)
+		]);
+		const byExternalId = new Map(servers.filter((s) => s.external_id).map((s) => [ s.external_id, s ]));
+		const changes = [];
+
+		for (const [ i, spec ] of document.servers.entries()) {
+			const current = byExternalId.get(spec.external_id);
+			const desired = desiredFields(spec, owners.get(spec.owner));
+			const server = spec.external_id;
+			if (!current) {
+				// Only new servers need somewhere to go, existing ones keep their allocation
+				if (spec.allocation === undefined && spec.node === undefined) {
+					throw new ValidationError(
+						'Error: Server ' + server + ' needs an allocation or a node to be created',
+						{ field: 'servers[' + i + '].allocation' }
+					);
+				}
+				changes.push({ action: 'create', type: 'server', key: server, server, fields: diffFields(null, desired), spec });
+			} else {
+				const fields = diffFields(currentFields(current), desired);
+				if (fields.length) {
+					changes.push({ action: 'update', type: 'server', key: server, server, id: current.id, fields });
+				}
+			}
+			if (!spec.databases) {
+				continue;
+			}
+			const { databases } = current ? await methods.getAllDatabases(current.id, options) : { databases: [] };
+			spec.databases
+				.filter((wanted) => !databases.some((database) => isDatabase(database, wanted)))
+				.forEach((wanted) => {
+					const database = { remote: '%', ...wanted };
+					changes.push({
+						action: 'create',
+						type: 'database',
+						key: server + '/' + database.name,
+						server,
+						fields: diffFields(null, database),
+						spec: database
+					});
+				});
+			if (prune) {
+				databases
+					.filter((database) => !spec.databases.some((wanted) => isDatabase(database, wanted)))
+					.forEach((database) => {
+						changes.push({
+							action: 'delete',
+							type: 'database',
+							key: server + '/' + database.database,
+							server,
+							id: database.id,
+							fields: []
+						});
+					});
+			}
+		}
+		if (prune) {
+			const wanted = new Set(document.servers.map((spec) => spec.external_id));
+			servers
+				.filter((server) => server.external_id && !wanted.has(server.external_id))
+				.forEach((server) => {
+					changes.push({
+						action: 'delete',
+						type: 'server',
+						key: server.external_id,
+						server: server.external_id,
+						id: server.id,
+						fields: []
+					});
+				});
+		}
+
+		const phase = (change) => phases.indexOf(change.action + ' ' + change.type);
+		changes.sort((a, b) => phase(a) - phase(b));
+		const count = (action) => changes.filter((change) => change.action === action).length;
+		return { changes, summary: { create: count('create'), update: count('update'), delete: count('delete') } };
+	};
+
+	/**
+	 * Makes a single planned change
+	 * @param  {PlannedChange} change
+	 * @param  {RequestOptions} options
+	 * @returns {Promise<*>}
+	 */
+	const applyChange = async (change, options) => {
+		const server = { externalId: change.server };
+		if (change.type === 'database') {
+			if (change.action === 'create') {
+				const { name, host, remote } = change.spec;
+				return methods.createDatabase(server, name, host, remote, options);
+			}
+			return methods.deleteDatabase(server, change.id, options);
+		}
+		if (change.action === 'delete') {
+			return methods.deleteServer(change.id, options);
+		}
+		const desired = change.fields.reduce((obj, { field, to }) => ({ ...obj, [field]: to }), {});
+		if (change.action === 'create') {
+			const { spec } = change;
+			const allocation =
+				spec.allocation === undefined
+					? await methods.findFreeAllocations({ node: spec.node, ...options })
+					: { default: spec.allocation, additional: [] };
+			const limits = spec.feature_limits || {};
+			const { server: created } = await methods.createServer(
+				{
+					...spec.limits,
+					name: spec.name,
+					description: spec.description || '',
+					externalId: spec.external_id,
+					userID: desired.user,
+					eggID: spec.egg,
+					startup: spec.startup,
+					dockerImage: spec.docker_image,
+					environment: spec.environment,
+					allocationID: allocation.default,
+					additionalAllocations: allocation.additional,
+					startOnComplete: false,
+					databases: limits.databases,
+					allocations: limits.allocations
+				},
+				options
+			);
+			return created;
+		}
+
+		// Unchanged values are taken from the server as it is now, the panel wants every field
+		const current = await methods.getServerInformation(change.id, { ...options, cache: false });
+		const changed = (section) => change.fields.some(({ field }) => (sections[field] || 'build') === section);
+		let updated = current;
+		const pick = (field, fallback) => (desired[field] === undefined ? fallback : desired[field]);
+		if (changed('details')) {
+			({ server: updated } = await methods.updateServerDetails(
+				change.id,
+				pick('name', current.name),
+				pick('user', current.user),
+				current.external_id,
+				pick('description', current.description),
+				options
+			));
+		}
+		if (changed('build')) {
+			const limits = limitKeys.reduce(
+				(obj, key) => ({ ...obj, [key]: pick('limits.' + key, current.limits[key]) }),
+				{}
+			);
+			({ server: updated } = await methods.updateServerBuildConfiguration(
+				{
+					...limits,
+					server: change.id,
+					allocation_id: current.allocation,
+					database_limit: pick('feature_limits.databases', current.feature_limits.databases),
+					allocation_limit: pick('feature_limits.allocations', current.feature_limits.allocations),
+					oom_disabled: current.limits.oom_disabled
+				},
+				options
+			));
+		}
+		if (changed('startup')) {
+			// The current environment also holds variables the panel injects (STARTUP, P_SERVER_UUID, ...) and,
+			// when the egg changes, those of the old egg. Only the variables of the egg being set are sent, the
+			// others get their defaults
+			const egg = await methods.findEgg(pick('egg', current.egg), options);
+			const environment = egg.variables.reduce((env, { env_variable }) => {
+				if (current.container.environment[env_variable] !== undefined) {
+					env[env_variable] = current.container.environment[env_variable];
+				}
+				return env;
+			}, {});
+			({ server: updated } = await methods.updateServerStartup(
+				{
+					server: change.id,
+					egg: egg.id,
+					image: pick('docker_image', current.container.image),
+					startup: pick('startup', current.container.startup_command),
+					environment
+				},
+				options
+			));
+		}
+		return updated;
+	};
+
+	/**
+	 * Makes the changes of a plan in dependency order, one at a time. A failed change doesn't stop the
+	 * others, but the databases of a server that failed to be created are skipped
+	 * @param {Plan} plan - Made by `plan`
+	 * @param {Object} [options]
+	 * @param {function({done: number, total: number, result: ApplyResult})} [options.onProgress] - Called after
+	 * every change
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{results: ApplyResult[], succeeded: ApplyResult[], failed: ApplyResult[]}>}
+	 */
+	const apply = async (plan, { onProgress, ...options } = {}) => {
+		if (!plan || !Array.isArray(plan.changes)) {
+			throw new ValidationError('Error: Plan must be made by plan()', { field: 'plan' });
+		}
+		const phase = (change) => phases.indexOf(change.action + ' ' + change.type);
+		const changes = plan.changes.slice().sort((a, b) => phase(a) - phase(b));
+		const failedServers = new Set();
+		const results = [];
+		for (const change of changes) {
+			let result;
+			if (change.type === 'database' && failedServers.has(change.server)) {
+				result = { change, ok: false, error: new Error('Skipped, server ' + change.server + ' was not created') };
+			} else {
+				result = await applyChange(change, options).then(
+					(value) => ({ change, ok: true, value }),
+					(error) => ({ change, ok: false, error })
+				);
+				if (!result.ok && change.type === 'server' && change.action === 'create') {
+					failedServers.add(change.server);
+				}
+			}
+			results.push(result);
+			if (onProgress) {
+				onProgress({ done: results.length, total: changes.length, result });
+			}
+		}
+		return {
+			results,
+			succeeded: results.filter((result) => result.ok),
+			failed: results.filter((result) => !result.ok)
+		};
+	};
+
+	return { plan, apply, format: formatPlan };
+};
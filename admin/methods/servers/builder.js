@@ -0,0 +1,281 @@
+const { ValidationError } = require('../../../errors');
+
+/**
+ * Throws a ValidationError unless the check passes
+ * @param {boolean} check
+ * @param {string} message
+ * @param {string} field
+ */
+const assert = (check, message, field) => {
+	if (!check) {
+		throw new ValidationError(message, { field });
+	}
+};
+
+/**
+ * Builds `createServer` options step by step, validating every value as it is set
+ * @example
+ * const { server } = await client
+ * 	.serverBuilder()
+ * 	.name('Survival')
+ * 	.owner(1)
+ * 	.egg(5)
+ * 	.limits({ memory: 2048, disk: 10000 })
+ * 	.allocation(await client.findFreeAllocations({ node: 1 }))
+ * 	.create();
+ */
+class ServerBuilder {
+	/**
+	 * @param {Function} [createServer] - Used by `create`, bound to the client the builder came from
+	 */
+	constructor(createServer) {
+		this.createServer = createServer;
+		/** @type {CreateServerOptions} */
+		this.options = { startOnComplete: false };
+	}
+
+	/**
+	 * @param {string} name - Name of the server
+	 * @returns {ServerBuilder}
+	 */
+	name(name) {
+		assert(name && typeof name === 'string', 'Error: Server name must be a string', 'name');
+		this.options.name = name;
+		return this;
+	}
+
+	/**
+	 * @param {string} description - Description of the server
+	 * @returns {ServerBuilder}
+	 */
+	description(description) {
+		assert(typeof description === 'string', 'Error: Description must be a string', 'description');
+		this.options.description = description;
+		return this;
+	}
+
+	/**
+	 * @param {string} externalId - External ID of the server, e.g the ID of its order in a billing system
+	 * @returns {ServerBuilder}
+	 */
+	externalId(externalId) {
+		assert(externalId && typeof externalId === 'string', 'Error: External ID must be a string', 'external_id');
+		this.options.externalId = externalId;
+		return this;
+	}
+
+	/**
+	 * @param {number} userID - The ID of the user that will own the server
+	 * @returns {ServerBuilder}
+	 */
+	owner(userID) {
+		assert(typeof userID === 'number', 'Error: User ID must be a number', 'user');
+		this.options.userID = userID;
+		return this;
+	}
+
+	/**
+	 * @param {number} eggID
+	 * @returns {ServerBuilder}
+	 */
+	egg(eggID) {
+		assert(typeof eggID === 'number', 'Error: Egg ID must be a number', 'egg');
+		this.options.eggID = eggID;
+		return this;
+	}
+
+	/**
+	 * @param {string} startup - Command that runs when the server is started, defaults to the egg's
+	 * @returns {ServerBuilder}
+	 */
+	startup(startup) {
+		assert(typeof startup === 'string', 'Error: Startup command must be a string', 'startup');
+		this.options.startup = startup;
+		return this;
+	}
+
+	/**
+	 * @param {string} dockerImage - The docker image, defaults to the egg's
+	 * @returns {ServerBuilder}
+	 */
+	image(dockerImage) {
+		assert(typeof dockerImage === 'string', 'Error: Docker image must be a string', 'docker_image');
+		this.options.dockerImage = dockerImage;
+		return this;
+	}
+
+	/**
+	 * @param {number|FreeAllocations} allocation - The allocation ID, or the result of `findFreeAllocations`
+	 * @param {number[]} [additional=[]] - Additional allocation IDs, taken from `allocation` when it is an object
+	 * @returns {ServerBuilder}
+	 */
+	allocation(allocation, additional = []) {
+		if (allocation !== null && typeof allocation === 'object') {
+			additional = allocation.additional || [];
+			allocation = allocation.default;
+		}
+		assert(typeof allocation === 'number', 'Error: Allocation ID must be a number', 'allocation');
+		assert(Array.isArray(additional), 'Error: Additional allocations must be an array', 'additional_allocations');
+		this.options.allocationID = allocation;
+		this.options.additionalAllocations = additional;
+		return this;
+	}
+
+	/**
+	 * @param {Object} environment - Object of environment variables (e.g SRCDS_APPID)
+	 * @returns {ServerBuilder}
+	 */
+	environment(environment) {
+		assert(
+			environment !== null && typeof environment === 'object',
+			'Error: Environment variables must be in an Object',
+			'environment'
+		);
+		this.options.environment = environment;
+		return this;
+	}
+
+	/**
+	 * @param {Limits} limits - memory and disk are required, cpu, swap and io are optional
+	 * @returns {ServerBuilder}
+	 */
+	limits({ memory, disk, cpu, swap, io }) {
+		assert(typeof memory === 'number', 'Error: Memory allocated must be a number', 'memory');
+		assert(typeof disk === 'number', 'Error: Disk space must be a number', 'disk');
+		assert(cpu === undefined || typeof cpu === 'number', 'Error: CPU limit must be a number', 'cpu');
+		assert(swap === undefined || typeof swap === 'number', 'Error: Swap space must be a number', 'swap');
+		assert(io === undefined || typeof io === 'number', 'Error: Block IO proportion must be a number', 'io');
+		Object.assign(this.options, { memory, disk, cpu, swap, io });
+		return this;
+	}
+
+	/**
+	 * @param {{databases: number, allocations: number}} featureLimits
+	 * @returns {ServerBuilder}
+	 */
+	featureLimits({ databases, allocations }) {
+		assert(
+			databases === undefined || typeof databases === 'number',
+			'Error: Database allocations must be a number',
+			'databases'
+		);
+		assert(
+			allocations === undefined || typeof allocations === 'number',
+			'Error: Allocation limit must be a number',
+			'allocations'
+		);
+		Object.assign(this.options, { databases, allocations });
+		return this;
+	}
+
+	/**
+	 * @param {Deploy} deploy - Servers deployment information
+	 * @returns {ServerBuilder}
+	 */
+	deploy(deploy) {
+		assert(
+			deploy !== null && typeof deploy === 'object',
+			'Error: Deployment settings must be in an Object',
+			'deploy'
+		);
+		this.options.deploy = deploy;
+		return this;
+	}
+
+	/**
+	 * @param {boolean} [startOnComplete=true] - Start the server when installed?
+	 * @returns {ServerBuilder}
+	 */
+	startOnComplete(startOnComplete = true) {
+		assert(
+			typeof startOnComplete === 'boolean',
+			'Error: Start on complete setting must be a boolean',
+			'start_on_completion'
+		);
+		this.options.startOnComplete = startOnComplete;
+		return this;
+	}
+
+	/**
+	 * @param {boolean} [skipScripts=true] - Whether or not to skip egg scripts
+	 * @returns {ServerBuilder}
+	 */
+	skipScripts(skipScripts = true) {
+		assert(typeof skipScripts === 'boolean', 'Error: Skip scripts setting must be a boolean', 'skip_scripts');
+		this.options.skipScripts = skipScripts;
+		return this;
+	}
+
+	/**
+	 * @param {boolean} [oomDisabled=true] - Whether the server should have OOM Killer disabled or not
+	 * @returns {ServerBuilder}
+	 */
+	oomDisabled(oomDisabled = true) {
+		assert(typeof oomDisabled === 'boolean', 'Error: OOM Killer setting must be a boolean', 'oom_disabled');
+		this.options.oomDisabled = oomDisabled;
+		return this;
+	}
+
+	/**
+	 * @param {boolean} [checkEnvironment=true] - Check environment against the egg's variables before sending
+	 * @returns {ServerBuilder}
+	 */
+	checkEnvironment(checkEnvironment = true) {
+		assert(
+			typeof checkEnvironment === 'boolean',
+			'Error: Check environment setting must be a boolean',
+			'checkEnvironment'
+		);
+		this.options.checkEnvironment = checkEnvironment;
+		return this;
+	}
+
+	/**
+	 * @param {boolean|WaitOptions} [waitUntilInstalled=true] - Make `create` resolve once the server is installed
+	 * @returns {ServerBuilder}
+	 */
+	waitUntilInstalled(waitUntilInstalled = true) {
+		const isOptions = waitUntilInstalled !== null && typeof waitUntilInstalled === 'object';
+		assert(
+			typeof waitUntilInstalled === 'boolean' || isOptions,
+			'Error: Wait until installed setting must be a boolean or wait options',
+			'waitUntilInstalled'
+		);
+		this.options.waitUntilInstalled = waitUntilInstalled;
+		return this;
+	}
+
+	/**
+	 * Checks every required field has been set
+	 * @returns {CreateServerOptions} Options for `createServer`
+	 */
+	build() {
+		assert(this.options.name !== undefined, 'Error: Server name is required, call .name()', 'name');
+		assert(this.options.userID !== undefined, 'Error: Owner is required, call .owner()', 'user');
+		assert(this.options.eggID !== undefined, 'Error: Egg is required, call .egg()', 'egg');
+		assert(
+			this.options.allocationID !== undefined,
+			'Error: Allocation is required, call .allocation()',
+			'allocation'
+		);
+		assert(this.options.memory !== undefined, 'Error: Limits are required, call .limits()', 'memory');
+		return { ...this.options };
+	}
+
+	/**
+	 * Builds the options and creates the server
+	 * @returns {Promise<{server: Server}>}
+	 */
+	create() {
+		if (!this.createServer) {
+			return Promise.reject(new ValidationError('Error: This builder is not bound to a client'));
+		}
+		try {
+			return this.createServer(this.build());
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	}
+}
+
+module.exports = ServerBuilder;
@@ -0,0 +1,203 @@
+const { ValidationError, AbortError } = require('../../../errors');
+
+/**
+ * Picks servers by what they belong to, every given field has to match
+ * @typedef {Object} ServerSelector
+ * @property {number} [user] Only servers owned by this user ID
+ * @property {number} [node] Only servers on this node ID
+ */
+/**
+ * @typedef {Object} BulkResult
+ * @property {ServerRef} server The server as it was given, or its internal ID when picked by a selector
+ * @property {boolean} ok Whether the operation succeeded for this server
+ * @property {*} [value] What the single server method resolved with
+ * @property {PterodactylError} [error] Why it failed
+ */
+/**
+ * @typedef {Object} BulkReport
+ * @property {BulkResult[]} results Every result, in the order of the servers
+ * @property {BulkResult[]} succeeded
+ * @property {BulkResult[]} failed
+ */
+/**
+ * Also accepts any `RequestOptions`, such as `timeout` or `signal`. Once the signal is aborted,
+ * the servers that were not started yet fail with an `AbortError`.
+ * @typedef {Object} BulkOptions
+ * @property {number} [concurrency=5] How many servers are worked on at the same time
+ * @property {function({done: number, total: number, result: BulkResult})} [onProgress] Called after every server
+ */
+
+const selectorKeys = [ 'user', 'node' ];
+const limitKeys = [ 'memory', 'disk', 'cpu', 'swap', 'io' ];
+
+/**
+ * Calls `fn` for every item, never running more than `limit` at the same time
+ * @param  {Array} items
+ * @param  {number} limit
+ * @param  {function(*, number): Promise<*>} fn
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+const mapLimit = async (items, limit, fn) => {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await fn(items[index], index);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+	return results;
+};
+
+/**
+ * Creates the bulk variants of the server methods
+ * @param  {Object} servers Server methods bound to a client
+ * @returns {Object} Bulk methods
+ */
+module.exports = (servers) => {
+	/**
+	 * Turns a list of servers or a selector into server references
+	 * @param  {ServerRef[]|ServerSelector} targets
+	 * @param  {RequestOptions} options
+	 * @returns {Promise<ServerRef[]>}
+	 */
+	const select = (targets, options) => {
+		if (Array.isArray(targets)) {
+			return Promise.resolve(targets);
+		}
+		if (targets === null || typeof targets !== 'object') {
+			return Promise.reject(
+				new ValidationError('Error: Servers must be an array or a selector', { field: 'servers' })
+			);
+		}
+		const keys = Object.keys(targets);
+		if (!keys.length || keys.some((key) => !selectorKeys.includes(key))) {
+			return Promise.reject(
+				new ValidationError('Error: Servers can only be selected by ' + selectorKeys.join(', '), {
+					field: 'servers'
+				})
+			);
+		}
+		if (keys.some((key) => typeof targets[key] !== 'number')) {
+			return Promise.reject(new ValidationError('Error: Selector IDs must be numbers', { field: 'servers' }));
+		}
+		return servers
+			.fetchAllServers(options)
+			.then((list) =>
+				list.filter((server) => keys.every((key) => server[key] === targets[key])).map((server) => server.id)
+			);
+	};
+
+	/**
+	 * Runs an operation on every server, collecting a result per server instead of stopping at a failure
+	 * @param  {ServerRef[]|ServerSelector} targets
+	 * @param  {function(ServerRef, RequestOptions): Promise<*>} operation
+	 * @param  {BulkOptions} options
+	 * @returns {Promise<BulkReport>}
+	 */
+	const run = (targets, operation, { concurrency = 5, onProgress, ...options } = {}) => {
+		if (!Number.isInteger(concurrency) || concurrency < 1) {
+			return Promise.reject(
+				new ValidationError('Error: Concurrency must be a positive integer', { field: 'concurrency' })
+			);
+		}
+		if (onProgress !== undefined && typeof onProgress !== 'function') {
+			return Promise.reject(new ValidationError('Error: onProgress must be a function', { field: 'onProgress' }));
+		}
+		return select(targets, options).then((refs) => {
+			let done = 0;
+			return mapLimit(refs, concurrency, (server) => {
+				const attempt =
+					options.signal && options.signal.aborted
+						? Promise.reject(new AbortError('The operation was aborted'))
+						: operation(server, options);
+				return attempt
+					.then((value) => ({ server, ok: true, value }), (error) => ({ server, ok: false, error }))
+					.then((result) => {
+						done++;
+						if (onProgress) {
+							onProgress({ done, total: refs.length, result });
+						}
+						return result;
+					});
+			}).then((results) => ({
+				results,
+				succeeded: results.filter((result) => result.ok),
+				failed: results.filter((result) => !result.ok)
+			}));
+		});
+	};
+
+	return {
+		/**
+		 * Suspends every server
+		 * @param {ServerRef[]|ServerSelector} targets - Servers, or which servers to pick (e.g `{ user: 12 }`)
+		 * @param {BulkOptions} [options]
+		 * @returns {Promise<BulkReport>}
+		 */
+		suspend: (targets, options) => run(targets, servers.suspendServer, options),
+		/**
+		 * Unsuspends every server
+		 * @param {ServerRef[]|ServerSelector} targets - Servers, or which servers to pick (e.g `{ user: 12 }`)
+		 * @param {BulkOptions} [options]
+		 * @returns {Promise<BulkReport>}
+		 */
+		unsuspend: (targets, options) => run(targets, servers.unsuspendServer, options),
+		/**
+		 * Reinstalls every server
+		 * @param {ServerRef[]|ServerSelector} targets - Servers, or which servers to pick (e.g `{ node: 3 }`)
+		 * @param {BulkOptions} [options]
+		 * @returns {Promise<BulkReport>}
+		 */
+		reinstall: (targets, options) => run(targets, servers.reinstallServer, options),
+		/**
+		 * Rebuilds the container of every server, e.g after a docker image update
+		 * @param {ServerRef[]|ServerSelector} targets - Servers, or which servers to pick (e.g `{ node: 3 }`)
+		 * @param {BulkOptions} [options]
+		 * @returns {Promise<BulkReport>}
+		 */
+		rebuild: (targets, options) => run(targets, servers.rebuildServer, options),
+		/**
+		 * Changes the build configuration of every server. Whatever the patch leaves out is kept as it is,
+		 * so every server is fetched first
+		 * @param {ServerRef[]|ServerSelector} targets - Servers, or which servers to pick (e.g `{ node: 3 }`)
+		 * @param {Object} patch - Same options as `updateServerBuildConfiguration`, without `server`
+		 * @param {BulkOptions} [options]
+		 * @returns {Promise<BulkReport>} Values are the updated servers
+		 */
+		updateBuild: (targets, patch, options) => {
+			if (patch === null || typeof patch !== 'object') {
+				return Promise.reject(new ValidationError('Error: Patch must be in an Object', { field: 'patch' }));
+			}
+			return run(
+				targets,
+				(server, requestOptions) =>
+					servers
+						.getServerInformation(server, requestOptions)
+						.then((info) => {
+							// The panel wants the feature limits on every build update, and resets them when left out
+							const current = limitKeys.reduce((limits, key) => ({ ...limits, [key]: info.limits[key] }), {
+								allocation_id: info.allocation,
+								database_limit: info.feature_limits.databases,
+								allocation_limit: info.feature_limits.allocations,
+								oom_disabled: info.limits.oom_disabled
+							});
+							return servers.updateServerBuildConfiguration(
+								{ ...current, ...patch, server: info.id },
+								requestOptions
+							);
+						})
+						.then((result) => result.server),
+				options
+			);
+		},
+		/**
+		 * Deletes every server
+		 * @param {ServerRef[]|ServerSelector} targets - Servers, or which servers to pick (e.g `{ user: 12 }`)
+		 * @param {BulkOptions} [options]
+		 * @returns {Promise<BulkReport>}
+		 */
+		delete: (targets, options) => run(targets, servers.deleteServer, options)
+	};
+};
@@ -1,7 +1,15 @@
-const { admin } = require('../../../request');
+const { paginate, fetchAll } = require('../../../paginate');
+const { PterodactylError, ValidationError, AuthError } = require('../../../errors');
+const { hydrate, includeParams, toQuery } = require('../../../includes');
+const { poll } = require('../../../wait');
+const createNests = require('../nests/index');
+const ServerBuilder = require('./builder');
+const createBulk = require('./bulk');
+const { resolveDryRun, withDryRun } = require('../../../dryRun');
+const { createResolver, parseServerRef, isServerRef } = require('./resolve');
 
 const filterObject = (obj, predicate) =>
-	Object.keys(obj).filter((key) => predicate(obj[key])).reduce((res, key) => ((res[key] = obj[key]), res), {});
+	Object.keys(obj).filter((key) => predicate(obj[key], key)).reduce((res, key) => ((res[key] = obj[key]), res), {});
 
 /**
  * @typedef {Object} Limits
@@ -31,13 +39,14 @@ const filterObject = (obj, predicate) =>
  * @property {string} database - Database name
  * @property {string} username - Database username
  * @property {string} remote - Database remote connection rule
+ * @property {string} [password] - Database password, only present when requested
  * @property {string} created_at - Timestamp when the database was created
  * @property {string} updated_at - Timestamp when the database was last updated
  */
 /**
  * @typedef {Object} Server
  * @property {number} id
- * @property {?string}
+ * @property {?string} external_id
  * @property {string} uuid
  * @property {string} identifier
  * @property {string} name
@@ -45,13 +54,18 @@ const filterObject = (obj, predicate) =>
  * @property {boolean} suspended
  * @property {Limits} limits
  * @property {FeatureLimits} feature_limits
- * @property {number} user Owner ID of the server
- * @property {number} node Node ID of the server
+ * @property {number|User} user Owner ID of the server, or the owner when `user` is included
+ * @property {number|Node} node Node ID of the server, or the node when `node` is included
  * @property {number} allocation Allocation ID of the server
- * @property {number} nest Nest ID of the server
- * @property {number} egg Egg ID of the server
- * @property {?number} pack Pack ID of the server
+ * @property {number|Nest} nest Nest ID of the server, or the nest when `nest` is included
+ * @property {number|Egg} egg Egg ID of the server, or the egg when `egg` is included
+ * @property {?number|Object} pack Pack ID of the server, or the pack when `pack` is included
  * @property {Container} container
+ * @property {Allocation[]} [allocations] Only present when `allocations` is included
+ * @property {Object[]} [subusers] Only present when `subusers` is included
+ * @property {EggVariable[]} [variables] Only present when `variables` is included
+ * @property {Object} [location] Only present when `location` is included
+ * @property {Database[]} [databases] Only present when `databases` is included
  * @property {string} updated_at
  * @property {string} created_at
  */
@@ -72,497 +86,1010 @@ const filterObject = (obj, predicate) =>
  */
 
 /**
- * Gets a list of all servers on the site
- * @returns {Promise<{servers: Server[], pagination: Pagination}>}
- */
-const getAllServers = () => {
-	return new Promise((resolve, reject) => {
-		admin
-			.getRequest('/api/application/servers')
-			.then((response) => {
-				resolve({
-					servers: response.data.data.map((data) => data.attributes),
-					pagination: response.data.meta.pagination
-				});
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
-/**
- * 
- * @param {number|string} id - Internal or external ID
- * @param {boolean} [external=true] - Get by external ID?
- * @returns {Promise<Server>}
+ * Options accepted by `createServer` instead of positional parameters, named after them
+ * @typedef {Object} CreateServerOptions
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} userID
+ * @property {number} eggID
+ * @property {string} [startup]
+ * @property {string} [dockerImage]
+ * @property {number|FreeAllocations} allocationID - The result of `findFreeAllocations` also sets
+ * `additionalAllocations`
+ * @property {number[]} [additionalAllocations]
+ * @property {boolean} startOnComplete
+ * @property {Object} [environment]
+ * @property {number} memory
+ * @property {number} disk
+ * @property {number} [cpu]
+ * @property {number} [swap]
+ * @property {number} [io]
+ * @property {number} [databases]
+ * @property {number} [allocations]
+ * @property {Deploy} [deploy]
+ * @property {boolean} [skipScripts]
+ * @property {boolean} [oomDisabled]
+ * @property {boolean} [checkEnvironment]
+ * @property {boolean|WaitOptions} [waitUntilInstalled]
+ * @property {string} [externalId]
  */
-const getServerInformation = (id, external = false) => {
-	return new Promise((resolve, reject) => {
-		admin
-			.getRequest('/api/application/servers/' + external ? 'external/' + id : id)
-			.then((response) => {
-				resolve(response.data.attributes);
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
 /**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @returns {Promise<Database[]>}
+ * Options accepted by `updateServerStartup` instead of positional parameters, named after them
+ * @typedef {Object} StartupOptions
+ * @property {ServerRef} [server] Server to update, `internal_id` is accepted too
+ * @property {string} [startup]
+ * @property {Object} [environment]
+ * @property {number} [egg]
+ * @property {string} [image]
+ * @property {boolean} [skip_scripts]
+ * @property {boolean} [checkEnvironment]
  */
-const getAllDatabases = (internal_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		admin
-			.getRequest('/api/application/servers/' + internal_id + '/databases')
-			.then((response) => {
-				resolve({ databases: response.data.data.map((database) => database.attributes) });
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
 /**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @param {number} database_id - Database ID
- * @returns {Promise<Database>}
+ * Options accepted by `updateServerBuildConfiguration` instead of positional parameters, named after them
+ * @typedef {Object} BuildConfigurationOptions
+ * @property {ServerRef} [server] Server to update, `internal_id` is accepted too
+ * @property {number} allocation_id
+ * @property {number} [database_limit]
+ * @property {number} [allocation_limit]
+ * @property {number} [memory]
+ * @property {number} [disk]
+ * @property {number} [cpu]
+ * @property {number} [swap]
+ * @property {number} [io]
+ * @property {number[]} [add_allocations]
+ * @property {number[]} [remove_allocations]
+ * @property {boolean} [oom_disabled]
  */
-const getDatabase = (internal_id, database_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		if (isNaN(database_id)) {
-			reject('Database ID must be a number');
-		}
-		admin
-			.getRequest('/api/application/servers/' + internal_id + '/databases/' + database_id)
-			.then((response) => {
-				resolve(response.data.attributes);
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
 
-/* POST */
-/**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @param {string} database - Database name
- * @param {number} host - Database host ID
- * @param {string} remote - Database remote connection rule
- * @returns {Promise<Database>}
- */
-const createDatabase = (internal_id, database, host, remote) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		if (!database || typeof database !== 'string') {
-			reject('Database name must be a string');
-		}
-		if (!host || typeof host !== 'number') {
-			reject('Database host must be a integer');
-		}
-		if (!remote || typeof remote !== 'string') {
-			reject('Database remote connection rule must be a string');
-		}
-		admin
-			.postRequest('/api/application/servers/' + internal_id + '/databases', { database, remote, host })
-			.then((response) => {
-				resolve(response.data.attributes);
-			})
-			.catch((error) => {
-				if (error.includes('403')) {
-					reject(
-						'Request failed with status code 403\nPossible reasons: invalid API key, reached limit of databases for that server, not your server'
-					);
-				} else {
-					reject(error);
-				}
-			});
-	});
-};
+// Positional parameter order of the functions that also accept an options object
+const createServerKeys = [
+	'name',
+	'description',
+	'userID',
+	'eggID',
+	'startup',
+	'dockerImage',
+	'allocationID',
+	'startOnComplete',
+	'environment',
+	'memory',
+	'disk',
+	'cpu',
+	'swap',
+	'io',
+	'additionalAllocations',
+	'databases',
+	'allocations',
+	'deploy',
+	'skipScripts',
+	'oomDisabled',
+	'checkEnvironment',
+	'waitUntilInstalled',
+	'externalId'
+];
+const startupKeys = [ 'server', 'startup', 'environment', 'egg', 'image', 'skip_scripts', 'checkEnvironment' ];
+const buildConfigurationKeys = [
+	'server',
+	'allocation_id',
+	'database_limit',
+	'allocation_limit',
+	'memory',
+	'disk',
+	'cpu',
+	'swap',
+	'io',
+	'add_allocations',
+	'remove_allocations',
+	'oom_disabled'
+];
 
-/**
- * 
- * @param {string} name - Name of the server
- * @param {string} description - Description of the server
- * @param {number} userID - The ID of the user that will own the server
- * @param {number} eggID
- * @param {string} startup - Command that runs when the server is started 
- * @param {string} dockerImage - The docker image (e.g "quay.io/pterodactyl/core:source")
- * @param {number} allocationID - The allocation ID
- * @param {boolean} startOnComplete - Start the server when installed?
- * @param {Object} environmentf - Object of environment variables (e.g SRCDS_APPID)
- * @param {number} memory - Memory limit
- * @param {number} disk - Disk limit
- * @param {number} [cpu=0] - CPU limit
- * @param {number} [swap=-1] - Swap limit
- * @param {number} [io=500] - IO limit - I'd strongly suggest you keep this to 500, as advised by pterodactyl
- * @param {number[]} [additionalAllocations=[]] - Array of allocation IDs
- * @param {number} [databases=0] - Servers database limit
- * @param {number} [allocations=0] - Servers allocation limit
- * @param {Deploy} [deploy={locations:[1],dedicated_ip:false,port_range:[]}] - Servers deployment information
- * @param {boolean} [skipScripts=false] - Whether or not to skip egg scripts
- * @param {boolean} [oomDisabled=true] - Whether the server should have OOM Killer disabled or not
- * @returns {Promise<{server: Server}>}
- */
-const createServer = (
-	name,
-	description,
-	userID,
-	eggID,
-	startup,
-	dockerImage,
-	allocationID,
-	startOnComplete,
-	environment,
-	memory,
-	disk,
-	cpu = 0,
-	swap = -1,
-	io = 500,
-	additionalAllocations = [],
-	databases = 0,
-	allocations = 0,
-	deploy = { locations: [ 1 ], dedicated_ip: false, port_range: [] },
-	skipScripts = false,
-	oomDisabled = true
-) => {
-	return new Promise((resolve, reject) => {
-		if (typeof name !== 'string') {
-			reject('Error: Server name must be a string');
-		}
-		if (typeof userID !== 'number') {
-			reject('Error: User ID must be a number');
-		}
-		if (typeof eggID !== 'number') {
-			reject('Error: Egg ID must be a number');
-		}
-		if (typeof startup !== 'string') {
-			reject('Error: Startup command must be a string');
-		}
-		if (typeof memory !== 'number') {
-			reject('Error: Memory allocated must be a number');
-		}
-		if (typeof disk !== 'number') {
-			reject('Error: Disk space must be a number');
-		}
-		if (typeof dockerImage !== 'string') {
-			reject('Error: Docker image must be a string');
-		}
-		if (typeof allocationID !== 'number') {
-			reject('Error: Allocation ID must be a number');
-		}
-		if (typeof startOnComplete !== 'boolean') {
-			reject('Error: Start on complete setting must be a boolean');
-		}
-		if (!Array.isArray(additionalAllocations)) {
-			reject('Error: Additional allocations must be an array');
-		}
-		if (typeof cpu !== 'number') {
-			reject('Error: CPU limit must be a number');
-		}
-		if (typeof swap !== 'number') {
-			reject('Error: Swap space must be a number');
-		}
-		if (typeof io !== 'number') {
-			reject('Error: Block IO proportion must be a number');
-		} else {
-			if (io !== 500) {
-				console.log('Block IO proportion is not set to 500, I sure hope you know what you are doing');
-			}
-		}
-		if (typeof environment !== 'object') {
-			reject('Error: Environment variables must be in an Object');
-		}
-		if (typeof databases !== 'number') {
-			reject('Error: Database allocations must be a number');
-		}
-		// if (typeof allocations !== 'number') {
-		// 		//This feature is not implemented yet
-		// }
-		if (typeof deploy !== 'object') {
-			reject('Error: Deployment settings must be in an Object');
-		}
-		if (typeof skipScripts !== 'boolean') {
-			reject('Error: Skip scripts setting must be a boolean');
-		}
-		if (typeof oomDisabled !== 'boolean') {
-			reject('Error: OOM Killer setting must be a boolean');
-		}
+const serverIncludes = [
+	'allocations',
+	'user',
+	'subusers',
+	'pack',
+	'nest',
+	'egg',
+	'variables',
+	'location',
+	'node',
+	'databases'
+];
 
-		const data = {
-			name,
-			description,
-			startup,
-			environment,
-			deploy,
-			start_on_completion: startOnComplete,
-			user: userID,
-			egg: eggID,
-			limits: {
-				memory,
-				swap,
-				disk,
-				io,
-				cpu
-			},
-			feature_limits: {
-				databases,
-				allocations
-			},
-			docker_image: dockerImage,
-			allocation: {
-				default: allocationID,
-				additional: additionalAllocations
-			},
-			skip_scripts: skipScripts,
-			oom_disabled: oomDisabled
-		};
-
-		admin
-			.postRequest('/api/application/servers', data)
-			.then((response) => {
-				resolve({ server: response.data.attributes });
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
 /**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @returns {Promise<{message: string}>}
+ * Hydrates a database and flattens its password relationship into a `password` string
+ * @param  {Object} resource Database resource as returned by the panel
+ * @returns {Database}
  */
-const suspendServer = (internal_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		admin
-			.postRequest('/api/application/servers/' + internal_id + '/suspend')
-			.then(() => {
-				resolve('Successfully suspended the server');
-			})
-			.catch((err) => {
-				reject(err);
-			});
-	});
-};
-/**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @returns {Promise<{message: string}>}
- */
-const unsuspendServer = (internal_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		admin
-			.postRequest('/api/application/servers/' + internal_id + '/unsuspend')
-			.then(() => {
-				resolve('Successfully unsuspended the server');
-			})
-			.catch((err) => {
-				reject(err);
-			});
-	});
-};
-/**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @returns {Promise<{message: string}>}
- */
-const reinstallServer = (internal_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		admin
-			.postRequest('/api/application/servers/' + internal_id + '/reinstall')
-			.then(() => {
-				resolve('Successfully started to reinstall the server');
-			})
-			.catch((err) => {
-				reject(err);
-			});
-	});
+const toDatabase = (resource) => {
+	const database = hydrate(resource);
+	if (database.password) {
+		database.password = database.password.password;
+	}
+	return database;
 };
+
 /**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @returns {Promise<{message: string}>}
+ * Converts an options object to positional arguments, left out options become undefined so defaults apply
+ * @param  {Object} options
+ * @param  {string[]} keys Positional parameter names in order
+ * @returns {Array}
  */
-const rebuildServer = (internal_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		admin
-			.postRequest('/api/application/servers/' + internal_id + '/rebuild')
-			.then(() => {
-				resolve('Successfully started to rebuild the server');
-			})
-			.catch((err) => {
-				reject(err);
-			});
-	});
-};
+const optionsToArgs = (options, keys) => keys.map((key) => options[key]);
+
 /**
- * 
- * @param {number} internal_id - Internal ID of the server
- * @returns {Promise<{message: string}>}
+ * Accepts the older `internal_id` option name for the server
+ * @param  {Object} options
+ * @returns {Object}
  */
-const deleteServer = (internal_id) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		admin
-			.deleteRequest('/api/application/servers/' + internal_id)
-			.then(() => {
-				resolve('Successfully deleted the server');
-			})
-			.catch((err) => {
-				reject(err);
-			});
-	});
-};
+const withServer = ({ internal_id, ...options }) => ({ server: internal_id, ...options });
+
 /**
- * @param {number} internal_id - Internal ID of the server you want to update
- * @param {string} name - New name for the server
- * @param {number} user - New owner of the server
- * @param {?string} external_id - New external ID
- * @param {?string} description - New description
- * @returns {Promise<{server: Server}>}
+ * Creates the server methods bound to a set of request helpers
+ * @param  {Object} admin Request helpers created by `createRequest`
+ * @param  {Object} [nests] Nest methods bound to the same request helpers, used to look up eggs
+ * @returns {Object} Server methods
  */
-const updateServerDetails = (internal_id, name, user, external_id, description) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
-		}
-		if (!name || typeof name !== 'string') {
-			reject('You must supply a valid name');
-		}
-		if (!user || typeof user !== 'number') {
-			reject('You must supply a valid user ID');
+module.exports = (admin, nests = createNests(admin)) => {
+	const { resolveServer, remember, forget } = createResolver(admin);
+
+	/**
+	 * Gets a list of all servers on the site
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['user', 'allocations']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{servers: Server[], pagination: Pagination}>}
+	 */
+	const getAllServers = ({ include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			admin
+				.getRequest('/api/application/servers' + toQuery(includeParams(include, serverIncludes)), options)
+				.then((response) => {
+					resolve({
+						servers: response.data.data.map(hydrate),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all servers on the site, following every page
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of servers per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['user', 'allocations']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<Server>}
+	 */
+	const iterateServers = async function*({ include, params, ...options } = {}) {
+		yield* paginate(admin, '/api/application/servers', {
+			...options,
+			params: { ...params, ...includeParams(include, serverIncludes) }
+		});
+	};
+	/**
+	 * Gets all servers on the site from every page
+	 * @param {Object} [options] - Same options as `iterateServers`
+	 * @returns {Promise<Server[]>}
+	 */
+	const fetchAllServers = async ({ include, params, ...options } = {}) =>
+		fetchAll(admin, '/api/application/servers', {
+			...options,
+			params: { ...params, ...includeParams(include, serverIncludes) }
+		});
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {boolean|Object} [external=false] - Treat `server` as an external ID? Can be left out for `options`
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['user', 'allocations']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<Server>}
+	 */
+	const getServerInformation = (server, external = false, { include, ...options } = {}) => {
+		if (external !== null && typeof external === 'object') {
+			return getServerInformation(server, false, external);
 		}
-		const obj = { name, user };
-		if (external_id) {
-			obj.external_id = external_id;
+		return new Promise((resolve, reject) => {
+			const query = toQuery(includeParams(include, serverIncludes));
+			const ref = external ? { externalId: String(server) } : server;
+			const parsed = parseServerRef(ref);
+			// External IDs have their own endpoint, no need to resolve them first
+			const path =
+				parsed && parsed.type === 'external_id'
+					? Promise.resolve('external/' + encodeURIComponent(parsed.value))
+					: resolveServer(ref, options);
+			path
+				.then((id) => admin.getRequest('/api/application/servers/' + id + query, options))
+				.then((response) => {
+					const info = hydrate(response.data);
+					remember(info);
+					resolve(info);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {boolean} [includePassword=false] - Include the password of every database
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{databases: Database[]}>}
+	 */
+	const getAllDatabases = (server, includePassword = false, options) => {
+		if (includePassword !== null && typeof includePassword === 'object') {
+			return getAllDatabases(server, false, includePassword);
 		}
-		if (description && typeof description === 'string') {
-			obj.description = description;
+		return new Promise((resolve, reject) => {
+			const query = includePassword ? '?include=password' : '';
+			resolveServer(server, options)
+				.then((id) => admin.getRequest('/api/application/servers/' + id + '/databases' + query, options))
+				.then((response) => {
+					resolve({ databases: response.data.data.map(toDatabase) });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {number} database_id - Database ID
+	 * @param {boolean} [includePassword=false] - Include the password of the database
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Database>}
+	 */
+	const getDatabase = (server, database_id, includePassword = false, options) => {
+		if (includePassword !== null && typeof includePassword === 'object') {
+			return getDatabase(server, database_id, false, includePassword);
 		}
+		return new Promise((resolve, reject) => {
+			if (isNaN(database_id)) {
+				return reject(new ValidationError('Database ID must be a number', { field: 'database_id' }));
+			}
+			const query = includePassword ? '?include=password' : '';
+			resolveServer(server, options)
+				.then((id) =>
+					admin.getRequest('/api/application/servers/' + id + '/databases/' + database_id + query, options)
+				)
+				.then((response) => {
+					resolve(toDatabase(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
 
-		admin
-			.patchRequest('/api/application/servers/' + internal_id + '/details', obj)
-			.then((response) => {
-				resolve({ server: response.data.attributes });
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
-/**
- * 
- * @param {number} internal_id - Internal ID of the server you want to update
- * @param {number} allocation_id - The server's default allocation id
- * @param {?number} database_limit - The server's database limit
- * @param {?number} allocation_limit - The servers allocation limit
- * @param {?number} memory - The server's memory limit
- * @param {?number} disk - The server's disk limit
- * @param {?number} cpu - The server's CPU limit
- * @param {?number} swap - The server's swap limit
- * @param {?number} io - The server's IO limit
- * @param {?Array} add_allocations - Array of allocation IDs to be added to the server
- * @param {?Array} remove_allocations - Array of allocation IDs to be removed from the server
- * @param {?boolean} oom_disabled - Whether or not OOM Killer should be disabled
- * @returns {Promise<{server: Server}}
- */
-const updateServerBuildConfiguration = (
-	internal_id,
-	allocation_id,
-	database_limit,
-	allocation_limit,
-	memory,
-	disk,
-	cpu,
-	swap,
-	io,
-	add_allocations,
-	remove_allocations,
-	oom_disabled
-) => {
-	return new Promise((resolve, reject) => {
-		if (isNaN(internal_id)) {
-			reject('Internal ID must be a number');
+	/* POST */
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {string} database - Database name
+	 * @param {number} host - Database host ID
+	 * @param {string} remote - Database remote connection rule
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Database>} The new database, including its password
+	 */
+	const createDatabase = (server, database, host, remote, options) => {
+		return new Promise((resolve, reject) => {
+			if (!database || typeof database !== 'string') {
+				return reject(new ValidationError('Database name must be a string', { field: 'database' }));
+			}
+			if (!host || typeof host !== 'number') {
+				return reject(new ValidationError('Database host must be a integer', { field: 'host' }));
+			}
+			if (!remote || typeof remote !== 'string') {
+				return reject(
+					new ValidationError('Database remote connection rule must be a string', { field: 'remote' })
+				);
+			}
+			resolveServer(server, options)
+				.then((id) =>
+					admin.postRequest(
+						'/api/application/servers/' + id + '/databases?include=password',
+						{ database, remote, host },
+						options
+					)
+				)
+				.then((response) => {
+					resolve(toDatabase(response.data));
+				})
+				.catch((error) => {
+					if (error instanceof AuthError) {
+						error.message +=
+							'\nPossible reasons: invalid API key, reached limit of databases for that server, not your server';
+					}
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Generates a new password for a database
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {number} database_id - Database ID
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Database>} The database, including its new password
+	 */
+	const resetDatabasePassword = (server, database_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(database_id)) {
+				return reject(new ValidationError('Database ID must be a number', { field: 'database_id' }));
+			}
+			resolveServer(server, options)
+				.then((id) =>
+					admin
+						.postRequest(
+							'/api/application/servers/' + id + '/databases/' + database_id + '/reset-password',
+							{},
+							options
+						)
+						.then(() => getDatabase(id, database_id, true, options))
+				)
+				.then((database) => {
+					resolve(database);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/**
+	 * 
+	 * @param {string|CreateServerOptions} name - Name of the server, or every parameter in an options object
+	 * @param {string|RequestOptions} description - Description of the server,
+	 * or `RequestOptions` following an options object
+	 * @param {number} userID - The ID of the user that will own the server
+	 * @param {number} eggID
+	 * @param {?string} startup - Command that runs when the server is started, defaults to the egg's startup command
+	 * @param {?string} dockerImage - The docker image (e.g "quay.io/pterodactyl/core:source"), defaults to the egg's image
+	 * @param {number|FreeAllocations} allocationID - The allocation ID, or the result of `findFreeAllocations`,
+	 * which also sets `additionalAllocations` when they are left empty
+	 * @param {boolean} startOnComplete - Start the server when installed?
+	 * @param {Object} [environment={}] - Object of environment variables (e.g SRCDS_APPID)
+	 * @param {number} memory - Memory limit
+	 * @param {number} disk - Disk limit
+	 * @param {number} [cpu=0] - CPU limit
+	 * @param {number} [swap=-1] - Swap limit
+	 * @param {number} [io=500] - IO limit - I'd strongly suggest you keep this to 500, as advised by pterodactyl
+	 * @param {number[]} [additionalAllocations=[]] - Array of allocation IDs
+	 * @param {number} [databases=0] - Servers database limit
+	 * @param {number} [allocations=0] - Servers allocation limit
+	 * @param {Deploy} [deploy={locations:[1],dedicated_ip:false,port_range:[]}] - Servers deployment information
+	 * @param {boolean} [skipScripts=false] - Whether or not to skip egg scripts
+	 * @param {boolean} [oomDisabled=true] - Whether the server should have OOM Killer disabled or not
+	 * @param {boolean} [checkEnvironment=false] - Check environment against the egg's variables before sending,
+	 * always done when startup or dockerImage is left out. Missing variables are filled with their default value
+	 * @param {boolean|WaitOptions} [waitUntilInstalled=false] - Only resolve once the server is installed,
+	 * options are passed to `waitForServerInstalled`
+	 * @param {?string|RequestOptions} [externalId] - External ID of the server, can be left out for `options`
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{server: Server}>}
+	 */
+	const createServer = (
+		name,
+		description,
+		userID,
+		eggID,
+		startup,
+		dockerImage,
+		allocationID,
+		startOnComplete,
+		environment = {},
+		memory,
+		disk,
+		cpu = 0,
+		swap = -1,
+		io = 500,
+		additionalAllocations = [],
+		databases = 0,
+		allocations = 0,
+		deploy = { locations: [ 1 ], dedicated_ip: false, port_range: [] },
+		skipScripts = false,
+		oomDisabled = true,
+		checkEnvironment = false,
+		waitUntilInstalled = false,
+		externalId,
+		options = {}
+	) => {
+		if (name !== null && typeof name === 'object') {
+			return createServer(...optionsToArgs(name, createServerKeys), description);
 		}
-		if (!allocation_id) {
-			reject('You must supply an allocation ID');
+		// Request options used to directly follow waitUntilInstalled
+		if (externalId !== null && typeof externalId === 'object') {
+			options = externalId;
+			externalId = undefined;
 		}
-		let obj = {
-			allocation_id,
-			feature_limits: []
-		};
-		if (database_limit && typeof database_limit === 'number') {
-			obj.feature_limits.push(database_limit);
+		if (allocationID !== null && typeof allocationID === 'object') {
+			if (!additionalAllocations || !additionalAllocations.length) {
+				additionalAllocations = allocationID.additional || [];
+			}
+			allocationID = allocationID.default;
 		}
-		if (allocation_limit && typeof allocation_limit === 'number') {
-			obj.feature_limits.push(allocation_limit);
+		return new Promise((resolve, reject) => {
+			if (typeof name !== 'string') {
+				return reject(new ValidationError('Error: Server name must be a string', { field: 'name' }));
+			}
+			if (typeof userID !== 'number') {
+				return reject(new ValidationError('Error: User ID must be a number', { field: 'user' }));
+			}
+			if (typeof eggID !== 'number') {
+				return reject(new ValidationError('Error: Egg ID must be a number', { field: 'egg' }));
+			}
+			if (startup != null && typeof startup !== 'string') {
+				return reject(new ValidationError('Error: Startup command must be a string', { field: 'startup' }));
+			}
+			if (typeof memory !== 'number') {
+				return reject(new ValidationError('Error: Memory allocated must be a number', { field: 'memory' }));
+			}
+			if (typeof disk !== 'number') {
+				return reject(new ValidationError('Error: Disk space must be a number', { field: 'disk' }));
+			}
+			if (dockerImage != null && typeof dockerImage !== 'string') {
+				return reject(new ValidationError('Error: Docker image must be a string', { field: 'docker_image' }));
+			}
+			if (typeof allocationID !== 'number') {
+				return reject(new ValidationError('Error: Allocation ID must be a number', { field: 'allocation' }));
+			}
+			if (typeof startOnComplete !== 'boolean') {
+				return reject(
+					new ValidationError('Error: Start on complete setting must be a boolean', { field: 'start_on_completion' })
+				);
+			}
+			if (!Array.isArray(additionalAllocations)) {
+				return reject(
+					new ValidationError('Error: Additional allocations must be an array', { field: 'additional_allocations' })
+				);
+			}
+			if (typeof cpu !== 'number') {
+				return reject(new ValidationError('Error: CPU limit must be a number', { field: 'cpu' }));
+			}
+			if (typeof swap !== 'number') {
+				return reject(new ValidationError('Error: Swap space must be a number', { field: 'swap' }));
+			}
+			if (typeof io !== 'number') {
+				return reject(new ValidationError('Error: Block IO proportion must be a number', { field: 'io' }));
+			}
+			if (typeof environment !== 'object') {
+				return reject(
+					new ValidationError('Error: Environment variables must be in an Object', { field: 'environment' })
+				);
+			}
+			if (typeof databases !== 'number') {
+				return reject(
+					new ValidationError('Error: Database allocations must be a number', { field: 'databases' })
+				);
+			}
+			// if (typeof allocations !== 'number') {
+			// 		//This feature is not implemented yet
+			// }
+			if (typeof deploy !== 'object') {
+				return reject(
+					new ValidationError('Error: Deployment settings must be in an Object', { field: 'deploy' })
+				);
+			}
+			if (typeof skipScripts !== 'boolean') {
+				return reject(
+					new ValidationError('Error: Skip scripts setting must be a boolean', { field: 'skip_scripts' })
+				);
+			}
+			if (typeof oomDisabled !== 'boolean') {
+				return reject(
+					new ValidationError('Error: OOM Killer setting must be a boolean', { field: 'oom_disabled' })
+				);
+			}
+			if (externalId != null && typeof externalId !== 'string') {
+				return reject(new ValidationError('Error: External ID must be a string', { field: 'external_id' }));
+			}
+
+			const needsEgg = startup == null || dockerImage == null || checkEnvironment;
+			(needsEgg ? nests.findEgg(eggID, options) : Promise.resolve(null))
+				.then((egg) => {
+					if (egg) {
+						startup = startup == null ? egg.startup : startup;
+						dockerImage =
+							dockerImage == null
+								? egg.docker_image || Object.values(egg.docker_images || {})[0]
+								: dockerImage;
+						environment = nests.applyDefaults(egg.variables, environment);
+						const error = nests.validateEnvironment(egg.variables, environment);
+						if (error) {
+							throw error;
+						}
+					}
+					const data = {
+						name,
+						description,
+						startup,
+						environment,
+						deploy,
+						start_on_completion: startOnComplete,
+						user: userID,
+						egg: eggID,
+						limits: {
+							memory,
+							swap,
+							disk,
+							io,
+							cpu
+						},
+						feature_limits: {
+							databases,
+							allocations
+						},
+						docker_image: dockerImage,
+						allocation: {
+							default: allocationID,
+							additional: additionalAllocations
+						},
+						skip_scripts: skipScripts,
+						oom_disabled: oomDisabled
+					};
+					if (externalId) {
+						data.external_id = externalId;
+					}
+					return admin.postRequest('/api/application/servers', data, options);
+				})
+				.then((response) => {
+					const server = response.data.attributes;
+					if (!waitUntilInstalled) {
+						return server;
+					}
+					const waitOptions = waitUntilInstalled === true ? {} : waitUntilInstalled;
+					return waitForServerInstalled(server.id, { signal: options.signal, ...waitOptions });
+				})
+				.then((server) => {
+					resolve({ server });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const suspendServer = (server, options) => {
+		return new Promise((resolve, reject) => {
+			resolveServer(server, options)
+				.then((id) => admin.postRequest('/api/application/servers/' + id + '/suspend', {}, options))
+				.then(() => {
+					resolve('Successfully suspended the server');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const unsuspendServer = (server, options) => {
+		return new Promise((resolve, reject) => {
+			resolveServer(server, options)
+				.then((id) => admin.postRequest('/api/application/servers/' + id + '/unsuspend', {}, options))
+				.then(() => {
+					resolve('Successfully unsuspended the server');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const reinstallServer = (server, options) => {
+		return new Promise((resolve, reject) => {
+			resolveServer(server, options)
+				.then((id) => admin.postRequest('/api/application/servers/' + id + '/reinstall', {}, options))
+				.then(() => {
+					resolve('Successfully started to reinstall the server');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const rebuildServer = (server, options) => {
+		return new Promise((resolve, reject) => {
+			resolveServer(server, options)
+				.then((id) => admin.postRequest('/api/application/servers/' + id + '/rebuild', {}, options))
+				.then(() => {
+					resolve('Successfully started to rebuild the server');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteServer = (server, options) => {
+		return new Promise((resolve, reject) => {
+			resolveServer(server, options)
+				.then((id) => admin.deleteRequest('/api/application/servers/' + id, options).then(() => forget(id)))
+				.then(() => {
+					resolve('Successfully deleted the server');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {number} database_id - Database ID
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteDatabase = (server, database_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(database_id)) {
+				return reject(new ValidationError('Database ID must be a number', { field: 'database_id' }));
+			}
+			resolveServer(server, options)
+				.then((id) =>
+					admin.deleteRequest('/api/application/servers/' + id + '/databases/' + database_id, options)
+				)
+				.then(() => {
+					resolve('Successfully deleted the database');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+	/**
+	 * @param {ServerRef} server - The server you want to update
+	 * @param {string} name - New name for the server
+	 * @param {number} user - New owner of the server
+	 * @param {?string} external_id - New external ID
+	 * @param {?string} description - New description
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{server: Server}>}
+	 */
+	const updateServerDetails = (server, name, user, external_id, description, options) => {
+		return new Promise((resolve, reject) => {
+			if (!name || typeof name !== 'string') {
+				return reject(new ValidationError('You must supply a valid name', { field: 'name' }));
+			}
+			if (!user || typeof user !== 'number') {
+				return reject(new ValidationError('You must supply a valid user ID', { field: 'user' }));
+			}
+			const obj = { name, user };
+			if (external_id) {
+				obj.external_id = external_id;
+			}
+			if (description && typeof description === 'string') {
+				obj.description = description;
+			}
+
+			resolveServer(server, options)
+				.then((id) => admin.patchRequest('/api/application/servers/' + id + '/details', obj, options))
+				.then((response) => {
+					// The external ID may have changed
+					forget(response.data.attributes.id);
+					remember(response.data.attributes);
+					resolve({ server: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * 
+	 * @param {ServerRef|BuildConfigurationOptions} server - The server you want to update,
+	 * or every parameter in an options object
+	 * @param {number|BuildConfigurationOptions} allocation_id - The server's default allocation id,
+	 * or every following parameter in an options object
+	 * @param {?number} database_limit - The server's database limit
+	 * @param {?number} allocation_limit - The servers allocation limit
+	 * @param {?number} memory - The server's memory limit
+	 * @param {?number} disk - The server's disk limit
+	 * @param {?number} cpu - The server's CPU limit
+	 * @param {?number} swap - The server's swap limit
+	 * @param {?number} io - The server's IO limit
+	 * @param {?Array} add_allocations - Array of allocation IDs to be added to the server
+	 * @param {?Array} remove_allocations - Array of allocation IDs to be removed from the server
+	 * @param {?boolean} oom_disabled - Whether or not OOM Killer should be disabled
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{server: Server}}
+	 */
+	const updateServerBuildConfiguration = (
+		server,
+		allocation_id,
+		database_limit,
+		allocation_limit,
+		memory,
+		disk,
+		cpu,
+		swap,
+		io,
+		add_allocations,
+		remove_allocations,
+		oom_disabled,
+		options
+	) => {
+		// Following an options object, the next argument holds the request options
+		if (!isServerRef(server)) {
+			const args = optionsToArgs(withServer(server), buildConfigurationKeys);
+			return updateServerBuildConfiguration(...args, allocation_id);
 		}
-		const limits = filterObject({ memory, disk, cpu, swap, io }, (val) => typeof val === 'number');
-		if (memory || disk || cpu || swap || io) {
-			obj = { ...obj, limits };
+		if (allocation_id !== null && typeof allocation_id === 'object') {
+			return updateServerBuildConfiguration({ ...allocation_id, server }, database_limit);
 		}
-		if (add_allocations && add_allocations.length) {
-			obj = { ...obj, add_allocations };
+		return new Promise((resolve, reject) => {
+			if (!allocation_id) {
+				return reject(new ValidationError('You must supply an allocation ID', { field: 'allocation_id' }));
+			}
+			let obj = {
+				allocation_id,
+				feature_limits: {}
+			};
+			if (typeof database_limit === 'number') {
+				obj.feature_limits.databases = database_limit;
+			}
+			if (typeof allocation_limit === 'number') {
+				obj.feature_limits.allocations = allocation_limit;
+			}
+			const limits = filterObject({ memory, disk, cpu, swap, io }, (val) => typeof val === 'number');
+			if (memory || disk || cpu || swap || io) {
+				obj = { ...obj, limits };
+			}
+			if (add_allocations && add_allocations.length) {
+				obj = { ...obj, add_allocations };
+			}
+			if (remove_allocations && remove_allocations.length) {
+				obj = { ...obj, remove_allocations };
+			}
+			if (oom_disabled !== undefined && typeof oom_disabled === 'boolean') {
+				obj = { ...obj, oom_disabled };
+			}
+			resolveServer(server, options)
+				.then((id) => admin.patchRequest('/api/application/servers/' + id + '/build', obj, options))
+				.then((response) => {
+					resolve({ server: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/**
+	 *
+	 * @param {ServerRef|StartupOptions} server - The server you want to update,
+	 * or every parameter in an options object
+	 * @param {?string|StartupOptions} startup - New startup command, or every following parameter in an options object
+	 * @param {Object} [environment] - Environment variables, the server's current ones when left out. Missing egg
+	 * variables are filled with their default
+	 * @param {?number} egg - New egg ID
+	 * @param {?string} image - New docker image
+	 * @param {boolean} [skip_scripts=false] - Whether or not to skip egg scripts
+	 * @param {boolean} [checkEnvironment=false] - Check environment against the egg's variables before sending,
+	 * always done when a new egg is given. Skipped when the API key has no access to nests (`AuthError`)
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{server: Server}>}
+	 */
+	const updateServerStartup = (
+		server,
+		startup,
+		environment,
+		egg,
+		image,
+		skip_scripts = false,
+		checkEnvironment = false,
+		options
+	) => {
+		// Following an options object, the next argument holds the request options
+		if (!isServerRef(server)) {
+			return updateServerStartup(...optionsToArgs(withServer(server), startupKeys), startup);
 		}
-		if (remove_allocations && remove_allocations.length) {
-			obj = { ...obj, remove_allocations };
+		if (startup !== null && typeof startup === 'object') {
+			return updateServerStartup({ ...startup, server }, environment);
 		}
-		if (oom_disabled !== undefined && typeof oom_disabled === 'boolean') {
-			obj = { ...obj, oom_disabled };
+		return new Promise((resolve, reject) => {
+			if (startup != null && typeof startup !== 'string') {
+				return reject(new ValidationError('Error: Startup command must be a string', { field: 'startup' }));
+			}
+			if (environment !== undefined && (environment === null || typeof environment !== 'object')) {
+				return reject(
+					new ValidationError('Error: Environment variables must be in an Object', { field: 'environment' })
+				);
+			}
+			if (egg != null && typeof egg !== 'number') {
+				return reject(new ValidationError('Error: Egg ID must be a number', { field: 'egg' }));
+			}
+			if (image != null && typeof image !== 'string') {
+				return reject(new ValidationError('Error: Docker image must be a string', { field: 'image' }));
+			}
+			if (typeof skip_scripts !== 'boolean') {
+				return reject(
+					new ValidationError('Error: Skip scripts setting must be a boolean', { field: 'skip_scripts' })
+				);
+			}
+
+			let internal_id;
+			// Whether the environment is the server's current one rather than given
+			let kept = false;
+			resolveServer(server, options)
+				.then((id) => {
+					internal_id = id;
+					if (environment !== undefined && (egg != null || !checkEnvironment)) {
+						return null;
+					}
+					return admin
+						.getRequest('/api/application/servers/' + id, { ...options, cache: false })
+						.then((response) => response.data.attributes);
+				})
+				.then((current) => {
+					if (environment === undefined) {
+						// The panel replaces the environment, so the current one is sent again without the
+						// variables it injects itself
+						kept = true;
+						environment = filterObject(
+							current.container.environment,
+							(val, key) => key !== 'STARTUP' && !key.startsWith('P_SERVER_')
+						);
+					}
+					// Validate against the egg the server already uses when no new one is given
+					const id = egg != null ? egg : checkEnvironment ? current.egg : null;
+					if (id == null) {
+						return null;
+					}
+					return nests.findEgg(id, options).catch((error) => {
+						if (error instanceof AuthError) {
+							return null;
+						}
+						throw error;
+					});
+				})
+				.then((eggData) => {
+					if (eggData) {
+						if (kept) {
+							// A new egg leaves the variables of the previous one behind
+							const known = eggData.variables.map((variable) => variable.env_variable);
+							environment = filterObject(environment, (val, key) => known.includes(key));
+						}
+						environment = nests.applyDefaults(eggData.variables, environment);
+						const error = nests.validateEnvironment(eggData.variables, environment);
+						if (error) {
+							throw error;
+						}
+					}
+					const obj = filterObject({ startup, environment, egg, image, skip_scripts }, (val) => val != null);
+					return admin.patchRequest('/api/application/servers/' + internal_id + '/startup', obj, options);
+				})
+				.then((response) => {
+					resolve({ server: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Polls a server with backoff until the predicate returns true
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {function(Server): (boolean|Promise<boolean>)} predicate - Called with the server after every poll,
+	 * may throw to stop waiting
+	 * @param {WaitOptions} [options]
+	 * @returns {Promise<Server>} The server that matched the predicate
+	 * @example
+	 * await client.waitForServer({ externalId: 'invoice-1234' }, (server) => server.suspended, { timeout: 60000 });
+	 */
+	const waitForServer = async (server, predicate, options = {}) => {
+		if (typeof predicate !== 'function') {
+			throw new ValidationError('Error: Predicate must be a function', { field: 'predicate' });
 		}
-		admin
-			.patchRequest('/api/application/servers/' + internal_id + '/build', obj)
-			.then((response) => {
-				resolve({ server: response.data.attributes });
-			})
-			.catch((error) => {
-				reject(error);
-			});
-	});
-};
+		const id = await resolveServer(server, { signal: options.signal, cache: false });
+		return poll(
+			async () => {
+				// Every poll has to reach the panel, a cached server would never change
+				const info = await getServerInformation(id, { signal: options.signal, cache: false });
+				return { done: Boolean(await predicate(info)), value: info };
+			},
+			options,
+			'server ' + id
+		);
+	};
+	/**
+	 * Waits until a server has finished installing, e.g after `createServer` or `reinstallServer`
+	 * @param {ServerRef} server - Internal ID, `{ externalId }`, UUID or identifier of the server
+	 * @param {WaitOptions} [options]
+	 * @returns {Promise<Server>} The installed server
+	 */
+	const waitForServerInstalled = (server, options) =>
+		waitForServer(
+			server,
+			(info) => {
+				if (info.status === 'install_failed' || info.status === 'reinstall_failed') {
+					throw new PterodactylError('Server ' + info.id + ' failed to install');
+				}
+				return Boolean(info.container.installed) && info.status !== 'installing';
+			},
+			options
+		);
+	/**
+	 * Starts building the options of a new server, call `.create()` at the end to create it
+	 * @returns {ServerBuilder}
+	 */
+	const serverBuilder = () => new ServerBuilder(resolveDryRun(createServer));
+	/**
+	 * Bulk variants of the server methods, reporting a result per server instead of rejecting at the first failure
+	 * @example
+	 * const { failed } = await client.bulk.suspend({ user: 12 }, { concurrency: 3 });
+	 */
+	const bulk = createBulk(
+		withDryRun({
+			fetchAllServers,
+			getServerInformation,
+			suspendServer,
+			unsuspendServer,
+			reinstallServer,
+			rebuildServer,
+			updateServerBuildConfiguration,
+			deleteServer
+		})
+	);
 
-//get
-exports.getAllServers = getAllServers;
-exports.getServerInformation = getServerInformation;
-exports.getAllDatabases = getAllDatabases;
-exports.getDatabase = getDatabase;
-//post
-exports.createServer = createServer;
-exports.suspendServer = suspendServer;
-exports.unsuspendServer = unsuspendServer;
-exports.reinstallServer = reinstallServer;
-exports.rebuildServer = rebuildServer;
-exports.createDatabase = createDatabase;
-//patch
-exports.updateServerDetails = updateServerDetails;
-exports.updateServerBuildConfiguration = updateServerBuildConfiguration;
-//delete
-exports.deleteServer = deleteServer;
+	return {
+		//get
+		resolveServer,
+		getAllServers,
+		iterateServers,
+		fetchAllServers,
+		getServerInformation,
+		getAllDatabases,
+		getDatabase,
+		waitForServer,
+		waitForServerInstalled,
+		//post
+		createServer,
+		serverBuilder,
+		suspendServer,
+		unsuspendServer,
+		reinstallServer,
+		rebuildServer,
+		createDatabase,
+		resetDatabasePassword,
+		//patch
+		updateServerDetails,
+		updateServerBuildConfiguration,
+		updateServerStartup,
+		//delete
+		deleteServer,
+		deleteDatabase,
+		//bulk
+		bulk
+	};
+};
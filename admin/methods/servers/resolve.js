@@ -0,0 +1,157 @@
+const { paginate } = require('../../../paginate');
+const { ValidationError, NotFoundError } = require('../../../errors');
+
+/**
+ * Anything that identifies a server: its internal ID, `{ externalId }`, its UUID or its 8 character identifier.
+ * Strings of digits are internal IDs, unless they are 8 characters long (identifiers can be all digits)
+ * @typedef {number|string|{externalId: string}} ServerRef
+ */
+
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const identifierPattern = /^[0-9a-f]{8}$/i;
+
+/**
+ * Works out which kind of reference was given
+ * @param  {ServerRef} ref
+ * @returns {?{type: string, value: (number|string)}} Null when the reference can't identify a server
+ */
+const parseServerRef = (ref) => {
+	if (typeof ref === 'number') {
+		return Number.isInteger(ref) && ref > 0 ? { type: 'id', value: ref } : null;
+	}
+	if (ref !== null && typeof ref === 'object') {
+		const externalId = ref.externalId;
+		return externalId && typeof externalId === 'string' ? { type: 'external_id', value: externalId } : null;
+	}
+	if (typeof ref !== 'string') {
+		return null;
+	}
+	if (identifierPattern.test(ref)) {
+		return { type: 'identifier', value: ref.toLowerCase() };
+	}
+	if (/^\d+$/.test(ref)) {
+		return { type: 'id', value: Number(ref) };
+	}
+	if (uuidPattern.test(ref)) {
+		return { type: 'uuid', value: ref.toLowerCase() };
+	}
+	return null;
+};
+
+/**
+ * Whether a value is a server reference rather than an options object
+ * @param  {*} value
+ * @returns {boolean}
+ */
+const isServerRef = (value) =>
+	value === null || typeof value !== 'object' || Object.prototype.hasOwnProperty.call(value, 'externalId');
+
+/**
+ * Creates a resolver turning server references into internal IDs, remembering recent lookups
+ * @param  {Object} admin Request helpers created by `createRequest`
+ * @param  {Object} [options]
+ * @param  {number} [options.cacheSize=100] Amount of references to remember
+ * @returns {{resolveServer: Function, remember: Function, forget: Function}}
+ */
+const createResolver = (admin, { cacheSize = 100 } = {}) => {
+	// "type:value" -> internal ID, oldest first
+	const cache = new Map();
+
+	const store = (key, id) => {
+		cache.delete(key);
+		cache.set(key, id);
+		if (cache.size > cacheSize) {
+			cache.delete(cache.keys().next().value);
+		}
+	};
+
+	/**
+	 * Remembers every reference of a server fetched elsewhere
+	 * @param {Server} server
+	 */
+	const remember = (server) => {
+		if (!server || !server.id) {
+			return;
+		}
+		if (server.external_id) {
+			store('external_id:' + server.external_id, server.id);
+		}
+		if (server.uuid) {
+			store('uuid:' + server.uuid.toLowerCase(), server.id);
+		}
+		if (server.identifier) {
+			store('identifier:' + server.identifier.toLowerCase(), server.id);
+		}
+	};
+
+	/**
+	 * Forgets every reference pointing to a server, used once it is deleted or its external ID changes
+	 * @param {number} id - Internal ID of the server
+	 */
+	const forget = (id) => {
+		[ ...cache.keys() ].filter((key) => cache.get(key) === id).forEach((key) => cache.delete(key));
+	};
+
+	const lookup = async ({ type, value }, options) => {
+		if (type === 'external_id') {
+			try {
+				const path = '/api/application/servers/external/' + encodeURIComponent(value);
+				const response = await admin.getRequest(path, options);
+				return response.data.attributes;
+			} catch (error) {
+				if (error instanceof NotFoundError) {
+					return null;
+				}
+				throw error;
+			}
+		}
+		// Panels without filter support ignore it and every page is searched instead
+		const filter = type === 'uuid' ? 'uuid' : 'uuidShort';
+		const servers = paginate(admin, '/api/application/servers', {
+			...options,
+			params: { ['filter[' + filter + ']']: value }
+		});
+		for await (const server of servers) {
+			if (String(server[type]).toLowerCase() === value) {
+				return server;
+			}
+		}
+		return null;
+	};
+
+	/**
+	 * Resolves a server reference to the internal ID of the server
+	 * @param {ServerRef} ref
+	 * @param {RequestOptions} [options] - Used when the reference has to be looked up
+	 * @returns {Promise<number>}
+	 */
+	const resolveServer = async (ref, options = {}) => {
+		const parsed = parseServerRef(ref);
+		if (!parsed) {
+			throw new ValidationError(
+				'Error: Server must be an internal ID, { externalId }, a UUID or an 8 character identifier',
+				{ field: 'server' }
+			);
+		}
+		if (parsed.type === 'id') {
+			return parsed.value;
+		}
+		const key = parsed.type + ':' + parsed.value;
+		if (cache.has(key)) {
+			const id = cache.get(key);
+			store(key, id);
+			return id;
+		}
+		const server = await lookup(parsed, options);
+		if (!server) {
+			const name = parsed.type === 'external_id' ? 'external ID' : parsed.type;
+			throw new NotFoundError('No server matches the ' + name + ' ' + parsed.value);
+		}
+		remember(server);
+		return server.id;
+	};
+
+	return { resolveServer, remember, forget };
+};
+
+module.exports = { createResolver, parseServerRef, isServerRef };
@@ -0,0 +1,342 @@
+const { paginate, fetchAll } = require('../../../paginate');
+const { ValidationError } = require('../../../errors');
+const { hydrate, includeParams, toQuery } = require('../../../includes');
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {?string} external_id
+ * @property {string} uuid
+ * @property {string} username
+ * @property {string} email
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} language
+ * @property {boolean} root_admin
+ * @property {boolean} 2fa
+ * @property {Server[]} [servers] Only present when `servers` is included
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+/**
+ * @typedef {Object} UserFilters
+ * @property {string} [email]
+ * @property {string} [uuid]
+ * @property {string} [username]
+ * @property {string} [external_id]
+ */
+
+const userFilters = [ 'email', 'uuid', 'username', 'external_id' ];
+const userIncludes = [ 'servers' ];
+
+/**
+ * Converts user filters to query parameters
+ * @param  {UserFilters} [filters={}]
+ * @returns {Object} Query parameters (e.g `{ 'filter[email]': 'john@example.com' }`)
+ */
+const filterParams = (filters = {}) => {
+	if (typeof filters !== 'object') {
+		throw new ValidationError('Error: Filters must be in an Object', { field: 'filters' });
+	}
+	return Object.keys(filters).reduce((params, key) => {
+		if (!userFilters.includes(key)) {
+			throw new ValidationError('Error: Users can only be filtered by ' + userFilters.join(', '), {
+				field: 'filters'
+			});
+		}
+		params['filter[' + key + ']'] = filters[key];
+		return params;
+	}, {});
+};
+
+/**
+ * Creates the user methods bound to a set of request helpers
+ * @param  {Object} admin Request helpers created by `createRequest`
+ * @returns {Object} User methods
+ */
+module.exports = (admin) => {
+	/**
+	 * Gets the first page of users on the site
+	 * @param {UserFilters} [filters] - Only return users matching these fields
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['servers']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<{users: User[], pagination: Pagination}>}
+	 */
+	const getAllUsers = (filters, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			const query = toQuery({ ...filterParams(filters), ...includeParams(include, userIncludes) });
+			admin
+				.getRequest('/api/application/users' + query, options)
+				.then((response) => {
+					resolve({
+						users: response.data.data.map(hydrate),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all users on the site, following every page
+	 * @param {Object} [options]
+	 * @param {UserFilters} [options.filters] - Only return users matching these fields
+	 * @param {number} [options.per_page] - Amount of users per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['servers']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<User>}
+	 */
+	const iterateUsers = async function*({ filters, include, params, ...options } = {}) {
+		yield* paginate(admin, '/api/application/users', {
+			...options,
+			params: { ...params, ...filterParams(filters), ...includeParams(include, userIncludes) }
+		});
+	};
+	/**
+	 * Gets all users on the site from every page
+	 * @param {Object} [options] - Same options as `iterateUsers`
+	 * @returns {Promise<User[]>}
+	 */
+	const fetchAllUsers = async ({ filters, include, params, ...options } = {}) =>
+		fetchAll(admin, '/api/application/users', {
+			...options,
+			params: { ...params, ...filterParams(filters), ...includeParams(include, userIncludes) }
+		});
+	/**
+	 *
+	 * @param {number} internal_id - Internal ID of the user
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['servers']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<User>}
+	 */
+	const getUser = (internal_id, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(internal_id)) {
+				return reject(new ValidationError('Internal ID must be a number', { field: 'internal_id' }));
+			}
+			admin
+				.getRequest(
+					'/api/application/users/' + internal_id + toQuery(includeParams(include, userIncludes)),
+					options
+				)
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} external_id - External ID of the user
+	 * @param {Object} [options]
+	 * @param {string[]} [options.include] - Relationships to include (e.g `['servers']`)
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<User>}
+	 */
+	const getUserByExternalId = (external_id, { include, ...options } = {}) => {
+		return new Promise((resolve, reject) => {
+			if (!external_id || typeof external_id !== 'string') {
+				return reject(new ValidationError('External ID must be a string', { field: 'external_id' }));
+			}
+			const query = toQuery(includeParams(include, userIncludes));
+			admin
+				.getRequest('/api/application/users/external/' + encodeURIComponent(external_id) + query, options)
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* POST */
+	/**
+	 *
+	 * @param {string} email - Email address of the user
+	 * @param {string} username - Username of the user
+	 * @param {string} firstName - First name of the user
+	 * @param {string} lastName - Last name of the user
+	 * @param {?string} [password] - Password of the user, the panel emails a setup link when left out
+	 * @param {?string} [externalId] - External ID of the user
+	 * @param {boolean} [rootAdmin=false] - Whether the user is an administrator
+	 * @param {string} [language='en'] - Language of the user
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{user: User}>}
+	 */
+	const createUser = (
+		email,
+		username,
+		firstName,
+		lastName,
+		password,
+		externalId,
+		rootAdmin = false,
+		language = 'en',
+		options
+	) => {
+		return new Promise((resolve, reject) => {
+			if (typeof email !== 'string') {
+				return reject(new ValidationError('Error: Email must be a string', { field: 'email' }));
+			}
+			if (typeof username !== 'string') {
+				return reject(new ValidationError('Error: Username must be a string', { field: 'username' }));
+			}
+			if (typeof firstName !== 'string') {
+				return reject(new ValidationError('Error: First name must be a string', { field: 'first_name' }));
+			}
+			if (typeof lastName !== 'string') {
+				return reject(new ValidationError('Error: Last name must be a string', { field: 'last_name' }));
+			}
+			if (password && typeof password !== 'string') {
+				return reject(new ValidationError('Error: Password must be a string', { field: 'password' }));
+			}
+			if (externalId && typeof externalId !== 'string') {
+				return reject(new ValidationError('Error: External ID must be a string', { field: 'external_id' }));
+			}
+			if (typeof rootAdmin !== 'boolean') {
+				return reject(
+					new ValidationError('Error: Root admin setting must be a boolean', { field: 'root_admin' })
+				);
+			}
+			if (typeof language !== 'string') {
+				return reject(new ValidationError('Error: Language must be a string', { field: 'language' }));
+			}
+
+			const data = {
+				email,
+				username,
+				first_name: firstName,
+				last_name: lastName,
+				root_admin: rootAdmin,
+				language
+			};
+			if (password) {
+				data.password = password;
+			}
+			if (externalId) {
+				data.external_id = externalId;
+			}
+
+			admin
+				.postRequest('/api/application/users', data, options)
+				.then((response) => {
+					resolve({ user: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* PATCH */
+	/**
+	 * @param {number} internal_id - Internal ID of the user you want to update
+	 * @param {string} email - New email address
+	 * @param {string} username - New username
+	 * @param {string} firstName - New first name
+	 * @param {string} lastName - New last name
+	 * @param {?string} [password] - New password
+	 * @param {?string} [externalId] - New external ID
+	 * @param {?boolean} [rootAdmin] - Whether the user is an administrator
+	 * @param {?string} [language] - New language
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{user: User}>}
+	 */
+	const updateUser = (
+		internal_id,
+		email,
+		username,
+		firstName,
+		lastName,
+		password,
+		externalId,
+		rootAdmin,
+		language,
+		options
+	) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(internal_id)) {
+				return reject(new ValidationError('Internal ID must be a number', { field: 'internal_id' }));
+			}
+			if (!email || typeof email !== 'string') {
+				return reject(new ValidationError('You must supply a valid email', { field: 'email' }));
+			}
+			if (!username || typeof username !== 'string') {
+				return reject(new ValidationError('You must supply a valid username', { field: 'username' }));
+			}
+			if (!firstName || typeof firstName !== 'string') {
+				return reject(new ValidationError('You must supply a valid first name', { field: 'first_name' }));
+			}
+			if (!lastName || typeof lastName !== 'string') {
+				return reject(new ValidationError('You must supply a valid last name', { field: 'last_name' }));
+			}
+			const obj = { email, username, first_name: firstName, last_name: lastName };
+			if (password && typeof password === 'string') {
+				obj.password = password;
+			}
+			if (externalId) {
+				obj.external_id = externalId;
+			}
+			if (rootAdmin !== undefined && typeof rootAdmin === 'boolean') {
+				obj.root_admin = rootAdmin;
+			}
+			if (language && typeof language === 'string') {
+				obj.language = language;
+			}
+
+			admin
+				.patchRequest('/api/application/users/' + internal_id, obj, options)
+				.then((response) => {
+					resolve({ user: response.data.attributes });
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* DELETE */
+	/**
+	 *
+	 * @param {number} internal_id - Internal ID of the user
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteUser = (internal_id, options) => {
+		return new Promise((resolve, reject) => {
+			if (isNaN(internal_id)) {
+				return reject(new ValidationError('Internal ID must be a number', { field: 'internal_id' }));
+			}
+			admin
+				.deleteRequest('/api/application/users/' + internal_id, options)
+				.then(() => {
+					resolve('Successfully deleted the user');
+				})
+				.catch((err) => {
+					reject(err);
+				});
+		});
+	};
+
+	return {
+		//get
+		getAllUsers,
+		iterateUsers,
+		fetchAllUsers,
+		getUser,
+		getUserByExternalId,
+		//post
+		createUser,
+		//patch
+		updateUser,
+		//delete
+		deleteUser
+	};
+};
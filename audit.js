@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { redact } = require('./middleware');
+
+/**
+ * A single mutation, as recorded by the audit sink
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp When the request was made, as an ISO 8601 string
+ * @property {?string} actor Who made the change, from the `actor` option
+ * @property {string} method HTTP method (e.g "POST")
+ * @property {string} path API Endpoint path, including its query string
+ * @property {string} target What was changed (e.g "servers/7"), created resources get their new ID
+ * @property {Object} [payload] Request body, with the API key and any password, secret or token redacted
+ * @property {string} outcome success or failure
+ * @property {number} [status] HTTP status of the response
+ * @property {string} [error] Why the request failed
+ * @property {number} duration Milliseconds the request took, including retries
+ */
+/**
+ * Receives every mutation, may return a promise. Either a function or an object with a `write` method.
+ * @typedef {function(AuditEntry)|{write: function(AuditEntry)}} AuditSink
+ */
+
+const sensitiveFields = /password|secret|token/i;
+
+/**
+ * Copies a payload, redacting the values of fields that hold credentials
+ * @param  {*} value
+ * @returns {*}
+ */
+const redactFields = (value) => {
+	if (Array.isArray(value)) {
+		return value.map(redactFields);
+	}
+	if (value !== null && typeof value === 'object') {
+		return Object.keys(value).reduce((copy, key) => {
+			copy[key] = sensitiveFields.test(key) && value[key] != null ? '[redacted]' : redactFields(value[key]);
+			return copy;
+		}, {});
+	}
+	return value;
+};
+
+/**
+ * Works out what a request changed from its path, e.g "servers/7" for `/api/application/servers/7/suspend`
+ * and "servers/7/databases/4" for `/api/application/servers/7/databases/4/reset-password`
+ * @param  {string} path API Endpoint path
+ * @param  {Object} [response] Response, created resources (201) get their new ID appended
+ * @returns {string}
+ */
+const targetOf = (path, response) => {
+	const segments = path.split('?')[0].split('/').filter(Boolean).slice(2);
+	const data = response && response.data;
+	if (response && response.status === 201 && data && data.attributes && data.attributes.id !== undefined) {
+		segments.push(String(data.attributes.id));
+	} else if (segments.length > 1 && segments.length % 2 === 1) {
+		// A trailing action, such as suspend or details
+		segments.pop();
+	}
+	return segments.join('/');
+};
+
+/**
+ * Builds the audit entry of a finished request
+ * @param  {Object} request
+ * @param  {string} request.method HTTP method
+ * @param  {string} request.path API Endpoint path
+ * @param  {Object} [request.data] Request body
+ * @param  {string} [request.target] What was changed, worked out from the path by default
+ * @param  {?string} request.actor
+ * @param  {number} request.start When the request started, in milliseconds
+ * @param  {string[]} request.secrets Values to redact, such as the API key
+ * @param  {Object} [response] Response, when it succeeded
+ * @param  {Error} [error] Error, when it failed
+ * @returns {AuditEntry}
+ */
+const createEntry = ({ method, path, data, target, actor, start, secrets }, response, error) => {
+	const entry = {
+		timestamp: new Date(start).toISOString(),
+		actor: actor === undefined ? null : actor,
+		method: method.toUpperCase(),
+		path: redact(path, secrets),
+		target: redact(target || targetOf(path, response), secrets),
+		payload: redact(redactFields(data), secrets),
+		outcome: error ? 'failure' : 'success',
+		status: error ? error.status : response.status,
+		duration: Date.now() - start
+	};
+	if (error) {
+		entry.error = redact(error.message, secrets);
+	}
+	return entry;
+};
+
+/**
+ * Hands an entry to the sink. A failing sink can't undo the change that was made,
+ * so it only emits a warning instead of failing the request.
+ * @param  {AuditSink} sink
+ * @param  {AuditEntry} entry
+ * @returns {Promise<void>}
+ */
+const record = (sink, entry) =>
+	Promise.resolve()
+		.then(() => (typeof sink === 'function' ? sink(entry) : sink.write(entry)))
+		.catch((error) => {
+			process.emitWarning(
+				'Could not write the audit entry of ' + entry.method + ' ' + entry.path + ': ' + error.message,
+				'AuditWarning'
+			);
+		});
+
+/**
+ * Creates an audit sink appending every entry to a file, one JSON object per line
+ * @param  {string} file Path of the file, created when missing
+ * @returns {{write: function(AuditEntry): Promise<void>}}
+ * @example
+ * const client = new PterodactylClient({ host, key, audit: createFileAuditSink('/var/log/panel-audit.jsonl') });
+ */
+const createFileAuditSink = (file) => {
+	// Entries are appended one after the other so lines never interleave
+	let queue = Promise.resolve();
+	return {
+		write: (entry) => {
+			const line = JSON.stringify(entry) + '\n';
+			const write = queue.then(() => fs.promises.appendFile(file, line));
+			queue = write.catch(() => undefined);
+			return write;
+		}
+	};
+};
+
+module.exports = { createEntry, record, createFileAuditSink };
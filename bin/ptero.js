@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// The command line is built on util.parseArgs, the library itself does not need it
+if (typeof require('util').parseArgs !== 'function') {
+	console.error('ptero needs Node.js 18.3 or later, this is ' + process.version);
+	process.exitCode = 1;
+} else {
+	const { main } = require('../cli');
+
+	main(process.argv.slice(2)).then((code) => {
+		process.exitCode = code;
+	});
+}
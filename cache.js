@@ -0,0 +1,178 @@
+/**
+ * Where cached responses are kept, every method may return a promise (e.g for Redis)
+ * @typedef {Object} CacheStore
+ * @property {function(string): *} get Stored value of a key, undefined when missing or expired
+ * @property {function(string, string, number): *} set Stores a value for the given amount of milliseconds
+ * @property {function(string): *} delete Removes a key
+ * @property {function(string): (string[]|Promise<string[]>)} keys Every stored key starting with the prefix
+ */
+/**
+ * @typedef {Object} CacheOptions
+ * @property {CacheStore} [store] Defaults to an in-memory store of 500 responses
+ * @property {number|Object<string, number>} [ttl=10000] Milliseconds a response is kept, or milliseconds by
+ * endpoint where `*` matches one path segment (e.g `{ '/api/application/servers/*': 60000, default: 5000 }`),
+ * 0 disables caching of an endpoint
+ */
+
+/**
+ * Creates a store keeping the most recently used responses in memory
+ * @param  {Object} [options]
+ * @param  {number} [options.max=500] Amount of responses to keep
+ * @returns {CacheStore}
+ */
+const createMemoryStore = ({ max = 500 } = {}) => {
+	// key -> { value, expires }, least recently used first
+	const entries = new Map();
+	return {
+		get(key) {
+			const entry = entries.get(key);
+			if (!entry) {
+				return undefined;
+			}
+			entries.delete(key);
+			if (entry.expires <= Date.now()) {
+				return undefined;
+			}
+			entries.set(key, entry);
+			return entry.value;
+		},
+		set(key, value, ttl) {
+			entries.delete(key);
+			entries.set(key, { value, expires: Date.now() + ttl });
+			while (entries.size > max) {
+				entries.delete(entries.keys().next().value);
+			}
+		},
+		delete(key) {
+			entries.delete(key);
+		},
+		keys(prefix) {
+			return [ ...entries.keys() ].filter((key) => key.startsWith(prefix));
+		}
+	};
+};
+
+/**
+ * Whether a path matches an endpoint pattern, where `*` matches one path segment
+ * @param  {string} endpoint (e.g "/api/application/servers/*")
+ * @param  {string} path API Endpoint path without query string
+ * @returns {boolean}
+ */
+const matchesEndpoint = (endpoint, path) => {
+	const escaped = endpoint.split('*').map((part) => part.replace(/[.?+^$|()[\]{}\\]/g, '\\$&'));
+	return new RegExp('^' + escaped.join('[^/]+') + '$').test(path);
+};
+
+/**
+ * Works out how long a response of an endpoint is kept
+ * @param  {number|Object<string, number>} ttl
+ * @param  {string} path API Endpoint path without query string
+ * @returns {number} Milliseconds, 0 when it isn't cached
+ */
+const ttlFor = (ttl = 10000, path) => {
+	if (typeof ttl === 'number') {
+		return ttl;
+	}
+	const endpoint = Object.keys(ttl).find((pattern) => pattern !== 'default' && matchesEndpoint(pattern, path));
+	if (endpoint) {
+		return ttl[endpoint];
+	}
+	return ttl.default === undefined ? 10000 : ttl.default;
+};
+
+/**
+ * Lists what a write to a path makes stale: everything under the resource it changed (e.g every
+ * `/api/application/servers/7...` path), its parent lists and the external ID lookups of the collection
+ * @param  {string} path API Endpoint path without query string
+ * @returns {{under: string[], exact: string[]}} Paths to evict with anything below them, and paths to evict
+ * with any query string
+ */
+const stalePaths = (path) => {
+	const segments = path.split('/').filter(Boolean);
+	const under = [ '/' + segments.slice(0, 3).join('/') + '/external' ];
+	if (segments.length > 3) {
+		under.push('/' + segments.slice(0, 4).join('/'));
+	}
+	const exact = [];
+	for (let i = Math.min(segments.length, 3); i > 0; i--) {
+		exact.push('/' + segments.slice(0, i).join('/'));
+	}
+	return { under, exact };
+};
+
+/**
+ * Creates the response cache of a client, reading `config.cache` on every call so it can be configured later
+ * @param  {{host: string, cache: (boolean|CacheOptions), params: ?Object}} config
+ * @returns {{get: Function, set: Function, invalidate: Function}}
+ */
+const createCache = (config) => {
+	let defaultStore;
+	const options = () => (config.cache === true ? {} : config.cache || null);
+	const store = () => options().store || (defaultStore = defaultStore || createMemoryStore());
+	const key = (path, params = {}) => {
+		const query = new URLSearchParams(
+			Object.keys(params)
+				.sort()
+				.map((name) => [ name, params[name] ])
+		).toString();
+		return config.host + path + (query ? (path.includes('?') ? '&' : '?') + query : '');
+	};
+	// A failing store never fails the request, it is treated as a miss
+	const safely = (fn) => Promise.resolve().then(fn).catch(() => undefined);
+
+	return {
+		/**
+		 * Gets a cached response body
+		 * @param  {string} path API Endpoint path
+		 * @param  {Object} [params] Query parameters sent with the path
+		 * @returns {Promise<*>} Undefined on a miss or when caching is off
+		 */
+		get: (path, params) => {
+			if (!options() || !ttlFor(options().ttl, path.split('?')[0])) {
+				return Promise.resolve(undefined);
+			}
+			return safely(() => store().get(key(path, params))).then((value) =>
+				value === undefined ? undefined : JSON.parse(value)
+			);
+		},
+		/**
+		 * Caches a response body for the TTL of its endpoint
+		 * @param  {string} path API Endpoint path
+		 * @param  {Object} [params] Query parameters sent with the path
+		 * @param  {*} data Response body
+		 * @returns {Promise<void>}
+		 */
+		set: (path, params, data) => {
+			const ttl = options() ? ttlFor(options().ttl, path.split('?')[0]) : 0;
+			if (!ttl) {
+				return Promise.resolve();
+			}
+			return safely(() => store().set(key(path, params), JSON.stringify(data), ttl));
+		},
+		/**
+		 * Evicts every cached response a write to the path made stale
+		 * @param  {string} path API Endpoint path that was written to
+		 * @returns {Promise<void>}
+		 */
+		invalidate: (path) => {
+			if (!options()) {
+				return Promise.resolve();
+			}
+			const { under, exact } = stalePaths(path.split('?')[0]);
+			const evict = (prefix, boundary) =>
+				safely(() => store().keys(config.host + prefix)).then((keys) =>
+					Promise.all(
+						(keys || [])
+							.filter((cached) => boundary.test(cached.slice(config.host.length + prefix.length)))
+							.map((cached) => safely(() => store().delete(cached)))
+					)
+				);
+			return Promise.all([
+				...under.map((prefix) => evict(prefix, /^($|[/?])/)),
+				...exact.map((prefix) => evict(prefix, /^($|\?)/))
+			]).then(() => undefined);
+		}
+	};
+};
+
+module.exports = { createCache, createMemoryStore };
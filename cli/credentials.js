@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Drops empty values so unset environment variables don't override the profile
+ * @param  {Object} obj
+ * @returns {Object}
+ */
+const filterEmpty = (obj) =>
+	Object.keys(obj).reduce((filtered, key) => (obj[key] ? { ...filtered, [key]: obj[key] } : filtered), {});
+
+/**
+ * Reads the panel credentials, `PTERODACTYL_HOST` and `PTERODACTYL_KEY` take precedence over the profile file.
+ * The profile file (`~/.ptero.json`, or `PTERODACTYL_CONFIG`) looks like
+ * `{ "default": "eu", "profiles": { "eu": { "host": "https://eu.panel.example.com", "key": "..." } } }`
+ * @param  {Object} env Environment variables
+ * @param  {string} [profile] Profile to use, `PTERODACTYL_PROFILE` or the file's default otherwise
+ * @returns {{host: string, key: string}}
+ * @throws {Error} When no host or key could be found, or the profile file is unreadable
+ */
+const loadCredentials = (env, profile = env.PTERODACTYL_PROFILE) => {
+	const file = env.PTERODACTYL_CONFIG || path.join(os.homedir(), '.ptero.json');
+	let config = { profiles: {} };
+	if (fs.existsSync(file)) {
+		try {
+			config = JSON.parse(fs.readFileSync(file, 'utf8'));
+		} catch (error) {
+			throw new Error('Could not read the profile file ' + file + ': ' + error.message);
+		}
+	} else if (profile) {
+		throw new Error('Profile ' + profile + ' was asked for, but ' + file + ' does not exist');
+	}
+
+	const name = profile || config.default || 'default';
+	const profiles = config.profiles || {};
+	if (profile && !profiles[profile]) {
+		throw new Error('Profile ' + profile + ' is not in ' + file);
+	}
+	const { host, key } = { ...profiles[name], ...filterEmpty({ host: env.PTERODACTYL_HOST, key: env.PTERODACTYL_KEY }) };
+	if (!host || !key) {
+		throw new Error(
+			'No panel credentials found, set PTERODACTYL_HOST and PTERODACTYL_KEY or add a profile to ' + file
+		);
+	}
+	return { host, key };
+};
+
+module.exports = { loadCredentials };
@@ -0,0 +1,50 @@
+/**
+ * Columns shown by the table and csv formats, json always prints every field
+ */
+const columns = {
+	server: [ 'id', 'external_id', 'identifier', 'name', 'user', 'node', 'suspended', 'status' ],
+	database: [ 'id', 'server', 'database', 'username', 'remote', 'host', 'password' ]
+};
+
+/**
+ * Turns a value into the text of a single cell
+ * @param  {*} value
+ * @returns {string}
+ */
+const cell = (value) => {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Quotes a csv field when it contains a separator, quote or line break
+ * @param  {string} value
+ * @returns {string}
+ */
+const csvField = (value) => (/[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value);
+
+/**
+ * Formats resources for the terminal
+ * @param  {Object[]} rows
+ * @param  {string} [format='table'] One of table, json or csv
+ * @param  {string} [type] Resource type picking the columns (e.g "server"), every key of the first row otherwise
+ * @returns {string}
+ */
+const format = (rows, format = 'table', type) => {
+	if (format === 'json') {
+		return JSON.stringify(rows, null, 2);
+	}
+	const keys = columns[type] || Object.keys(rows[0] || {});
+	// Leave out columns no row has, such as passwords that were not included
+	const shown = keys.filter((key) => rows.length === 0 || rows.some((row) => row[key] !== undefined));
+	const lines = [ shown, ...rows.map((row) => shown.map((key) => cell(row[key]))) ];
+	if (format === 'csv') {
+		return lines.map((line) => line.map(csvField).join(',')).join('\n');
+	}
+	const widths = shown.map((key, i) => Math.max(...lines.map((line) => line[i].length)));
+	return lines.map((line) => line.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+};
+
+module.exports = { format, formats: [ 'table', 'json', 'csv' ] };
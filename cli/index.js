@@ -0,0 +1,316 @@
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { PterodactylClient } = require('../client');
+const { PterodactylError } = require('../errors');
+const { loadCredentials } = require('./credentials');
+const { format, formats } = require('./format');
+
+/**
+ * Thrown for mistakes in the command line itself, exits with 2 instead of 1
+ */
+class UsageError extends Error {}
+
+/**
+ * Thrown when a confirmation was declined
+ */
+class Aborted extends Error {}
+
+const usage = `Usage: ptero <command> [options]
+
+Commands:
+  servers list                                  List every server
+  servers get <server>                          Show a server
+  servers create --from <spec> [--wait]         Create a server from createServer options
+  servers suspend <server>                      Suspend a server
+  servers unsuspend <server>                    Unsuspend a server
+  servers reinstall <server>                    Reinstall a server
+  servers delete <server>                       Delete a server
+  databases list <server>                       List the databases of a server
+  databases create <server> --name <name> --database-host <id> [--remote <rule>]
+  databases reset-password <server> <database>  Generate a new password for a database
+  databases delete <server> <database>          Delete a database
+  fleet plan --from <fleet> [--prune]           Show what it takes to match a desired-state document
+  fleet apply --from <fleet> [--prune]          Make the changes of the plan
+
+Options:
+  --format <table|json|csv>  Output format, table by default
+  --external                 <server> is an external ID
+  --passwords                databases list: include the passwords
+  --prune                    fleet: also delete servers and databases the document doesn't have
+  --profile <name>           Profile of ~/.ptero.json to use
+  -y, --yes                  Don't ask before changing anything
+  -h, --help                 Show this help
+
+<server> is an internal ID, UUID or 8 character identifier, or an external ID with --external.
+<spec> and <fleet> are JSON files, or YAML files ending in .yaml or .yml.
+Credentials come from PTERODACTYL_HOST and PTERODACTYL_KEY, or a profile in ~/.ptero.json.`;
+
+const options = {
+	format: { type: 'string', default: 'table' },
+	external: { type: 'boolean', default: false },
+	passwords: { type: 'boolean', default: false },
+	prune: { type: 'boolean', default: false },
+	from: { type: 'string' },
+	wait: { type: 'boolean', default: false },
+	name: { type: 'string' },
+	'database-host': { type: 'string' },
+	remote: { type: 'string', default: '%' },
+	profile: { type: 'string' },
+	yes: { type: 'boolean', short: 'y', default: false },
+	help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Turns a `<server>` argument into a server reference
+ * @param  {string} value
+ * @param  {Object} flags Parsed options
+ * @returns {ServerRef}
+ */
+const toRef = (value, flags) => (flags.external ? { externalId: value } : value);
+
+/**
+ * Turns a numeric argument into a number
+ * @param  {string} value
+ * @param  {string} name Name of the argument, used in the error
+ * @returns {number}
+ */
+const toNumber = (value, name) => {
+	if (!/^\d+$/.test(value)) {
+		throw new UsageError('<' + name + '> must be a number, got ' + value);
+	}
+	return Number(value);
+};
+
+/**
+ * Reads the JSON or YAML file given with `--from`, YAML files end in .yaml or .yml
+ * @param  {string} file
+ * @param  {string} command Command needing the file, used in the error
+ * @returns {Object}
+ */
+const readSpec = (file, command) => {
+	if (!file) {
+		throw new UsageError(command + ' needs --from <file.json|file.yaml>');
+	}
+	try {
+		const text = fs.readFileSync(file, 'utf8');
+		return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+	} catch (error) {
+		throw new Error('Could not read ' + file + ': ' + error.message);
+	}
+};
+
+/**
+ * Every command, `confirm` is asked before mutating commands run.
+ * `run` resolves with the resources to print, or a message. It can ask more questions through `ask`.
+ */
+const commands = {
+	servers: {
+		list: {
+			args: [],
+			run: (client) => client.fetchAllServers().then((rows) => ({ rows, type: 'server' }))
+		},
+		get: {
+			args: [ 'server' ],
+			run: (client, [ server ], flags) =>
+				client.getServerInformation(toRef(server, flags)).then((row) => ({ rows: [ row ], type: 'server' }))
+		},
+		create: {
+			args: [],
+			confirm: (args, flags) => 'Create a server from ' + flags.from + '?',
+			prepare: (args, flags) => readSpec(flags.from, 'servers create'),
+			run: (client, args, flags, spec) =>
+				client
+					.createServer({ ...spec, waitUntilInstalled: flags.wait || spec.waitUntilInstalled })
+					.then(({ server }) => ({ rows: [ server ], type: 'server' }))
+		},
+		suspend: {
+			args: [ 'server' ],
+			confirm: ([ server ]) => 'Suspend server ' + server + '?',
+			run: (client, [ server ], flags) => client.suspendServer(toRef(server, flags))
+		},
+		unsuspend: {
+			args: [ 'server' ],
+			confirm: ([ server ]) => 'Unsuspend server ' + server + '?',
+			run: (client, [ server ], flags) => client.unsuspendServer(toRef(server, flags))
+		},
+		reinstall: {
+			args: [ 'server' ],
+			confirm: ([ server ]) => 'Reinstall server ' + server + '? Its files may be overwritten',
+			run: (client, [ server ], flags) => client.reinstallServer(toRef(server, flags))
+		},
+		delete: {
+			args: [ 'server' ],
+			confirm: ([ server ]) => 'Delete server ' + server + ' and all of its files?',
+			run: (client, [ server ], flags) => client.deleteServer(toRef(server, flags))
+		}
+	},
+	databases: {
+		list: {
+			args: [ 'server' ],
+			run: (client, [ server ], flags) =>
+				client
+					.getAllDatabases(toRef(server, flags), flags.passwords)
+					.then(({ databases }) => ({ rows: databases, type: 'database' }))
+		},
+		create: {
+			args: [ 'server' ],
+			confirm: ([ server ], flags) => 'Create database ' + flags.name + ' on server ' + server + '?',
+			prepare: (args, flags) => {
+				if (!flags.name || !flags['database-host']) {
+					throw new UsageError('databases create needs --name <name> and --database-host <id>');
+				}
+				return toNumber(flags['database-host'], 'database-host');
+			},
+			run: (client, [ server ], flags, host) =>
+				client
+					.createDatabase(toRef(server, flags), flags.name, host, flags.remote)
+					.then((row) => ({ rows: [ row ], type: 'database' }))
+		},
+		'reset-password': {
+			args: [ 'server', 'database' ],
+			prepare: ([ server, database ]) => toNumber(database, 'database'),
+			confirm: ([ server, database ]) =>
+				'Reset the password of database ' + database + ' on server ' + server + '?',
+			run: (client, [ server ], flags, database) =>
+				client
+					.resetDatabasePassword(toRef(server, flags), database)
+					.then((row) => ({ rows: [ row ], type: 'database' }))
+		},
+		delete: {
+			args: [ 'server', 'database' ],
+			prepare: ([ server, database ]) => toNumber(database, 'database'),
+			confirm: ([ server, database ]) => 'Delete database ' + database + ' on server ' + server + '?',
+			run: (client, [ server ], flags, database) => client.deleteDatabase(toRef(server, flags), database)
+		}
+	},
+	fleet: {
+		plan: {
+			args: [],
+			prepare: (args, flags) => readSpec(flags.from, 'fleet plan'),
+			run: (client, args, flags, document) =>
+				client.reconcile.plan(document, { prune: flags.prune }).then(client.reconcile.format)
+		},
+		apply: {
+			args: [],
+			prepare: (args, flags) => readSpec(flags.from, 'fleet apply'),
+			run: async (client, args, flags, document, { ask, print }) => {
+				const plan = await client.reconcile.plan(document, { prune: flags.prune });
+				print(client.reconcile.format(plan));
+				if (!plan.changes.length) {
+					return 'Nothing to apply';
+				}
+				if (!(await ask('Apply ' + plan.changes.length + ' changes?'))) {
+					throw new Aborted();
+				}
+				const { results, failed } = await client.reconcile.apply(plan);
+				results.forEach(({ change, ok, error }) => {
+					const line = change.action + ' ' + change.type + ' ' + change.key;
+					print((ok ? 'done    ' : 'failed  ') + line + (ok ? '' : ': ' + error.message));
+				});
+				if (failed.length) {
+					throw new Error(failed.length + ' of ' + results.length + ' changes failed');
+				}
+				return 'Applied ' + results.length + ' changes';
+			}
+		}
+	}
+};
+
+/**
+ * Asks a yes/no question, anything but yes (including a closed stdin) is a no
+ * @param  {string} question
+ * @param  {stream.Readable} input
+ * @param  {stream.Writable} output
+ * @returns {Promise<boolean>}
+ */
+const confirm = (question, input, output) =>
+	new Promise((resolve) => {
+		const rl = readline.createInterface({ input, output, terminal: false });
+		let answered = false;
+		rl.on('close', () => resolve(answered));
+		output.write(question + ' [y/N] ');
+		rl.once('line', (answer) => {
+			answered = /^y(es)?$/i.test(answer.trim());
+			rl.close();
+		});
+	});
+
+/**
+ * Builds the message printed for a failed command
+ * @param  {Error} error
+ * @returns {string}
+ */
+const describe = (error) => {
+	const lines = [ 'Error: ' + error.message.replace(/^Error: /, '') ];
+	if (error instanceof PterodactylError) {
+		// Local validation puts its only message in the error message already
+		if (error.fields && error.errors.length) {
+			Object.keys(error.fields).forEach((field) => {
+				lines.push('  ' + field + ': ' + error.fields[field].join(' '));
+			});
+		}
+		if (error.method && error.path) {
+			lines.push('  (' + error.method + ' ' + error.path + ')');
+		}
+	}
+	return lines.join('\n');
+};
+
+/**
+ * Runs the command line tool
+ * @param  {string[]} argv Arguments without the node and script paths
+ * @param  {Object} [io]
+ * @param  {Object} [io.env=process.env]
+ * @param  {stream.Readable} [io.stdin=process.stdin]
+ * @param  {stream.Writable} [io.stdout=process.stdout]
+ * @param  {stream.Writable} [io.stderr=process.stderr]
+ * @returns {Promise<number>} Exit code, 1 when the command failed and 2 when it was used wrong
+ */
+const main = async (
+	argv,
+	{ env = process.env, stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}
+) => {
+	try {
+		const { values: flags, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+		if (flags.help || positionals.length === 0) {
+			(flags.help ? stdout : stderr).write(usage + '\n');
+			return flags.help ? 0 : 2;
+		}
+		const [ group, name, ...args ] = positionals;
+		const command = commands[group] && Object.prototype.hasOwnProperty.call(commands[group], name)
+			? commands[group][name]
+			: null;
+		if (!command) {
+			throw new UsageError('Unknown command: ' + positionals.slice(0, 2).join(' ') + ', see ptero --help');
+		}
+		if (!formats.includes(flags.format)) {
+			throw new UsageError('--format must be one of ' + formats.join(', '));
+		}
+		if (args.length < command.args.length) {
+			throw new UsageError('Missing <' + command.args[args.length] + '>, see ptero --help');
+		}
+
+		const prepared = command.prepare ? command.prepare(args, flags) : undefined;
+		const client = new PterodactylClient(loadCredentials(env, flags.profile));
+		const ask = (question) => (flags.yes ? Promise.resolve(true) : confirm(question, stdin, stderr));
+		if (command.confirm && !(await ask(command.confirm(args, flags)))) {
+			throw new Aborted();
+		}
+		const print = (text) => stdout.write(text + '\n');
+		const result = await command.run(client, args, flags, prepared, { ask, print });
+		stdout.write((typeof result === 'string' ? result : format(result.rows, flags.format, result.type)) + '\n');
+		return 0;
+	} catch (error) {
+		if (error instanceof Aborted) {
+			stderr.write('Aborted, pass --yes to skip the confirmation\n');
+			return 1;
+		}
+		const usageError = error instanceof UsageError || /^ERR_PARSE_ARGS/.test(error.code);
+		stderr.write(describe(error) + '\n');
+		return usageError ? 2 : 1;
+	}
+};
+
+module.exports = { main };
@@ -0,0 +1,102 @@
+const { createRequest, cleanHost } = require('./request');
+const { ValidationError } = require('./errors');
+const servers = require('./admin/methods/servers/index');
+const users = require('./admin/methods/users/index');
+const nodes = require('./admin/methods/nodes/index');
+const nests = require('./admin/methods/nests/index');
+const databaseHosts = require('./admin/methods/databaseHosts/index');
+const createReconciler = require('./admin/methods/reconcile/index');
+const { withDryRun } = require('./dryRun');
+const userServers = require('./user/methods/servers/index');
+const account = require('./user/methods/account/index');
+const files = require('./user/methods/files/index');
+const backups = require('./user/methods/backups/index');
+const schedules = require('./user/methods/schedules/index');
+const subusers = require('./user/methods/subusers/index');
+
+/**
+ * A client bound to a single panel, so several panels can be used from one process
+ */
+class PterodactylClient {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.host - Base URI of the pterodactyl panel
+	 * @param {string} options.key - Admin API key for the pterodactyl panel
+	 * @param {...*} options.options - Any other `RequestConfig` option, such as `retries` or `requestsPerMinute`
+	 */
+	constructor({ host, key, ...options } = {}) {
+		if (!host || typeof host !== 'string') {
+			throw new ValidationError('Error: Host must be a string', { field: 'host' });
+		}
+		if (!key || typeof key !== 'string') {
+			throw new ValidationError('Error: API key must be a string', { field: 'key' });
+		}
+		this.request = createRequest({ ...options, host: cleanHost(host), key });
+		const nestMethods = nests(this.request);
+		Object.assign(
+			this,
+			withDryRun({
+				...servers(this.request, nestMethods),
+				...users(this.request),
+				...nodes(this.request),
+				...nestMethods,
+				...databaseHosts(this.request)
+			})
+		);
+		this.reconcile = createReconciler(this);
+	}
+
+	/**
+	 * Adds a middleware wrapping every following request of this client
+	 * @param {Middleware} fn - Called with the request context and `next`
+	 * @returns {this}
+	 */
+	use(fn) {
+		this.request.use(fn);
+		return this;
+	}
+}
+
+/**
+ * A client API session bound to a single panel and client API key
+ */
+class PterodactylUserClient {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.host - Base URI of the pterodactyl panel
+	 * @param {string} options.key - Client API key for the pterodactyl panel
+	 * @param {...*} options.options - Any other `RequestConfig` option, such as `retries` or `requestsPerMinute`
+	 */
+	constructor({ host, key, ...options } = {}) {
+		if (!host || typeof host !== 'string') {
+			throw new ValidationError('Error: Host must be a string', { field: 'host' });
+		}
+		if (!key || typeof key !== 'string') {
+			throw new ValidationError('Error: API key must be a string', { field: 'key' });
+		}
+		this.request = createRequest({ ...options, host: cleanHost(host), key });
+		Object.assign(
+			this,
+			withDryRun({
+				...userServers(this.request),
+				...account(this.request),
+				...files(this.request),
+				...backups(this.request),
+				...schedules(this.request),
+				...subusers(this.request)
+			})
+		);
+	}
+
+	/**
+	 * Adds a middleware wrapping every following request of this client
+	 * @param {Middleware} fn - Called with the request context and `next`
+	 * @returns {this}
+	 */
+	use(fn) {
+		this.request.use(fn);
+		return this;
+	}
+}
+
+module.exports = { PterodactylClient, PterodactylUserClient };
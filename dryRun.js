@@ -0,0 +1,62 @@
+/**
+ * What a write would have sent, returned instead of sending it in dry-run mode
+ * @typedef {Object} DryRunRequest
+ * @property {boolean} dryRun Always true
+ * @property {string} method HTTP method (e.g "POST")
+ * @property {string} path API Endpoint path, including its query string
+ * @property {Object} [params] Query parameters added to the path, when there are any
+ * @property {Object} [data] Request body
+ */
+
+/**
+ * Rejected by the request helpers instead of sending a write in dry-run mode. The methods turn it
+ * into their result, so it never reaches the caller.
+ */
+class DryRun {
+	/**
+	 * @param {DryRunRequest} request
+	 */
+	constructor(request) {
+		this.request = request;
+	}
+}
+
+/**
+ * Makes a method resolve with the request it would have sent when it hits a write in dry-run mode
+ * @param  {Function} fn
+ * @returns {Function}
+ */
+const resolveDryRun = (fn) =>
+	function(...args) {
+		const result = fn.apply(this, args);
+		// Generators and builders are returned as they are
+		if (!result || typeof result.then !== 'function') {
+			return result;
+		}
+		return result.catch((error) => {
+			if (error instanceof DryRun) {
+				return error.request;
+			}
+			throw error;
+		});
+	};
+
+/**
+ * Applies `resolveDryRun` to every method of an object, nested objects of methods included
+ * @param  {Object} methods
+ * @returns {Object}
+ */
+const withDryRun = (methods) =>
+	Object.keys(methods).reduce((wrapped, name) => {
+		const value = methods[name];
+		if (typeof value === 'function') {
+			wrapped[name] = resolveDryRun(value);
+		} else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+			wrapped[name] = withDryRun(value);
+		} else {
+			wrapped[name] = value;
+		}
+		return wrapped;
+	}, {});
+
+module.exports = { DryRun, resolveDryRun, withDryRun };
@@ -0,0 +1,189 @@
+/**
+ * @typedef {Object} PanelError
+ * @property {string} code - Error code reported by the panel (e.g "ValidationException")
+ * @property {string} status - HTTP status as a string
+ * @property {string} detail - Human readable description
+ * @property {{source_field: string, rule: string}} [meta] - Field and rule that failed validation
+ */
+
+/**
+ * Base class of every error rejected by this library
+ */
+class PterodactylError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {Object} [details]
+	 * @param {number} [details.status] - HTTP status code of the response
+	 * @param {string} [details.method] - HTTP method of the request
+	 * @param {string} [details.path] - API Endpoint path of the request
+	 * @param {PanelError[]} [details.errors] - Errors reported by the panel
+	 * @param {*} [details.body] - Raw response body
+	 */
+	constructor(message, { status, method, path, errors = [], body } = {}) {
+		super(message);
+		this.name = this.constructor.name;
+		this.status = status;
+		this.method = method;
+		this.path = path;
+		this.errors = errors;
+		this.body = body;
+	}
+}
+
+/**
+ * Rejected when arguments fail local validation or the panel responds with 422
+ */
+class ValidationError extends PterodactylError {
+	/**
+	 * @param {string} message
+	 * @param {Object} [details] - Same as `PterodactylError`
+	 * @param {string} [details.field] - Field that failed local validation
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		/**
+		 * Validation messages keyed by field name
+		 * @type {Object<string, string[]>}
+		 */
+		this.fields = {};
+		if (details.field) {
+			this.fields[details.field] = [ message ];
+		}
+		this.errors.forEach((error) => {
+			const field = error.meta && error.meta.source_field;
+			if (field) {
+				this.fields[field] = (this.fields[field] || []).concat(error.detail);
+			}
+		});
+	}
+}
+
+/**
+ * Rejected when the panel responds with 404
+ */
+class NotFoundError extends PterodactylError {}
+
+/**
+ * Rejected when the panel responds with 401 or 403
+ */
+class AuthError extends PterodactylError {}
+
+/**
+ * Rejected when the panel responds with 429
+ */
+class RateLimitError extends PterodactylError {
+	/**
+	 * @param {string} message
+	 * @param {Object} [details] - Same as `PterodactylError`
+	 * @param {number} [details.retryAfter] - Milliseconds to wait before retrying
+	 * @param {number} [details.limit] - Value of `X-RateLimit-Limit`
+	 * @param {number} [details.remaining] - Value of `X-RateLimit-Remaining`
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.retryAfter = details.retryAfter;
+		this.limit = details.limit;
+		this.remaining = details.remaining;
+	}
+}
+
+/**
+ * Rejected when the panel responds with a 5xx status
+ */
+class ServerError extends PterodactylError {}
+
+/**
+ * Rejected when waiting for something takes longer than the given timeout
+ */
+class TimeoutError extends PterodactylError {
+	/**
+	 * @param {string} message
+	 * @param {Object} [details] - Same as `PterodactylError`
+	 * @param {number} [details.timeout] - The timeout that was reached, in milliseconds
+	 * @param {*} [details.last] - Last value seen before giving up (e.g the server)
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.timeout = details.timeout;
+		this.last = details.last;
+	}
+}
+
+/**
+ * Rejected when an `AbortSignal` is aborted before the operation finished
+ */
+class AbortError extends PterodactylError {}
+
+/**
+ * Reads the `Retry-After` and `X-RateLimit-*` headers of a response
+ * @param  {Object} headers Response headers
+ * @returns {{retryAfter: ?number, limit: ?number, remaining: ?number}}
+ */
+const parseRateLimitHeaders = (headers) => {
+	const toNumber = (value) => (value === undefined || isNaN(value) ? undefined : Number(value));
+	let retryAfter;
+	if (headers['retry-after'] !== undefined) {
+		retryAfter = isNaN(headers['retry-after'])
+			? Date.parse(headers['retry-after']) - Date.now()
+			: Number(headers['retry-after']) * 1000;
+	} else if (headers['x-ratelimit-reset'] !== undefined) {
+		retryAfter = Number(headers['x-ratelimit-reset']) * 1000 - Date.now();
+	}
+	return {
+		retryAfter: isNaN(retryAfter) ? undefined : Math.max(retryAfter, 0),
+		limit: toNumber(headers['x-ratelimit-limit']),
+		remaining: toNumber(headers['x-ratelimit-remaining'])
+	};
+};
+
+/**
+ * Converts a failed axios request into a typed error
+ * @param  {Object} error Error thrown by axios
+ * @param  {string} method HTTP method of the request
+ * @param  {string} path API Endpoint path of the request
+ * @returns {PterodactylError}
+ */
+const fromAxiosError = (error, method, path) => {
+	method = method.toUpperCase();
+	if (!error.response) {
+		return new PterodactylError(error.message, { method, path });
+	}
+	const { status, data } = error.response;
+	const errors = (data && Array.isArray(data.errors) && data.errors) || [];
+	const details = { status, method, path, errors, body: data };
+	const detail = errors.length ? ': ' + errors.map((e) => e.detail).join(', ') : '';
+
+	if (status === 422) {
+		return new ValidationError('422 Unprocessable Entity' + detail, details);
+	} else if (status === 404) {
+		return new NotFoundError('404 Not found, check your host is correct' + detail, details);
+	} else if (status === 401 || status === 403) {
+		return new AuthError(
+			(status === 401 ? '401 Unauthorized' : '403 Forbidden') +
+				', please check your API key is correct, or that you setup permissions correctly' +
+				detail,
+			details
+		);
+	} else if (status === 429) {
+		return new RateLimitError('429 Too Many Requests, you have hit the panel rate limit' + detail, {
+			...details,
+			...parseRateLimitHeaders(error.response.headers || {})
+		});
+	} else if (status >= 500) {
+		return new ServerError(status + ' Internal Server Error, check your server logs for the error' + detail, details);
+	}
+	return new PterodactylError(error.message + detail, details);
+};
+
+module.exports = {
+	PterodactylError,
+	ValidationError,
+	NotFoundError,
+	AuthError,
+	RateLimitError,
+	ServerError,
+	TimeoutError,
+	AbortError,
+	fromAxiosError,
+	parseRateLimitHeaders
+};
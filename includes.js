@@ -0,0 +1,51 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Turns a resource returned by the panel into a plain object, replacing its relationships
+ * with hydrated objects (e.g `server.user` becomes the owner instead of their ID)
+ * @param  {?{object: string, attributes: Object}} resource
+ * @returns {?Object} The attributes of the resource, or null for an empty relationship
+ */
+const hydrate = (resource) => {
+	if (!resource || !resource.attributes) {
+		return null;
+	}
+	const { relationships, ...attributes } = resource.attributes;
+	Object.keys(relationships || {}).forEach((key) => {
+		const relationship = relationships[key];
+		attributes[key] = relationship.object === 'list' ? relationship.data.map(hydrate) : hydrate(relationship);
+	});
+	return attributes;
+};
+
+/**
+ * Checks the requested relationships and converts them to query parameters
+ * @param  {?(string|string[])} include Relationships to include, as an array or comma separated
+ * @param  {string[]} allowed Relationships the endpoint supports
+ * @returns {Object} `{ include: 'user,node' }`, or an empty object when nothing is included
+ */
+const includeParams = (include, allowed) => {
+	if (!include || !include.length) {
+		return {};
+	}
+	const list = Array.isArray(include) ? include : String(include).split(',');
+	const unknown = list.find((relationship) => !allowed.includes(relationship));
+	if (unknown) {
+		throw new ValidationError('Error: Can not include ' + unknown + ', expected one of ' + allowed.join(', '), {
+			field: 'include'
+		});
+	}
+	return { include: list.join(',') };
+};
+
+/**
+ * Converts query parameters to a query string
+ * @param  {Object} params
+ * @returns {string} The query string starting with "?", or an empty string
+ */
+const toQuery = (params) => {
+	const query = new URLSearchParams(params).toString();
+	return query ? '?' + query : '';
+};
+
+module.exports = { hydrate, includeParams, toQuery };
@@ -1,7 +1,22 @@
 const admin = require('./admin/index');
 const user = require('./user/index');
+const { PterodactylClient, PterodactylUserClient } = require('./client');
+const errors = require('./errors');
+const ServerBuilder = require('./admin/methods/servers/builder');
+const { createMemoryStore } = require('./cache');
+const { createFileAuditSink } = require('./audit');
+const { permissionCatalog, permissionPresets, resolvePermissions } = require('./user/methods/subusers/permissions');
 
 module.exports = {
 	admin,
-	user
+	user,
+	PterodactylClient,
+	PterodactylUserClient,
+	ServerBuilder,
+	createMemoryStore,
+	createFileAuditSink,
+	permissionCatalog,
+	permissionPresets,
+	resolvePermissions,
+	...errors
 };
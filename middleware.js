@@ -0,0 +1,89 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Everything a middleware sees about a request. `params` and `headers` are sent as they are after the
+ * middleware before the request ran, the rest is informational. Every value has the API key redacted.
+ * @typedef {Object} RequestContext
+ * @property {string} method HTTP method (e.g "GET")
+ * @property {string} path API Endpoint path, including its query string
+ * @property {Object} [body] Copy of the request body
+ * @property {Object} params Query parameters added to the path
+ * @property {Object} headers Headers of the request, `Authorization` can't be changed
+ * @property {number} [status] HTTP status of the response, once `next` settled
+ * @property {number} [duration] Milliseconds spent on the request including queueing and retries, once `next` settled
+ * @property {number} retries Amount of retries the request took, once `next` settled
+ * @property {boolean} [cached] Whether the response came from the cache, once `next` resolved
+ * @property {*} [response] Copy of the response body, once `next` resolved
+ * @property {PterodactylError} [error] Why the request failed, once `next` rejected with it
+ * @property {Object} state Free for middleware to share values between each other
+ */
+/**
+ * Wraps every request made by a client, `next` sends the request (or runs the next middleware)
+ * and rejects with its error. Not calling `next` answers the request with `ctx.response`.
+ * @callback Middleware
+ * @param {RequestContext} ctx
+ * @param {function(): Promise<void>} next
+ * @returns {Promise<void>|void}
+ */
+
+const redacted = '[redacted]';
+
+/**
+ * Copies a value, replacing every secret found in its strings
+ * @param  {*} value
+ * @param  {string[]} secrets
+ * @returns {*}
+ */
+const redact = (value, secrets) => {
+	if (typeof value === 'string') {
+		return secrets.reduce((str, secret) => (secret ? str.split(secret).join(redacted) : str), value);
+	}
+	if (Array.isArray(value)) {
+		return value.map((item) => redact(item, secrets));
+	}
+	if (value !== null && typeof value === 'object') {
+		return Object.keys(value).reduce((copy, key) => {
+			copy[key] = redact(value[key], secrets);
+			return copy;
+		}, {});
+	}
+	return value;
+};
+
+/**
+ * Checks a middleware can be added to a client
+ * @param  {Middleware} fn
+ * @returns {Middleware}
+ */
+const validateMiddleware = (fn) => {
+	if (typeof fn !== 'function') {
+		throw new ValidationError('Error: Middleware must be a function', { field: 'middleware' });
+	}
+	return fn;
+};
+
+/**
+ * Runs the middleware in order, followed by `last`
+ * @param  {Middleware[]} stack
+ * @param  {RequestContext} ctx
+ * @param  {function(): Promise<void>} last Sends the request
+ * @returns {Promise<void>}
+ */
+const runMiddleware = (stack, ctx, last) => {
+	let called = -1;
+	const dispatch = (index) => {
+		if (index <= called) {
+			return Promise.reject(new Error('next() was called more than once by the same middleware'));
+		}
+		called = index;
+		const fn = index === stack.length ? last : stack[index];
+		try {
+			return Promise.resolve(fn(ctx, () => dispatch(index + 1)));
+		} catch (error) {
+			return Promise.reject(error);
+		}
+	};
+	return dispatch(0);
+};
+
+module.exports = { redact, validateMiddleware, runMiddleware };
@@ -0,0 +1,53 @@
+const { ValidationError } = require('./errors');
+const { hydrate } = require('./includes');
+
+/**
+ * Lazily iterates over every item of a paginated list endpoint, fetching the next page only when needed
+ * @param  {Object} request Request helpers created by `createRequest`
+ * @param  {string} path API Endpoint path
+ * @param  {Object} [options]
+ * @param  {number} [options.per_page] Amount of items per page
+ * @param  {number} [options.maxPages=Infinity] Maximum amount of pages to fetch
+ * @param  {Object} [options.params] Additional query parameters, such as filters
+ * @param  {...*} [options.options] `RequestOptions` used for every page, such as `timeout` or `signal`
+ * @returns {AsyncGenerator<Object>} Each item, with its included relationships hydrated
+ */
+const paginate = async function*(request, path, { per_page, maxPages = Infinity, params = {}, ...options } = {}) {
+	if (per_page !== undefined && typeof per_page !== 'number') {
+		throw new ValidationError('Error: Items per page must be a number', { field: 'per_page' });
+	}
+	if (typeof maxPages !== 'number') {
+		throw new ValidationError('Error: Maximum pages must be a number', { field: 'maxPages' });
+	}
+	let page = 1;
+	let totalPages = 1;
+	while (page <= totalPages && page <= maxPages) {
+		const query = new URLSearchParams({ ...params, page });
+		if (per_page) {
+			query.set('per_page', per_page);
+		}
+		const response = await request.getRequest(path + '?' + query.toString(), options);
+		for (const item of response.data.data) {
+			yield hydrate(item);
+		}
+		totalPages = response.data.meta.pagination.total_pages;
+		page++;
+	}
+};
+
+/**
+ * Fetches every page of a paginated list endpoint
+ * @param  {Object} request Request helpers created by `createRequest`
+ * @param  {string} path API Endpoint path
+ * @param  {Object} [options] Same options as `paginate`
+ * @returns {Promise<Object[]>} Every item, with its included relationships hydrated
+ */
+const fetchAll = async (request, path, options) => {
+	const items = [];
+	for await (const item of paginate(request, path, options)) {
+		items.push(item);
+	}
+	return items;
+};
+
+module.exports = { paginate, fetchAll };
@@ -0,0 +1,150 @@
+const { PterodactylError, RateLimitError, AbortError, TimeoutError } = require('./errors');
+
+/**
+ * Creates a queue that keeps outgoing requests under `config.requestsPerMinute`, and under the panel's own
+ * limit once its `X-RateLimit-*` headers report it is used up.
+ * The budget is read on every request, so it can be changed after the queue is created.
+ * @param  {{requestsPerMinute: ?number}} config
+ * @returns {{schedule: function(Object): Promise<void>, pause: function(number): void,
+ * observe: function(Object): void}}
+ */
+const createLimiter = (config) => {
+	const sent = [];
+	let pausedUntil = 0;
+	let queue = Promise.resolve();
+
+	// Entries that were dropped while queued give their slot to the next one instead of using it up
+	const waitForSlot = (entry) => {
+		if (entry.dropped) {
+			return Promise.resolve();
+		}
+		const now = Date.now();
+		while (sent.length && sent[0] <= now - 60000) {
+			sent.shift();
+		}
+		let wait = pausedUntil - now;
+		if (config.requestsPerMinute && sent.length >= config.requestsPerMinute) {
+			wait = Math.max(wait, sent[sent.length - config.requestsPerMinute] + 60000 - now);
+		}
+		if (wait > 0) {
+			return new Promise((resolve) => {
+				const timer = setTimeout(resolve, wait);
+				entry.wake = () => {
+					clearTimeout(timer);
+					resolve();
+				};
+			}).then(() => waitForSlot(entry));
+		}
+		sent.push(now);
+		return Promise.resolve();
+	};
+
+	return {
+		/**
+		 * Resolves once the request may be sent
+		 * @param {Object} [options]
+		 * @param {AbortSignal} [options.signal] - Leaves the queue with an `AbortError` once aborted
+		 * @param {number} [options.timeout] - Leaves the queue with a `TimeoutError` after waiting this long
+		 * @returns {Promise<void>}
+		 */
+		schedule: ({ signal, timeout } = {}) => {
+			const entry = { dropped: false, wake: () => {} };
+			const slot = queue.then(() => waitForSlot(entry));
+			queue = slot;
+			if (!signal && !timeout) {
+				return slot;
+			}
+			return new Promise((resolve, reject) => {
+				let timer;
+				const settle = () => {
+					clearTimeout(timer);
+					if (signal) {
+						signal.removeEventListener('abort', onAbort);
+					}
+				};
+				const drop = (error) => {
+					settle();
+					entry.dropped = true;
+					entry.wake();
+					reject(error);
+				};
+				const onAbort = () => drop(new AbortError('The request was aborted while queued'));
+				if (signal && signal.aborted) {
+					return onAbort();
+				}
+				if (signal) {
+					signal.addEventListener('abort', onAbort, { once: true });
+				}
+				if (timeout) {
+					const message = 'Timed out after ' + timeout + 'ms waiting for a request slot';
+					timer = setTimeout(() => drop(new TimeoutError(message, { timeout })), timeout);
+				}
+				slot.then(() => {
+					if (!entry.dropped) {
+						settle();
+						resolve();
+					}
+				});
+			});
+		},
+		/**
+		 * Holds every queued request for the given amount of milliseconds
+		 * @param {number} ms
+		 */
+		pause: (ms) => {
+			pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+		},
+		/**
+		 * Holds every queued request once a response reports no requests are left, until the limit resets.
+		 * Without a reset time, the panel's window is a minute from the first request in it
+		 * @param {{retryAfter: ?number, remaining: ?number}} limits - Read by `parseRateLimitHeaders`
+		 */
+		observe: ({ retryAfter, remaining }) => {
+			if (remaining !== 0) {
+				return;
+			}
+			const now = Date.now();
+			const first = sent.find((time) => time > now - 60000);
+			pausedUntil = Math.max(
+				pausedUntil,
+				retryAfter === undefined ? (first === undefined ? now : first) + 60000 : now + retryAfter
+			);
+		}
+	};
+};
+
+/**
+ * Whether a failed request is worth sending again
+ * @param  {PterodactylError} error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+	if (error instanceof RateLimitError) {
+		return true;
+	}
+	if (!(error instanceof PterodactylError) || error instanceof AbortError || error instanceof TimeoutError) {
+		return false;
+	}
+	// Network errors have no status, 502-504 are usually a proxy in front of a restarting panel
+	return error.status === undefined || [ 502, 503, 504 ].includes(error.status);
+};
+
+/**
+ * Works out how long to wait before the next attempt, preferring the panel's `Retry-After`
+ * over exponential backoff with jitter
+ * @param  {PterodactylError} error Error of the failed attempt
+ * @param  {number} attempt Amount of attempts already retried
+ * @param  {{retryDelay: ?number, maxRetryDelay: ?number}} config
+ * @returns {number} Milliseconds to wait
+ */
+const retryDelay = (error, attempt, config) => {
+	const base = config.retryDelay === undefined ? 500 : config.retryDelay;
+	const max = config.maxRetryDelay === undefined ? 30000 : config.maxRetryDelay;
+	if (error instanceof RateLimitError && error.retryAfter !== undefined) {
+		return Math.min(error.retryAfter, max);
+	}
+	const delay = Math.min(base * Math.pow(2, attempt), max);
+	return delay / 2 + Math.random() * (delay / 2);
+};
+
+module.exports = { createLimiter, isRetryable, retryDelay };
@@ -1,144 +1,410 @@
 const axios = require('axios').default;
+const { fromAxiosError, parseRateLimitHeaders, RateLimitError, AbortError, TimeoutError } = require('./errors');
+const { createLimiter, isRetryable, retryDelay } = require('./ratelimit');
+const { abortableSleep } = require('./wait');
+const { redact, validateMiddleware, runMiddleware } = require('./middleware');
+const { createCache } = require('./cache');
+const { DryRun } = require('./dryRun');
+const { createEntry, record } = require('./audit');
+
+/**
+ * Removes trailing slash from URL
+ * @param  {string} host Base URI of the pterodactyl panel
+ * @returns {string} Host without trailing slash
+ */
+const cleanHost = (host) => {
+	return host.replace(/\/$/, '');
+};
+
+/**
+ * @typedef {Object} RequestConfig
+ * @property {string} host Base URI of the pterodactyl panel
+ * @property {string} key API key for the pterodactyl panel
+ * @property {number} [retries=3] How many times a failed request is retried
+ * @property {boolean} [retryPost=false] Whether POST requests are retried, they are not idempotent
+ * @property {number} [retryDelay=500] Base delay of the exponential backoff in milliseconds
+ * @property {number} [maxRetryDelay=30000] Longest delay between two attempts in milliseconds
+ * @property {number} [requestsPerMinute] Budget of requests per minute, unlimited by default
+ * @property {number} [timeout] Default `timeout` of every request, none by default
+ * @property {Object} [headers] Headers added to every request
+ * @property {Object} [params] Query parameters added to every request
+ * @property {Middleware[]} [middleware] Middleware wrapping every request, more can be added with `use`
+ * @property {boolean|CacheOptions} [cache=false] Cache GET responses, evicting them when the wrapper writes
+ * @property {boolean} [dryRun=false] Resolve writes with the request they would send instead of sending them
+ * @property {AuditSink} [audit] Receives an entry for every write that was sent
+ * @property {string} [actor] Who is making the changes, recorded in the audit entries
+ */
+
+/**
+ * Options accepted by every method as their last argument
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeout] Milliseconds before each attempt is abandoned with a `TimeoutError`, also bounds
+ * the wait for a slot of the `requestsPerMinute` budget
+ * @property {AbortSignal} [signal] Abandons the request with an `AbortError` once aborted, even while it is queued
+ * @property {Object} [params] Additional query parameters
+ * @property {Object} [headers] Additional headers
+ * @property {boolean} [cache] `false` skips the cache and refreshes it with the response, GET requests only
+ * @property {boolean} [dryRun] Overrides the `dryRun` setting of the client for this call
+ * @property {string} [actor] Overrides the `actor` of the client for this call
+ */
+
+/**
+ * Creates the request helpers for a single panel
+ * @param  {RequestConfig} config Host, API key and options used for every request
+ * @returns {{config: Object, use: Function, getRequest: Function, deleteRequest: Function, patchRequest: Function,
+ * putRequest: Function, postRequest: Function}}
+ */
+const createRequest = (config) => {
+	const instance = axios.create();
+	const limiter = createLimiter(config);
+	const cache = createCache(config);
 
-const admin = {
 	/**
-	 * Makes a GET request
+	 * Merges the headers of a request over the default ones
+	 * @param  {Object} [headers]
+	 * @returns {Object}
+	 */
+	const buildHeaders = (headers) => ({
+		'Content-Type': 'application/json',
+		Accept: 'Application/vnd.pterodactyl.v1+json',
+		...config.headers,
+		...headers
+	});
+
+	/**
+	 * Sends a single request to the panel and normalizes the response
+	 * @param  {string} method HTTP method
 	 * @param  {string} path API Endpoint path
-	 * @returns {Promise<{data: Object}>}
+	 * @param  {Object} [data] Request body
+	 * @param  {RequestOptions} [options]
+	 * @param  {Object} [extra] Additional axios options
+	 * @returns {Promise<{data: Object, status: number}>}
 	 */
-	getRequest: (path) => {
-		const host = process.env.ADMIN_HOST;
-		const key = process.env.ADMIN_KEY;
-		const headers = {
-			Authorization: 'Bearer ' + key,
-			'Content-Type': 'application/json',
-			Accept: 'Application/vnd.pterodactyl.v1+json'
-		};
+	const send = (method, path, data, options, extra) => {
+		const { signal, params, headers } = options;
+		const timeout = options.timeout === undefined ? config.timeout : options.timeout;
+		const aborted = () => new AbortError('The request was aborted', { method: method.toUpperCase(), path });
 		return new Promise((resolve, reject) => {
-			axios
-				.get(host + path, { headers })
+			if (signal && signal.aborted) {
+				return reject(aborted());
+			}
+			// axios 0.19 only knows cancel tokens
+			const source = axios.CancelToken.source();
+			const onAbort = () => source.cancel();
+			if (signal) {
+				signal.addEventListener('abort', onAbort, { once: true });
+			}
+			instance
+				.request({
+					method,
+					url: config.host + path,
+					data,
+					params: { ...config.params, ...params },
+					headers: { ...buildHeaders(headers), Authorization: 'Bearer ' + config.key },
+					timeout: timeout || 0,
+					cancelToken: source.token,
+					...extra
+				})
 				.then((response) => {
-					if (response.status === 404) {
-						reject('404 Not found, check your host is correct');
-					} else if (response.status === 403) {
+					limiter.observe(parseRateLimitHeaders(response.headers || {}));
+					resolve({ data: response.data, status: response.status });
+				})
+				.catch((error) => {
+					if (axios.isCancel(error)) {
+						reject(aborted());
+					} else if (error.code === 'ECONNABORTED' && !error.response) {
 						reject(
-							'403 Forbidden, please check your API key is correct, or that you setup permissions correctly'
+							new TimeoutError('Timed out after ' + timeout + 'ms waiting for the panel', {
+								method: method.toUpperCase(),
+								path,
+								timeout
+							})
 						);
-					} else if (response.status === 500) {
-						reject('500 Internal Server Error, check your server logs for the error');
 					} else {
-						resolve({ data: response.data });
+						reject(fromAxiosError(error, method, path));
 					}
 				})
-				.catch((error) => {
-					reject(error.message);
+				.finally(() => {
+					if (signal) {
+						signal.removeEventListener('abort', onAbort);
+					}
 				});
 		});
-	},
+	};
+
 	/**
-	 * Makes a DELETE request
+	 * Queues a request under the requests per minute budget and retries it when it fails
+	 * @param  {string} method HTTP method
 	 * @param  {string} path API Endpoint path
-	 * @returns {Promise<{data: Object}>}
+	 * @param  {Object} [data] Request body
+	 * @param  {RequestOptions} [options]
+	 * @param  {Object} [extra] Additional axios options
+	 * @param  {{retries: number}} [stats] Updated with the amount of retries
+	 * @returns {Promise<{data: Object, status: number}>}
 	 */
-	deleteRequest: (path) => {
-		const host = process.env.ADMIN_HOST;
-		const key = process.env.ADMIN_KEY;
-		const headers = {
-			Authorization: 'Bearer ' + key,
-			'Content-Type': 'application/json',
-			Accept: 'Application/vnd.pterodactyl.v1+json'
-		};
-		return new Promise((resolve, reject) => {
-			axios
-				.delete(host + path, { headers })
-				.then((response) => {
-					if (response.status === 404) {
-						reject('404 Not found, check your host is correct');
-					} else if (response.status === 403) {
-						reject(
-							'403 Forbidden, please check your API key is correct, or that you setup permissions correctly'
-						);
-					} else if (response.status === 500) {
-						reject('500 Internal Server Error, check your server logs for the error');
-					} else {
-						resolve({ data: response.data });
+	const retry = (method, path, data, options, extra, stats = {}) => {
+		const retries = config.retries === undefined ? 3 : config.retries;
+		const retryable = method !== 'post' || config.retryPost;
+		const timeout = options.timeout === undefined ? config.timeout : options.timeout;
+		// Waiting for the budget or a rate limit pause is bounded by the same signal and timeout as the request
+		const queued = () =>
+			limiter.schedule({ signal: options.signal, timeout }).catch((error) => {
+				throw Object.assign(error, { method: method.toUpperCase(), path });
+			});
+		const attempt = (count) => {
+			stats.retries = count;
+			return queued().then(() => send(method, path, data, options, extra)).catch((error) => {
+				error.retries = count;
+				if (error instanceof RateLimitError && error.retryAfter !== undefined) {
+					limiter.pause(error.retryAfter);
+				}
+				if (!retryable || count >= retries || !isRetryable(error)) {
+					throw error;
+				}
+				return abortableSleep(retryDelay(error, count, config), options.signal).then(
+					() => attempt(count + 1),
+					(abort) => {
+						Object.assign(abort, { method: method.toUpperCase(), path, retries: count });
+						throw abort;
 					}
-				})
-				.catch((error) => {
-					reject(error.message);
-				});
+				);
+			});
+		};
+		return attempt(0);
+	};
+
+	/**
+	 * Answers GET requests from the cache when it is on, and evicts the responses other requests made stale
+	 * @param  {string} method HTTP method
+	 * @param  {string} path API Endpoint path
+	 * @param  {Object} [data] Request body
+	 * @param  {RequestOptions} [options]
+	 * @param  {Object} [extra] Additional axios options
+	 * @param  {{retries: number, cached: boolean}} [stats] Updated with the amount of retries and whether it was cached
+	 * @returns {Promise<{data: Object, status: number}>}
+	 */
+	const cached = (method, path, data, options, extra, stats = {}) => {
+		if (method !== 'get') {
+			// A failed write may still have changed something
+			const invalidate = () => cache.invalidate(path);
+			return retry(method, path, data, options, extra, stats).then(
+				(response) => invalidate().then(() => response),
+				(error) =>
+					invalidate().then(() => {
+						throw error;
+					})
+			);
+		}
+		const params = { ...config.params, ...options.params };
+		return (options.cache === false ? Promise.resolve() : cache.get(path, params)).then((hit) => {
+			if (hit !== undefined) {
+				Object.assign(stats, { retries: 0, cached: true });
+				return { data: hit, status: 200 };
+			}
+			return retry(method, path, data, options, extra, stats).then((response) =>
+				cache.set(path, params, response.data).then(() => response)
+			);
 		});
-	},
+	};
+
 	/**
-	 * Makes a PATCH request
-	 * @param {string} path API Endpoint path
-	 * @returns {Promise<{data: Object}>}
+	 * Runs a request through the middleware of the client
+	 * @param  {string} method HTTP method
+	 * @param  {string} path API Endpoint path
+	 * @param  {Object} [data] Request body
+	 * @param  {RequestOptions} [options]
+	 * @param  {Object} [extra] Additional axios options
+	 * @returns {Promise<{data: Object, status: number}>}
 	 */
-	patchRequest: (path, data) => {
-		const host = process.env.ADMIN_HOST;
-		const key = process.env.ADMIN_KEY;
-		const headers = {
-			Authorization: 'Bearer ' + key,
-			'Content-Type': 'application/json',
-			Accept: 'Application/vnd.pterodactyl.v1+json'
+	const intercept = (method, path, data, options, extra) => {
+		const middleware = config.middleware || [];
+		if (!middleware.length) {
+			return cached(method, path, data, options, extra);
+		}
+		const secrets = [ config.key ];
+		/** @type {RequestContext} */
+		const ctx = {
+			method: method.toUpperCase(),
+			path: redact(path, secrets),
+			body: redact(data, secrets),
+			params: redact({ ...config.params, ...options.params }, secrets),
+			headers: redact({ ...buildHeaders(options.headers), Authorization: 'Bearer ' + config.key }, secrets),
+			retries: 0,
+			state: {}
 		};
-		return new Promise((resolve, reject) => {
-			axios
-				.patch(host + path, data, { headers })
-				.then((response) => {
-					if (response.status === 404) {
-						reject('404 Not found, check your host is correct');
-					} else if (response.status === 403) {
-						reject(
-							'403 Forbidden, please check your API key is correct, or that you setup permissions correctly'
-						);
-					} else if (response.status === 500) {
-						reject('500 Internal Server Error, check your server logs for the error');
-					} else {
-						resolve({ data: response.data });
-					}
-				})
-				.catch((error) => {
-					reject(error.message);
-				});
-		});
-	},
+		const start = Date.now();
+		let result;
+		const last = () => {
+			const stats = {};
+			const { Authorization, ...headers } = ctx.headers;
+			return cached(method, path, data, { ...options, params: ctx.params, headers }, extra, stats).then(
+				(response) => {
+					result = response;
+					Object.assign(ctx, {
+						status: response.status,
+						duration: Date.now() - start,
+						retries: stats.retries,
+						cached: Boolean(stats.cached),
+						response: redact(response.data, secrets)
+					});
+				},
+				(error) => {
+					error.message = redact(error.message, secrets);
+					Object.assign(ctx, {
+						status: error.status,
+						duration: Date.now() - start,
+						retries: stats.retries,
+						error
+					});
+					throw error;
+				}
+			);
+		};
+		return runMiddleware(middleware, ctx, last).then(() => result || { data: ctx.response, status: ctx.status });
+	};
+
 	/**
-	* Makes a POST request
-	* @param  {string} path API Endpoint path
-	* @param {Object} data Data to POST
-	* @returns {Promise<{data: Object}>}
-	*/
-	postRequest: (path, data = {}) => {
-		const host = process.env.ADMIN_HOST;
-		const key = process.env.ADMIN_KEY;
-		const headers = {
-			Authorization: 'Bearer ' + key,
-			'Content-Type': 'application/json',
-			Accept: 'Application/vnd.pterodactyl.v1+json'
+	 * Sends a write, unless in dry-run mode, and records it in the audit sink
+	 * @param  {Object} write
+	 * @param  {string} write.method HTTP method
+	 * @param  {string} write.path API Endpoint path
+	 * @param  {Object} [write.data] Request body
+	 * @param  {Object} [write.params] Query parameters, shown in the dry-run preview
+	 * @param  {string} [write.target] What is changed, worked out from the path by default
+	 * @param  {RequestOptions} options
+	 * @param  {function(): Promise<{data: Object, status: number}>} send Sends the write
+	 * @returns {Promise<{data: Object, status: number}>}
+	 */
+	const audited = ({ method, path, data, params, target }, options, send) => {
+		if (options.dryRun === undefined ? config.dryRun : options.dryRun) {
+			const preview = { dryRun: true, method: method.toUpperCase(), path };
+			if (params && Object.keys(params).length) {
+				preview.params = params;
+			}
+			if (data !== undefined) {
+				preview.data = data;
+			}
+			return Promise.reject(new DryRun(preview));
+		}
+		if (!config.audit) {
+			return send();
+		}
+		const details = {
+			method,
+			path,
+			data,
+			target,
+			actor: options.actor === undefined ? config.actor : options.actor,
+			start: Date.now(),
+			secrets: [ config.key ]
 		};
-		return new Promise((resolve, reject) => {
-			axios
-				.post(host + path, data, { headers, followRedirect: true, maxRedirects: 3 })
-				.then((response) => {
-					if (response.status === 404) {
-						reject('404 Not found, check your host is correct');
-					} else if (response.status === 403) {
-						reject(
-							'403 Forbidden, please check your API key is correct, or that you setup permissions correctly'
-						);
-					} else if (response.status === 500) {
-						reject('500 Internal Server Error, check your server logs for the error');
-					} else {
-						resolve({ data: response.data });
-					}
+		return send().then(
+			(response) => record(config.audit, createEntry(details, response)).then(() => response),
+			(error) =>
+				record(config.audit, createEntry(details, undefined, error)).then(() => {
+					throw error;
 				})
-				.catch((error) => {
-					reject(error.message);
-				});
-		});
-	}
+		);
+	};
+
+	/**
+	 * Sends a request, unless it is a write in dry-run mode, and records writes in the audit sink
+	 * @param  {string} method HTTP method
+	 * @param  {string} path API Endpoint path
+	 * @param  {Object} [data] Request body
+	 * @param  {RequestOptions} [options]
+	 * @param  {Object} [extra] Additional axios options
+	 * @returns {Promise<{data: Object, status: number}>}
+	 */
+	const request = (method, path, data, options = {}, extra = {}) => {
+		if (method === 'get') {
+			return intercept(method, path, data, options, extra);
+		}
+		const params = { ...config.params, ...options.params };
+		return audited({ method, path, data, params }, options, () => intercept(method, path, data, options, extra));
+	};
+
+	return {
+		config,
+		/**
+		 * Adds a middleware wrapping every following request, in the order they were added
+		 * @param  {Middleware} fn
+		 */
+		use: (fn) => {
+			config.middleware = [ ...(config.middleware || []), validateMiddleware(fn) ];
+		},
+		/**
+		 * Runs a write that does not go through the API, such as an upload straight to the node,
+		 * through the same dry-run check and audit sink as the other writes
+		 * @param  {{method: string, path: string, data: Object, params: Object, target: string}} write
+		 * @param  {RequestOptions} options
+		 * @param  {function(): Promise<{data: Object, status: number}>} send Sends the write
+		 * @returns {Promise<{data: Object, status: number}>}
+		 */
+		audited: (write, options = {}, send) => audited(write, options, send),
+		/**
+		 * Makes a GET request
+		 * @param  {string} path API Endpoint path
+		 * @param  {RequestOptions} [options]
+		 * @param  {Object} [extra] Additional axios options, e.g to keep a plain text response as it is
+		 * @returns {Promise<{data: Object, status: number}>}
+		 */
+		getRequest: (path, options, extra) => request('get', path, undefined, options, extra),
+		/**
+		 * Makes a DELETE request
+		 * @param  {string} path API Endpoint path
+		 * @param  {RequestOptions} [options]
+		 * @returns {Promise<{data: Object, status: number}>}
+		 */
+		deleteRequest: (path, options) => request('delete', path, undefined, options),
+		/**
+		 * Makes a PATCH request
+		 * @param {string} path API Endpoint path
+		 * @param {Object} data Data to PATCH
+		 * @param {RequestOptions} [options]
+		 * @returns {Promise<{data: Object, status: number}>}
+		 */
+		patchRequest: (path, data, options) => request('patch', path, data, options),
+		/**
+		 * Makes a PUT request
+		 * @param {string} path API Endpoint path
+		 * @param {Object} data Data to PUT
+		 * @param {RequestOptions} [options]
+		 * @returns {Promise<{data: Object, status: number}>}
+		 */
+		putRequest: (path, data, options) => request('put', path, data, options),
+		/**
+		 * Makes a POST request
+		 * @param  {string} path API Endpoint path
+		 * @param {Object} data Data to POST
+		 * @param {RequestOptions} [options]
+		 * @returns {Promise<{data: Object, status: number}>}
+		 */
+		postRequest: (path, data = {}, options) => request('post', path, data, options, { maxRedirects: 3 })
+	};
 };
-const user = {};
 
-module.exports = { user, admin };
+/**
+ * Default admin request helpers, configured through `admin.setApiKey`
+ */
+const admin = createRequest({
+	get host() {
+		return process.env.ADMIN_HOST;
+	},
+	get key() {
+		return process.env.ADMIN_KEY;
+	}
+});
+/**
+ * Default client request helpers, configured through `user.setApiKey`
+ */
+const user = createRequest({
+	get host() {
+		return process.env.USER_HOST;
+	},
+	get key() {
+		return process.env.USER_KEY;
+	}
+});
+
+module.exports = { user, admin, createRequest, cleanHost };
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupPanel } = require('./helpers');
+const { PterodactylClient, createFileAuditSink, NotFoundError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('dry-run returns the request of a write without sending it', async () => {
+	const server = panel.addServer({ external_id: 'invoice-1' });
+	const dryRun = new PterodactylClient({ host: panel.host, key: panel.key, dryRun: true });
+
+	const preview = await dryRun.suspendServer({ externalId: 'invoice-1' });
+	assert.deepStrictEqual(preview, {
+		dryRun: true,
+		method: 'POST',
+		path: '/api/application/servers/' + server.id + '/suspend',
+		data: {}
+	});
+	assert.strictEqual(panel.state.servers.get(server.id).suspended, false);
+	// Resolving the external ID is a read, so it is still sent
+	assert.deepStrictEqual(panel.requests.map((request) => request.method), [ 'GET' ]);
+
+	const deleted = await dryRun.deleteDatabase(server.id, 4);
+	assert.strictEqual(deleted.method, 'DELETE');
+	assert.strictEqual(deleted.path, '/api/application/servers/' + server.id + '/databases/4');
+
+	const { results } = await dryRun.bulk.unsuspend([ server.id ]);
+	assert.strictEqual(results[0].value.path, '/api/application/servers/' + server.id + '/unsuspend');
+	assert.strictEqual(panel.state.servers.size, 1);
+});
+
+test('dry-run still validates arguments and can be set per call', async () => {
+	const server = panel.addServer();
+	const dryRun = new PterodactylClient({ host: panel.host, key: panel.key, dryRun: true });
+	await assert.rejects(dryRun.suspendServer({ externalId: 'missing' }), NotFoundError);
+
+	const preview = await client().reinstallServer(server.id, { dryRun: true });
+	assert.strictEqual(preview.path, '/api/application/servers/' + server.id + '/reinstall');
+	assert.strictEqual(panel.requests.filter((request) => request.method === 'POST').length, 0);
+
+	await dryRun.suspendServer(server.id, { dryRun: false });
+	assert.strictEqual(panel.state.servers.get(server.id).suspended, true);
+});
+
+test('records every sent write in the audit sink', async () => {
+	const server = panel.addServer();
+	const entries = [];
+	const audited = new PterodactylClient({
+		host: panel.host,
+		key: panel.key,
+		actor: 'billing',
+		audit: (entry) => entries.push(entry)
+	});
+
+	await audited.getServerInformation(server.id);
+	await audited.suspendServer(server.id);
+	await audited.unsuspendServer(server.id, { actor: 'support', dryRun: true });
+	await assert.rejects(audited.createUser('a@example.com', 'a', 'A', 'B', 'hunter2', undefined, false, 'en'));
+
+	assert.strictEqual(entries.length, 2);
+	assert.strictEqual(entries[0].actor, 'billing');
+	assert.strictEqual(entries[0].method, 'POST');
+	assert.strictEqual(entries[0].target, 'servers/' + server.id);
+	assert.strictEqual(entries[0].outcome, 'success');
+	assert.strictEqual(entries[0].status, 204);
+	assert.ok(!Number.isNaN(Date.parse(entries[0].timestamp)));
+
+	assert.strictEqual(entries[1].target, 'users');
+	assert.strictEqual(entries[1].outcome, 'failure');
+	assert.strictEqual(entries[1].status, 404);
+	assert.strictEqual(entries[1].payload.password, '[redacted]');
+	assert.strictEqual(entries[1].payload.email, 'a@example.com');
+});
+
+test('a failing sink does not fail the request', async () => {
+	const server = panel.addServer();
+	const warnings = [];
+	const onWarning = (warning) => warnings.push(warning);
+	process.on('warning', onWarning);
+	const audited = new PterodactylClient({
+		host: panel.host,
+		key: panel.key,
+		audit: () => {
+			throw new Error('disk full');
+		}
+	});
+	try {
+		await audited.suspendServer(server.id);
+		await new Promise((resolve) => setImmediate(resolve));
+	} finally {
+		process.off('warning', onWarning);
+	}
+	assert.strictEqual(panel.state.servers.get(server.id).suspended, true);
+	assert.strictEqual(warnings[0].name, 'AuditWarning');
+});
+
+test('appends entries to a JSONL file', async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptero-audit-'));
+	const file = path.join(dir, 'audit.jsonl');
+	try {
+		const server = panel.addServer({ feature_limits: { databases: 1, allocations: 0, backups: 0 } });
+		const audited = new PterodactylClient({ host: panel.host, key: panel.key, audit: createFileAuditSink(file) });
+		await Promise.all([ audited.suspendServer(server.id), audited.createDatabase(server.id, 'main', 1, '%') ]);
+
+		const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+		assert.strictEqual(lines.length, 2);
+		const created = lines.find((entry) => entry.status === 201);
+		assert.match(created.target, new RegExp('^servers/' + server.id + '/databases/\\d+$'));
+		assert.ok(JSON.stringify(lines).indexOf(panel.key) === -1);
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
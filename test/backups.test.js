@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { PterodactylUserClient, PterodactylError, ValidationError } = require('../index');
+
+const { panel } = setupPanel();
+const session = () => new PterodactylUserClient({ host: panel.host, key: panel.key, retryDelay: 1 });
+const withBackups = () => panel.addServer({ feature_limits: { databases: 0, allocations: 0, backups: 2 } });
+
+test('creates a backup and waits for it to complete', async () => {
+	const { identifier } = withBackups();
+
+	const started = await session().createBackup(identifier, { name: 'nightly', ignored: [ '*.log', 'cache/' ] });
+	assert.strictEqual(started.completed_at, null);
+	assert.deepStrictEqual(started.ignored_files, [ '*.log', 'cache/' ]);
+	assert.strictEqual(panel.requests.find((request) => request.method === 'POST').body.ignored, '*.log\ncache/');
+
+	const done = await session().createBackup(identifier, { waitUntilCompleted: { interval: 5 } });
+	assert.strictEqual(done.is_successful, true);
+	assert.ok(done.completed_at);
+
+	const { backups } = await session().listBackups(identifier);
+	assert.deepStrictEqual(backups.map((backup) => backup.uuid).sort(), [ started.uuid, done.uuid ].sort());
+
+	await assert.rejects(session().createBackup(identifier), PterodactylError);
+	await assert.rejects(session().createBackup(identifier, { ignored: '*.log' }), ValidationError);
+});
+
+test('rejects when a backup fails', async () => {
+	const { id, identifier } = withBackups();
+	const { uuid } = panel.addBackup(id, { is_successful: false });
+	await assert.rejects(session().waitForBackup(identifier, uuid, { interval: 5 }), /failed/);
+});
+
+test('restores, downloads and deletes backups', async () => {
+	const { id, identifier } = withBackups();
+	const backup = panel.addBackup(id);
+	const locked = panel.addBackup(id, { is_locked: true });
+
+	await session().restoreBackup(identifier, backup.uuid, true);
+	assert.deepStrictEqual(panel.requests.pop().body, { truncate: true });
+
+	const url = await session().getBackupDownloadUrl(identifier, backup.uuid);
+	assert.match(url, /\/download\/file\?token=/);
+
+	await session().deleteBackup(identifier, backup.uuid);
+	await assert.rejects(session().deleteBackup(identifier, locked.uuid), PterodactylError);
+	assert.deepStrictEqual([ ...panel.state.backups.keys() ], [ locked.uuid ]);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { ServerBuilder, ValidationError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+const invalid = (field) => (error) => {
+	assert.ok(error instanceof ValidationError);
+	assert.deepStrictEqual(Object.keys(error.fields), [ field ]);
+	return true;
+};
+
+test('rejects invalid values as soon as they are set', () => {
+	const builder = new ServerBuilder();
+	assert.throws(() => builder.name(''), invalid('name'));
+	assert.throws(() => builder.owner('1'), invalid('user'));
+	assert.throws(() => builder.egg(null), invalid('egg'));
+	assert.throws(() => builder.allocation('3'), invalid('allocation'));
+	assert.throws(() => builder.allocation(3, 4), invalid('additional_allocations'));
+	assert.throws(() => builder.limits({ memory: 2048 }), invalid('disk'));
+	assert.throws(() => builder.limits({ memory: 2048, disk: 10000, io: '500' }), invalid('io'));
+	assert.throws(() => builder.featureLimits({ databases: '2' }), invalid('databases'));
+	assert.throws(() => builder.environment(null), invalid('environment'));
+	assert.throws(() => builder.startOnComplete('yes'), invalid('start_on_completion'));
+	assert.throws(() => builder.waitUntilInstalled(5), invalid('waitUntilInstalled'));
+	assert.deepStrictEqual(builder.options, { startOnComplete: false });
+});
+
+test('names the first required field that is missing', () => {
+	const builder = new ServerBuilder();
+	assert.throws(() => builder.build(), { message: 'Error: Server name is required, call .name()' });
+	builder.name('Survival');
+	assert.throws(() => builder.build(), invalid('user'));
+	builder.owner(1);
+	assert.throws(() => builder.build(), invalid('egg'));
+	builder.egg(5);
+	assert.throws(() => builder.build(), invalid('allocation'));
+	builder.allocation(3);
+	assert.throws(() => builder.build(), { message: 'Error: Limits are required, call .limits()' });
+	builder.limits({ memory: 2048, disk: 10000 });
+	assert.strictEqual(builder.build().name, 'Survival');
+});
+
+test('chains setters into createServer options', () => {
+	const builder = new ServerBuilder();
+	const options = builder
+		.name('Survival')
+		.description('Main world')
+		.externalId('invoice-1')
+		.owner(1)
+		.egg(5)
+		.startup('java -jar server.jar')
+		.image('ghcr.io/pterodactyl/yolks:java_17')
+		.allocation({ default: 3, additional: [ 4 ] })
+		.environment({ SERVER_JARFILE: 'server.jar' })
+		.limits({ memory: 2048, disk: 10000, cpu: 200 })
+		.featureLimits({ databases: 2 })
+		.startOnComplete()
+		.skipScripts()
+		.oomDisabled(false)
+		.build();
+
+	assert.deepStrictEqual(options, {
+		name: 'Survival',
+		description: 'Main world',
+		externalId: 'invoice-1',
+		userID: 1,
+		eggID: 5,
+		startup: 'java -jar server.jar',
+		dockerImage: 'ghcr.io/pterodactyl/yolks:java_17',
+		allocationID: 3,
+		additionalAllocations: [ 4 ],
+		environment: { SERVER_JARFILE: 'server.jar' },
+		memory: 2048,
+		disk: 10000,
+		cpu: 200,
+		swap: undefined,
+		io: undefined,
+		databases: 2,
+		allocations: undefined,
+		startOnComplete: true,
+		skipScripts: true,
+		oomDisabled: false
+	});
+	// build returns a copy, later changes do not leak into it
+	builder.name('Creative');
+	assert.strictEqual(options.name, 'Survival');
+});
+
+test('creates the same server as createServer', async () => {
+	const options = {
+		name: 'Survival',
+		externalId: 'invoice-1',
+		userID: 1,
+		eggID: 5,
+		startup: 'java -jar server.jar',
+		dockerImage: 'ghcr.io/pterodactyl/yolks:java_17',
+		allocationID: 3,
+		additionalAllocations: [ 4 ],
+		startOnComplete: false,
+		memory: 2048,
+		disk: 10000,
+		databases: 2
+	};
+	await client().createServer(options);
+	const { server } = await client()
+		.serverBuilder()
+		.name('Survival')
+		.externalId('invoice-1')
+		.owner(1)
+		.egg(5)
+		.startup('java -jar server.jar')
+		.image('ghcr.io/pterodactyl/yolks:java_17')
+		.allocation(3, [ 4 ])
+		.limits({ memory: 2048, disk: 10000 })
+		.featureLimits({ databases: 2 })
+		.create();
+
+	const [ direct, built ] = panel.requests.filter((request) => request.method === 'POST');
+	assert.deepStrictEqual(built.body, direct.body);
+	assert.strictEqual(server.external_id, 'invoice-1');
+
+	await assert.rejects(new ServerBuilder().name('Unbound').create(), ValidationError);
+	await assert.rejects(client().serverBuilder().name('Incomplete').create(), invalid('user'));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { NotFoundError, ServerError, AbortError, ValidationError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('suspends every server and reports failures per server', async () => {
+	const first = panel.addServer();
+	const second = panel.addServer({ external_id: 'invoice-2' });
+	panel.fail({ method: 'POST', path: '/api/application/servers/' + first.id + '/suspend', status: 500 });
+
+	const { results, succeeded, failed } = await client().bulk.suspend([ first.id, { externalId: 'invoice-2' }, 99 ]);
+	assert.strictEqual(results.length, 3);
+	assert.strictEqual(succeeded.length, 1);
+	assert.deepStrictEqual(succeeded[0].server, { externalId: 'invoice-2' });
+	assert.ok(results[0].error instanceof ServerError);
+	assert.ok(results[2].error instanceof NotFoundError);
+	assert.strictEqual(failed.length, 2);
+	assert.strictEqual(panel.state.servers.get(second.id).suspended, true);
+	assert.strictEqual(panel.state.servers.get(first.id).suspended, false);
+});
+
+test('selects servers by owner and node', async () => {
+	panel.addServer({ user: 1, node: 1 });
+	const owned = panel.addServer({ user: 2, node: 1 });
+	const elsewhere = panel.addServer({ user: 2, node: 2 });
+
+	const byUser = await client().bulk.suspend({ user: 2 });
+	assert.deepStrictEqual(byUser.results.map((result) => result.server), [ owned.id, elsewhere.id ]);
+
+	const byBoth = await client().bulk.unsuspend({ user: 2, node: 2 });
+	assert.deepStrictEqual(byBoth.results.map((result) => result.server), [ elsewhere.id ]);
+
+	await assert.rejects(client().bulk.delete({}), ValidationError);
+	await assert.rejects(client().bulk.delete({ owner: 2 }), ValidationError);
+	assert.strictEqual(panel.state.servers.size, 3);
+});
+
+test('limits concurrency and reports progress', async () => {
+	for (let i = 0; i < 6; i++) {
+		panel.addServer();
+	}
+	let active = 0;
+	let peak = 0;
+	client().use(async (ctx, next) => {
+		peak = Math.max(peak, ++active);
+		try {
+			await next();
+		} finally {
+			active--;
+		}
+	});
+	const progress = [];
+	await client().bulk.reinstall([ 1, 2, 3, 4, 5, 6 ], {
+		concurrency: 2,
+		onProgress: ({ done, total }) => progress.push(done + '/' + total)
+	});
+	assert.strictEqual(peak, 2);
+	assert.deepStrictEqual(progress, [ '1/6', '2/6', '3/6', '4/6', '5/6', '6/6' ]);
+});
+
+test('updates the build of every server, keeping what the patch leaves out', async () => {
+	const server = panel.addServer({
+		node: 3,
+		allocation: 8,
+		feature_limits: { databases: 2, allocations: 1, backups: 0 },
+		limits: { memory: 1024, swap: 0, disk: 5120, io: 500, cpu: 100, threads: null, oom_disabled: false }
+	});
+	panel.addServer({ node: 3 });
+	const { succeeded } = await client().bulk.updateBuild({ node: 3 }, { memory: 4096 });
+	assert.strictEqual(succeeded.length, 2);
+	assert.strictEqual(succeeded[0].value.limits.memory, 4096);
+	assert.strictEqual(panel.state.servers.get(server.id).allocation, 8);
+	assert.strictEqual(panel.state.servers.get(server.id).limits.disk, 5120);
+
+	const patch = panel.requests.find((request) => request.method === 'PATCH' && request.path.endsWith('/1/build'));
+	assert.deepStrictEqual(patch.body.feature_limits, { databases: 2, allocations: 1 });
+	assert.strictEqual(patch.body.oom_disabled, false);
+});
+
+test('stops starting servers once aborted', async () => {
+	panel.addServer();
+	panel.addServer();
+	const controller = new AbortController();
+	const { failed } = await client().bulk.delete([ 1, 2 ], {
+		concurrency: 1,
+		signal: controller.signal,
+		onProgress: () => controller.abort()
+	});
+	assert.strictEqual(failed.length, 1);
+	assert.ok(failed[0].error instanceof AbortError);
+	assert.strictEqual(panel.state.servers.size, 1);
+});
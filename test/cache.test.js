@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { PterodactylClient, createMemoryStore } = require('../index');
+
+const { panel } = setupPanel();
+
+/**
+ * Creates a client caching every GET request
+ * @param  {CacheOptions|boolean} [cache=true]
+ * @returns {PterodactylClient}
+ */
+const cachingClient = (cache = true) => new PterodactylClient({ host: panel.host, key: panel.key, cache });
+
+const countGets = (path) => panel.requests.filter((req) => req.method === 'GET' && req.path === path).length;
+
+test('answers repeated GET requests from the cache', async () => {
+	const { id } = panel.addServer();
+	panel.addDatabase(id);
+	const client = cachingClient();
+
+	await client.getServerInformation(id);
+	const info = await client.getServerInformation(id);
+	assert.strictEqual(info.id, id);
+	await client.getAllDatabases(id);
+	await client.getAllDatabases(id);
+	assert.strictEqual(countGets('/api/application/servers/' + id), 1);
+	assert.strictEqual(countGets('/api/application/servers/' + id + '/databases'), 1);
+});
+
+test('bypasses the cache per call', async () => {
+	const { id } = panel.addServer();
+	const client = cachingClient();
+
+	await client.getServerInformation(id);
+	panel.state.servers.get(id).name = 'Changed behind our back';
+	const fresh = await client.getServerInformation(id, { cache: false });
+	assert.strictEqual(fresh.name, 'Changed behind our back');
+	assert.strictEqual((await client.getServerInformation(id)).name, 'Changed behind our back');
+	assert.strictEqual(countGets('/api/application/servers/' + id), 2);
+});
+
+test('evicts the server and lists when the wrapper writes', async () => {
+	const { id } = panel.addServer({ feature_limits: { databases: 5, allocations: 0, backups: 0 } });
+	const other = panel.addServer();
+	const client = cachingClient();
+	const load = () =>
+		Promise.all([
+			client.getServerInformation(id),
+			client.getServerInformation(other.id),
+			client.getAllServers(),
+			client.getAllDatabases(id)
+		]);
+
+	await load();
+	await client.suspendServer(id);
+	const [ server, untouched, { servers } ] = await load();
+	assert.strictEqual(server.suspended, true);
+	assert.strictEqual(untouched.suspended, false);
+	assert.strictEqual(servers[0].suspended, true);
+	assert.strictEqual(countGets('/api/application/servers/' + id), 2);
+	assert.strictEqual(countGets('/api/application/servers/' + other.id), 1);
+
+	await client.createDatabase(id, 'main', 1, '%');
+	assert.strictEqual((await client.getAllDatabases(id)).databases.length, 1);
+
+	await client.updateServerBuildConfiguration({ server: id, allocation_id: 4, memory: 512 });
+	assert.strictEqual((await client.getServerInformation(id)).limits.memory, 512);
+
+	await client.deleteServer(id);
+	assert.strictEqual((await client.getAllServers()).servers.length, 1);
+});
+
+test('uses per-endpoint TTLs and custom stores', async () => {
+	const { id } = panel.addServer();
+	const store = createMemoryStore({ max: 10 });
+	const client = cachingClient({ store, ttl: { '/api/application/servers/*': 60000, default: 0 } });
+
+	await client.getServerInformation(id);
+	await client.getServerInformation(id);
+	await client.getAllServers();
+	await client.getAllServers();
+	assert.strictEqual(countGets('/api/application/servers/' + id), 1);
+	assert.strictEqual(countGets('/api/application/servers'), 2);
+	assert.deepStrictEqual(await store.keys(panel.host), [ panel.host + '/api/application/servers/' + id ]);
+});
+
+test('treats a failing store as a miss', async () => {
+	const { id } = panel.addServer();
+	const broken = { get: () => Promise.reject(new Error('down')), set() {}, delete() {}, keys: () => [] };
+	const client = cachingClient({ store: broken });
+	assert.strictEqual((await client.getServerInformation(id)).id, id);
+});
+
+test('waits for servers past the cache', async () => {
+	const record = panel.addServer({ external_id: 'invoice-1', installed: false });
+	const client = cachingClient({ ttl: 60000 });
+
+	assert.strictEqual((await client.getServerInformation(record.id)).status, 'installing');
+	let polls = 0;
+	const installed = await client.waitForServer(
+		{ externalId: 'invoice-1' },
+		(info) => {
+			polls += 1;
+			// Finishes installing once the first poll has seen it installing
+			record.installedAt = 0;
+			return info.container.installed;
+		},
+		{ interval: 5, timeout: 2000 }
+	);
+	assert.strictEqual(installed.container.installed, true);
+	assert.strictEqual(polls, 2);
+	assert.strictEqual(countGets('/api/application/servers/' + record.id), 3);
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { spawnSync } = require('child_process');
+const { setupPanel } = require('./helpers');
+const { main } = require('../cli');
+
+const { panel } = setupPanel();
+
+/**
+ * Runs the command line tool against the fake panel
+ * @param  {string[]} argv
+ * @param  {string} [input] Text typed into stdin
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+const run = async (argv, input = '') => {
+	const stdin = new PassThrough();
+	const stdout = new PassThrough();
+	const stderr = new PassThrough();
+	stdin.end(input);
+	const env = {
+		PTERODACTYL_HOST: panel.host,
+		PTERODACTYL_KEY: panel.key,
+		PTERODACTYL_CONFIG: path.join(os.tmpdir(), 'ptero-missing.json')
+	};
+	const code = await main(argv, { env, stdin, stdout, stderr });
+	return { code, stdout: String(stdout.read() || ''), stderr: String(stderr.read() || '') };
+};
+
+test('lists servers as a table, json and csv', async () => {
+	panel.addServer({ name: 'Survival' });
+	panel.addServer({ name: 'Creative, Flat' });
+
+	const table = await run([ 'servers', 'list' ]);
+	assert.strictEqual(table.code, 0);
+	const lines = table.stdout.trim().split('\n');
+	assert.match(lines[0], /^id\s+external_id\s+identifier\s+name/);
+	assert.strictEqual(lines.length, 3);
+
+	const json = await run([ 'servers', 'list', '--format', 'json' ]);
+	assert.deepStrictEqual(JSON.parse(json.stdout).map((server) => server.name), [ 'Survival', 'Creative, Flat' ]);
+
+	const csv = await run([ 'servers', 'list', '--format', 'csv' ]);
+	assert.match(csv.stdout, /,"Creative, Flat",/);
+});
+
+test('asks before suspending a server unless --yes is passed', async () => {
+	const { id } = panel.addServer({ external_id: 'invoice-1' });
+
+	const declined = await run([ 'servers', 'suspend', String(id) ], 'n\n');
+	assert.strictEqual(declined.code, 1);
+	assert.match(declined.stderr, /Suspend server 1\? \[y\/N\]/);
+	assert.strictEqual(panel.state.servers.get(id).suspended, false);
+
+	const confirmed = await run([ 'servers', 'suspend', String(id) ], 'y\n');
+	assert.strictEqual(confirmed.code, 0);
+	assert.strictEqual(panel.state.servers.get(id).suspended, true);
+
+	const skipped = await run([ 'servers', 'unsuspend', 'invoice-1', '--external', '--yes' ]);
+	assert.strictEqual(skipped.code, 0);
+	assert.strictEqual(skipped.stdout, 'Successfully unsuspended the server\n');
+	assert.strictEqual(panel.state.servers.get(id).suspended, false);
+});
+
+test('creates a server from a spec file', async () => {
+	const spec = path.join(os.tmpdir(), 'ptero-spec-' + process.pid + '.json');
+	fs.writeFileSync(
+		spec,
+		JSON.stringify({
+			name: 'Survival',
+			userID: 1,
+			eggID: 5,
+			startup: 'java -jar server.jar',
+			dockerImage: 'quay.io/pterodactyl/core:java',
+			allocationID: 3,
+			startOnComplete: false,
+			memory: 1024,
+			disk: 5000
+		})
+	);
+	try {
+		const result = await run([ 'servers', 'create', '--from', spec, '--format', 'json', '-y' ]);
+		assert.strictEqual(result.code, 0);
+		assert.strictEqual(JSON.parse(result.stdout)[0].name, 'Survival');
+		assert.strictEqual(panel.state.servers.size, 1);
+	} finally {
+		fs.unlinkSync(spec);
+	}
+});
+
+test('creates a database', async () => {
+	const { id } = panel.addServer({ feature_limits: { databases: 1, allocations: 0, backups: 0 } });
+	const result = await run([ 'databases', 'create', String(id), '--name', 'main', '--database-host', '1', '--yes' ]);
+	assert.strictEqual(result.code, 0);
+	assert.match(result.stdout, /s1_main/);
+	assert.strictEqual(panel.state.databases.size, 1);
+});
+
+test('exits with a readable message on errors', async () => {
+	const missing = await run([ 'servers', 'get', '42' ]);
+	assert.strictEqual(missing.code, 1);
+	assert.match(missing.stderr, /^Error: 404 Not found/);
+	assert.match(missing.stderr, /\(GET \/api\/application\/servers\/42\)/);
+
+	const { id } = panel.addServer();
+	panel.fail({ method: 'POST', status: 422, field: 'name' });
+	const invalid = await run([ 'servers', 'suspend', String(id), '--yes' ]);
+	assert.strictEqual(invalid.code, 1);
+	assert.match(invalid.stderr, /\n {2}name: Injected 422 failure/);
+
+	const unknown = await run([ 'servers', 'explode' ]);
+	assert.strictEqual(unknown.code, 2);
+	assert.match(unknown.stderr, /Unknown command: servers explode/);
+
+	const code = await main([ 'servers', 'list' ], {
+		env: { PTERODACTYL_CONFIG: path.join(os.tmpdir(), 'ptero-missing.json') },
+		stderr: new PassThrough()
+	});
+	assert.strictEqual(code, 1);
+});
+
+test('plans and applies a fleet document', async () => {
+	panel.addUser({ external_id: 'billing-1' });
+	const file = path.join(os.tmpdir(), 'ptero-fleet-' + process.pid + '.json');
+	const server = {
+		external_id: 'game-1',
+		name: 'Survival',
+		owner: 'billing-1',
+		egg: 5,
+		docker_image: 'quay.io/pterodactyl/core:java',
+		startup: 'java -jar server.jar',
+		allocation: 3,
+		limits: { memory: 1024, disk: 5000 }
+	};
+	fs.writeFileSync(file, JSON.stringify({ servers: [ server ] }));
+	try {
+		const plan = await run([ 'fleet', 'plan', '--from', file ]);
+		assert.strictEqual(plan.code, 0);
+		assert.match(plan.stdout, /^Plan: 1 to create, 0 to update, 0 to delete\n\n\+ create server game-1/);
+		assert.strictEqual(panel.state.servers.size, 0);
+
+		const declined = await run([ 'fleet', 'apply', '--from', file ], 'no\n');
+		assert.strictEqual(declined.code, 1);
+		assert.match(declined.stderr, /Apply 1 changes\? \[y\/N\] Aborted/);
+		assert.strictEqual(panel.state.servers.size, 0);
+
+		const applied = await run([ 'fleet', 'apply', '--from', file, '--yes' ]);
+		assert.strictEqual(applied.code, 0);
+		assert.match(applied.stdout, /done {4}create server game-1\nApplied 1 changes\n$/);
+		assert.strictEqual(panel.state.servers.size, 1);
+	} finally {
+		fs.unlinkSync(file);
+	}
+});
+
+test('reads fleet documents from YAML', async () => {
+	panel.addUser({ external_id: 'billing-1' });
+	const file = path.join(os.tmpdir(), 'ptero-fleet-' + process.pid + '.yaml');
+	fs.writeFileSync(
+		file,
+		[
+			'servers:',
+			'  - external_id: game-1',
+			'    name: Survival',
+			'    owner: billing-1',
+			'    egg: 5',
+			'    docker_image: quay.io/pterodactyl/core:java',
+			'    startup: java -jar server.jar',
+			'    allocation: 3',
+			'    limits: { memory: 1024, disk: 5000 }',
+			''
+		].join('\n')
+	);
+	try {
+		const plan = await run([ 'fleet', 'plan', '--from', file ]);
+		assert.strictEqual(plan.code, 0);
+		assert.match(plan.stdout, /^Plan: 1 to create, 0 to update, 0 to delete\n\n\+ create server game-1/);
+		assert.match(plan.stdout, /memory: 1024/);
+	} finally {
+		fs.unlinkSync(file);
+	}
+});
+
+test('exits with a clear error on Node versions without util.parseArgs', () => {
+	const bin = path.join(__dirname, '..', 'bin', 'ptero.js');
+	const script = 'require("util").parseArgs = undefined; require(' + JSON.stringify(bin) + ');';
+	const result = spawnSync(process.execPath, [ '-e', script ], { encoding: 'utf8', timeout: 10000 });
+	assert.strictEqual(result.status, 1);
+	assert.match(result.stderr, /^ptero needs Node\.js 18\.3 or later, this is v\d+/);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { AuthError, NotFoundError, ValidationError, PterodactylError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('creates a database including its password', async () => {
+	const { id } = panel.addServer({ feature_limits: { databases: 1, allocations: 0, backups: 0 } });
+	const database = await client().createDatabase(id, 'main', 1, '%');
+	assert.strictEqual(database.database, 's' + id + '_main');
+	assert.strictEqual(database.password, panel.state.databases.get(database.id).password);
+
+	await assert.rejects(client().createDatabase(id, 'second', 1, '%'), AuthError);
+});
+
+test('lists databases with and without passwords', async () => {
+	const { id } = panel.addServer();
+	panel.addDatabase(id);
+	panel.addDatabase(id);
+
+	const { databases } = await client().getAllDatabases(id);
+	assert.strictEqual(databases.length, 2);
+	assert.strictEqual(databases[0].password, undefined);
+
+	const withPasswords = await client().getAllDatabases(id, true);
+	assert.strictEqual(typeof withPasswords.databases[0].password, 'string');
+});
+
+test('resets a database password', async () => {
+	const { id } = panel.addServer();
+	const database = panel.addDatabase(id);
+	const previous = database.password;
+	const updated = await client().resetDatabasePassword(id, database.id);
+	assert.notStrictEqual(updated.password, previous);
+	assert.strictEqual(updated.password, database.password);
+});
+
+test('deletes a database', async () => {
+	const { id } = panel.addServer();
+	const database = panel.addDatabase(id);
+	await client().deleteDatabase(id, database.id);
+	assert.strictEqual(panel.state.databases.size, 0);
+	await assert.rejects(client().getDatabase(id, database.id), NotFoundError);
+});
+
+test('creates and lists database hosts without their passwords', async () => {
+	const { host } = await client().createDatabaseHost('Primary', '10.0.0.5', 3306, 'pterodactyl', 'secret', [ 2 ]);
+	assert.deepStrictEqual(panel.requests[0].body, {
+		name: 'Primary',
+		host: '10.0.0.5',
+		port: 3306,
+		username: 'pterodactyl',
+		password: 'secret',
+		node_ids: [ 2 ]
+	});
+	assert.strictEqual(host.node, 2);
+	assert.strictEqual(host.password, undefined);
+	assert.strictEqual(panel.state.databaseHosts.get(host.id).password, 'secret');
+
+	panel.addDatabaseHost();
+	const { hosts, pagination } = await client().getAllDatabaseHosts();
+	assert.deepStrictEqual(hosts.map((found) => found.name), [ 'Primary', 'Database host 2' ]);
+	assert.strictEqual(pagination.total, 2);
+	assert.strictEqual((await client().getDatabaseHost(host.id)).host, '10.0.0.5');
+
+	const port = client().createDatabaseHost('Secondary', '10.0.0.6', '3306', 'pterodactyl', 'secret');
+	await assert.rejects(port, (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'port' ]);
+		return true;
+	});
+	await assert.rejects(client().createDatabaseHost('Secondary', '10.0.0.6', 3306, 'pterodactyl'), ValidationError);
+	assert.strictEqual(panel.requests.length, 3);
+});
+
+test('updates database hosts, keeping the password when it is left out', async () => {
+	const record = panel.addDatabaseHost({ password: 'secret', node: 1 });
+	const { host } = await client().updateDatabaseHost(record.id, 'Primary', '10.0.0.9', 3307, 'panel');
+	assert.strictEqual(host.host, '10.0.0.9');
+	assert.strictEqual(host.port, 3307);
+	assert.strictEqual(host.node, 1);
+	assert.deepStrictEqual(panel.requests[0].body, {
+		name: 'Primary',
+		host: '10.0.0.9',
+		port: 3307,
+		username: 'panel'
+	});
+	assert.strictEqual(record.password, 'secret');
+
+	await client().updateDatabaseHost(record.id, 'Primary', '10.0.0.9', 3307, 'panel', 'rotated', [ 3 ]);
+	assert.strictEqual(record.password, 'rotated');
+	assert.strictEqual(record.node, 3);
+
+	await assert.rejects(client().updateDatabaseHost(99, 'Primary', '10.0.0.9', 3307, 'panel'), NotFoundError);
+	await assert.rejects(client().updateDatabaseHost(record.id, 'Primary', '', 3307, 'panel'), ValidationError);
+	await assert.rejects(client().updateDatabaseHost('one', 'Primary', '10.0.0.9', 3307, 'panel'), ValidationError);
+	assert.strictEqual(panel.requests.length, 3);
+});
+
+test('deletes database hosts without databases', async () => {
+	const empty = panel.addDatabaseHost();
+	const used = panel.addDatabaseHost();
+	panel.addDatabase(panel.addServer().id, { host: used.id });
+
+	assert.strictEqual(await client().deleteDatabaseHost(empty.id), 'Successfully deleted the database host');
+	assert.strictEqual(panel.state.databaseHosts.has(empty.id), false);
+	await assert.rejects(client().getDatabaseHost(empty.id), NotFoundError);
+
+	await assert.rejects(client().deleteDatabaseHost(used.id), (error) => {
+		assert.ok(error instanceof PterodactylError);
+		assert.strictEqual(error.status, 400);
+		return true;
+	});
+	assert.strictEqual(panel.state.databaseHosts.has(used.id), true);
+	await assert.rejects(client().deleteDatabaseHost('one'), ValidationError);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { ValidationError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+const withEgg = () =>
+	panel.addEgg({
+		id: 5,
+		variables: [
+			{ env_variable: 'MAX_PLAYERS', default_value: '10', rules: 'required|numeric|max:20' },
+			{ env_variable: 'LOADER', default_value: 'fabric', rules: 'required|in:fabric,quilt' },
+			{ env_variable: 'SERVER_JARFILE', default_value: 'server.jar', rules: 'required|regex:/^[\\w.-]+\\.jar$/' },
+			{ env_variable: 'FLAVOUR', default_value: 'paper', rules: 'nullable|regex:/^(paper|spigot)$/' }
+		]
+	});
+
+const create = (environment) =>
+	client().createServer({
+		name: 'Survival',
+		userID: 1,
+		eggID: 5,
+		startup: 'java -jar {{SERVER_JARFILE}}',
+		dockerImage: 'ghcr.io/pterodactyl/yolks:java_17',
+		allocationID: 3,
+		startOnComplete: false,
+		environment,
+		memory: 2048,
+		disk: 10000,
+		checkEnvironment: true
+	});
+
+// The egg is looked up, but nothing is written
+const assertNotCreated = () => {
+	assert.deepStrictEqual(panel.requests.filter((request) => request.method !== 'GET'), []);
+	assert.strictEqual(panel.state.servers.size, 0);
+};
+
+const assertInvalid = async (environment, field, detail) => {
+	await assert.rejects(create(environment), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(error.fields, { ['environment.' + field]: [ detail ] });
+		return true;
+	});
+	assertNotCreated();
+};
+
+test('checks required, numeric and max rules of egg variables', async () => {
+	withEgg();
+	await assertInvalid({ MAX_PLAYERS: '25' }, 'MAX_PLAYERS', 'The MAX_PLAYERS variable may not be greater than 20');
+	await assertInvalid({ MAX_PLAYERS: 'many' }, 'MAX_PLAYERS', 'The MAX_PLAYERS variable must be a number');
+	await assertInvalid({ MAX_PLAYERS: '' }, 'MAX_PLAYERS', 'The MAX_PLAYERS variable is required');
+});
+
+test('checks in rules of egg variables', async () => {
+	withEgg();
+	await assertInvalid({ LOADER: 'forge' }, 'LOADER', 'The LOADER variable must be one of fabric, quilt');
+});
+
+test('checks regex rules of egg variables, including patterns with a pipe', async () => {
+	withEgg();
+	await assertInvalid(
+		{ SERVER_JARFILE: 'server.zip' },
+		'SERVER_JARFILE',
+		'The SERVER_JARFILE variable format is invalid'
+	);
+	await assertInvalid({ FLAVOUR: 'forge' }, 'FLAVOUR', 'The FLAVOUR variable format is invalid');
+});
+
+test('rejects variables the egg does not have', async () => {
+	withEgg();
+	await assertInvalid({ MAX_PLAYER: '5' }, 'MAX_PLAYER', 'The MAX_PLAYER variable does not exist on this egg');
+});
+
+test('sends the environment with defaults filled in once it is valid', async () => {
+	withEgg();
+	const { server } = await create({ MAX_PLAYERS: '20', FLAVOUR: 'spigot' });
+	assert.deepStrictEqual(panel.state.servers.get(server.id).container.environment, {
+		MAX_PLAYERS: '20',
+		LOADER: 'fabric',
+		SERVER_JARFILE: 'server.jar',
+		FLAVOUR: 'spigot'
+	});
+});
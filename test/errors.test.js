@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { createFakePanel } = require('../testing');
+const {
+	PterodactylClient,
+	AuthError,
+	NotFoundError,
+	ValidationError,
+	RateLimitError,
+	ServerError,
+	AbortError,
+	TimeoutError
+} = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('rejects with an AuthError on 403', async () => {
+	const { id } = panel.addServer();
+	panel.fail({ method: 'POST', path: /suspend$/, status: 403 });
+	await assert.rejects(client().suspendServer(id), (error) => {
+		assert.ok(error instanceof AuthError);
+		assert.strictEqual(error.status, 403);
+		assert.strictEqual(error.method, 'POST');
+		assert.strictEqual(error.path, '/api/application/servers/' + id + '/suspend');
+		return true;
+	});
+	assert.strictEqual(panel.state.servers.get(id).suspended, false);
+});
+
+test('rejects with an AuthError when the API key is wrong', async () => {
+	const other = new PterodactylClient({ host: panel.host, key: 'wrong' });
+	await assert.rejects(other.getAllServers(), (error) => error instanceof AuthError && error.status === 401);
+});
+
+test('rejects with a NotFoundError on 404', async () => {
+	panel.fail({ status: 404 });
+	await assert.rejects(client().getAllServers(), NotFoundError);
+});
+
+test('rejects with a ValidationError listing the invalid fields on 422', async () => {
+	const { id } = panel.addServer();
+	panel.fail({ method: 'PATCH', status: 422, field: 'name' });
+	await assert.rejects(client().updateServerDetails(id, 'Name', 1), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'name' ]);
+		return true;
+	});
+});
+
+test('retries after a 429 and gives up once the retries run out', async () => {
+	panel.fail({ status: 429, retryAfter: 0 });
+	const { servers } = await client().getAllServers();
+	assert.deepStrictEqual(servers, []);
+	assert.strictEqual(panel.requests.length, 2);
+
+	panel.fail({ status: 429, retryAfter: 0, times: Infinity });
+	const limited = new PterodactylClient({ host: panel.host, key: panel.key, retries: 1 });
+	await assert.rejects(limited.getAllServers(), (error) => error instanceof RateLimitError && error.retries === 1);
+});
+
+test('holds requests once the panel reports its rate limit is used up', async () => {
+	const throttled = createFakePanel({ rateLimit: { limit: 2, window: 300 } });
+	await throttled.start();
+	try {
+		// Without retries, a single 429 would reject
+		const limited = new PterodactylClient({ host: throttled.host, key: throttled.key, retries: 0 });
+		await limited.getAllServers();
+		await limited.getAllServers();
+		await limited.getAllServers();
+		assert.strictEqual(throttled.requests.length, 3);
+	} finally {
+		await throttled.stop();
+	}
+});
+
+test('leaves the budget queue once aborted or timed out', async () => {
+	const limited = new PterodactylClient({ host: panel.host, key: panel.key, requestsPerMinute: 1 });
+	await limited.getAllServers();
+
+	const controller = new AbortController();
+	setTimeout(() => controller.abort(), 20);
+	const start = Date.now();
+	await assert.rejects(limited.getAllServers({ signal: controller.signal, timeout: 5000 }), (error) => {
+		assert.ok(error instanceof AbortError);
+		assert.strictEqual(error.path, '/api/application/servers');
+		return true;
+	});
+	await assert.rejects(limited.getAllServers({ timeout: 50 }), (error) => {
+		assert.ok(error instanceof TimeoutError);
+		assert.strictEqual(error.timeout, 50);
+		return true;
+	});
+	assert.ok(Date.now() - start < 1000);
+	assert.strictEqual(panel.requests.length, 1);
+});
+
+test('rejects with a ServerError on 500 without retrying', async () => {
+	panel.fail({ status: 500 });
+	await assert.rejects(client().getAllServers(), ServerError);
+	assert.strictEqual(panel.requests.length, 1);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { setupPanel } = require('./helpers');
+const { PterodactylUserClient, NotFoundError, ValidationError, AbortError } = require('../index');
+
+const { panel } = setupPanel();
+const session = () => new PterodactylUserClient({ host: panel.host, key: panel.key, retryDelay: 1 });
+
+test('reads and writes a text file', async () => {
+	const { id, identifier } = panel.addServer();
+	panel.addFile(id, '/server.properties', 'motd=Hello\n');
+
+	const contents = await session().getFileContents(identifier, '/server.properties');
+	assert.strictEqual(contents, 'motd=Hello\n');
+
+	await session().writeFile(identifier, '/server.properties', contents + 'max-players=20\n');
+	assert.strictEqual(panel.state.files.get(id).get('/server.properties').toString(), 'motd=Hello\nmax-players=20\n');
+
+	// Contents stay text even when they are valid JSON
+	await session().writeFile(identifier, '/config.json', '{ "port": 25565 }');
+	assert.strictEqual(await session().getFileContents(identifier, '/config.json'), '{ "port": 25565 }');
+
+	await assert.rejects(session().getFileContents(identifier, '/missing.txt'), NotFoundError);
+	await assert.rejects(session().writeFile(identifier, '/a.txt', { motd: 'x' }), ValidationError);
+});
+
+test('lists, creates, renames, copies and deletes files', async () => {
+	const { id, identifier } = panel.addServer();
+	panel.addFile(id, '/plugins/a.jar', 'a');
+	panel.addFile(id, '/eula.txt', 'eula=true');
+
+	await session().createFolder(identifier, '/', 'world');
+	await session().renameFile(identifier, 'plugins', 'mods');
+	await session().copyFile(identifier, '/eula.txt');
+	let names = (await session().listFiles(identifier)).map((file) => file.name).sort();
+	assert.deepStrictEqual(names, [ 'eula copy.txt', 'eula.txt', 'mods', 'world' ]);
+
+	const [ jar ] = await session().listFiles(identifier, '/mods');
+	assert.strictEqual(jar.name, 'a.jar');
+	assert.strictEqual(jar.is_file, true);
+
+	await session().deleteFiles(identifier, '/', [ 'mods', 'eula copy.txt' ]);
+	names = (await session().listFiles(identifier)).map((file) => file.name).sort();
+	assert.deepStrictEqual(names, [ 'eula.txt', 'world' ]);
+	assert.strictEqual(panel.state.files.get(id).has('/mods/a.jar'), false);
+
+	await assert.rejects(session().deleteFiles(identifier, '/', []), ValidationError);
+	await assert.rejects(session().renameFiles(identifier, '/', [ { from: 'a' } ]), ValidationError);
+});
+
+test('compresses and decompresses files', async () => {
+	const { id, identifier } = panel.addServer();
+	panel.addFile(id, '/world/level.dat', 'level');
+	panel.addFile(id, '/world/region/r.0.0.mca', 'region');
+
+	const archive = await session().compressFiles(identifier, '/', [ 'world' ]);
+	assert.match(archive.name, /\.tar\.gz$/);
+
+	await session().deleteFiles(identifier, '/', [ 'world' ]);
+	await session().decompressFile(identifier, '/', archive.name);
+	assert.strictEqual(panel.state.files.get(id).get('/world/region/r.0.0.mca').toString(), 'region');
+});
+
+test('uploads and downloads through signed URLs', async () => {
+	const { id, identifier } = panel.addServer();
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptero-files-'));
+	try {
+		const local = path.join(dir, 'plugin.jar');
+		const bytes = Buffer.from([ 0, 1, 2, 255, 13, 10, 45, 45 ]);
+		fs.writeFileSync(local, bytes);
+
+		await session().uploadFile(identifier, local, { directory: '/plugins' });
+		assert.deepStrictEqual(panel.state.files.get(id).get('/plugins/plugin.jar'), bytes);
+
+		await session().uploadFile(identifier, Readable.from([ 'from ', 'a stream' ]), { name: 'notes.txt' });
+		assert.strictEqual(panel.state.files.get(id).get('/notes.txt').toString(), 'from a stream');
+		await assert.rejects(session().uploadFile(identifier, Readable.from([ 'x' ])), ValidationError);
+
+		const copy = path.join(dir, 'copy.jar');
+		await session().downloadFile(identifier, '/plugins/plugin.jar', copy);
+		assert.deepStrictEqual(fs.readFileSync(copy), bytes);
+
+		const chunks = [];
+		const sink = new Writable({
+			write(chunk, encoding, callback) {
+				chunks.push(chunk);
+				callback();
+			}
+		});
+		await session().downloadFile(identifier, '/notes.txt', sink);
+		assert.strictEqual(Buffer.concat(chunks).toString(), 'from a stream');
+
+		// Transfers to the node never carry the API key
+		const transfers = panel.requests.filter((request) => !request.path.startsWith('/api/'));
+		assert.strictEqual(transfers.length, 4);
+		assert.ok(transfers.every((request) => request.headers.authorization === undefined));
+
+		const controller = new AbortController();
+		controller.abort();
+		await assert.rejects(
+			session().downloadFile(identifier, '/notes.txt', sink, { signal: controller.signal }),
+			AbortError
+		);
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
+
+test('previews uploads in dry-run mode', async () => {
+	const { id, identifier } = panel.addServer();
+	const preview = await session().uploadFile(identifier, Readable.from([ 'x' ]), { name: 'x.txt' }, { dryRun: true });
+	assert.deepStrictEqual(preview, {
+		dryRun: true,
+		method: 'POST',
+		path: '/upload/file',
+		params: { directory: '/' },
+		data: { name: 'x.txt' }
+	});
+	assert.strictEqual(panel.state.files.get(id).size, 0);
+});
+
+test('records uploads in the audit sink', async () => {
+	const { identifier } = panel.addServer();
+	const entries = [];
+	const audited = new PterodactylUserClient({
+		host: panel.host,
+		key: panel.key,
+		retryDelay: 1,
+		actor: 'deploy',
+		audit: (entry) => entries.push(entry)
+	});
+
+	await audited.uploadFile(identifier, Readable.from([ 'x' ]), { directory: '/plugins', name: 'x.jar' });
+	await audited.uploadFile(identifier, Readable.from([ 'x' ]), { name: 'x.jar' }, { dryRun: true });
+	const missing = path.join(os.tmpdir(), 'ptero-missing-' + process.pid + '.jar');
+	await assert.rejects(audited.uploadFile(identifier, missing), { code: 'ENOENT' });
+
+	assert.strictEqual(entries.length, 2);
+	assert.strictEqual(entries[0].actor, 'deploy');
+	assert.strictEqual(entries[0].method, 'POST');
+	assert.strictEqual(entries[0].path, '/upload/file');
+	assert.strictEqual(entries[0].target, 'servers/' + identifier + '/files');
+	assert.deepStrictEqual(entries[0].payload, { name: 'x.jar' });
+	assert.strictEqual(entries[0].outcome, 'success');
+	assert.strictEqual(entries[0].status, 200);
+	assert.strictEqual(entries[1].outcome, 'failure');
+	assert.deepStrictEqual(entries[1].payload, { name: path.basename(missing) });
+	assert.match(entries[1].error, /ENOENT/);
+});
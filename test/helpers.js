@@ -0,0 +1,23 @@
+const { before, after, beforeEach } = require('node:test');
+const { createFakePanel } = require('../testing');
+const { PterodactylClient } = require('../index');
+
+/**
+ * Starts a fake panel before the tests of the current file and stops it afterwards,
+ * every test gets a fresh state and a client bound to the panel
+ * @param  {Object} [clientOptions] Extra `PterodactylClient` options
+ * @returns {{panel: Object, client: function(): PterodactylClient}}
+ */
+const setupPanel = (clientOptions = {}) => {
+	const panel = createFakePanel();
+	let client;
+	before(() => panel.start());
+	after(() => panel.stop());
+	beforeEach(() => {
+		panel.reset();
+		client = new PterodactylClient({ host: panel.host, key: panel.key, retryDelay: 1, ...clientOptions });
+	});
+	return { panel, client: () => client };
+};
+
+module.exports = { setupPanel };
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('assert');
+const { hydrate, includeParams, toQuery } = require('../includes');
+const { ValidationError } = require('../index');
+
+test('hydrates included relationships into nested objects', () => {
+	const server = hydrate({
+		object: 'server',
+		attributes: {
+			id: 5,
+			name: 'Survival',
+			user: 2,
+			relationships: {
+				user: { object: 'user', attributes: { id: 2, username: 'owner' } },
+				location: { object: 'location', attributes: null },
+				databases: {
+					object: 'list',
+					data: [
+						{
+							object: 'server_database',
+							attributes: {
+								id: 1,
+								relationships: {
+									password: { object: 'database_password', attributes: { password: 'secret' } }
+								}
+							}
+						}
+					]
+				},
+				allocations: { object: 'list', data: [] }
+			}
+		}
+	});
+
+	assert.deepStrictEqual(server, {
+		id: 5,
+		name: 'Survival',
+		user: { id: 2, username: 'owner' },
+		location: null,
+		databases: [ { id: 1, password: { password: 'secret' } } ],
+		allocations: []
+	});
+	assert.strictEqual(hydrate(null), null);
+	assert.deepStrictEqual(hydrate({ object: 'node', attributes: { id: 1 } }), { id: 1 });
+});
+
+test('checks requested relationships against the ones the endpoint supports', () => {
+	const allowed = [ 'user', 'node', 'databases' ];
+	assert.deepStrictEqual(includeParams([ 'user', 'node' ], allowed), { include: 'user,node' });
+	assert.deepStrictEqual(includeParams('node,databases', allowed), { include: 'node,databases' });
+	assert.deepStrictEqual(includeParams(undefined, allowed), {});
+	assert.deepStrictEqual(includeParams([], allowed), {});
+	assert.deepStrictEqual(includeParams('', allowed), {});
+
+	assert.throws(() => includeParams([ 'user', 'egg' ], allowed), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.strictEqual(error.message, 'Error: Can not include egg, expected one of user, node, databases');
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'include' ]);
+		return true;
+	});
+});
+
+test('builds query strings from parameters', () => {
+	assert.strictEqual(toQuery({ include: 'user,node', page: 2 }), '?include=user%2Cnode&page=2');
+	assert.strictEqual(toQuery({ 'filter[uuid]': 'abc' }), '?filter%5Buuid%5D=abc');
+	assert.strictEqual(toQuery({}), '');
+});
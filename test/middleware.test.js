@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { NotFoundError, ValidationError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('sees the request and its outcome', async () => {
+	const { id } = panel.addServer();
+	const seen = [];
+	client().use(async (ctx, next) => {
+		await next();
+		seen.push(ctx);
+	});
+	await client().updateServerDetails(id, 'Renamed', 1);
+
+	const ctx = seen[0];
+	assert.strictEqual(ctx.method, 'PATCH');
+	assert.strictEqual(ctx.path, '/api/application/servers/' + id + '/details');
+	assert.strictEqual(ctx.body.name, 'Renamed');
+	assert.strictEqual(ctx.status, 200);
+	assert.strictEqual(ctx.retries, 0);
+	assert.strictEqual(typeof ctx.duration, 'number');
+	assert.strictEqual(ctx.response.attributes.name, 'Renamed');
+});
+
+test('runs in order and sends headers set by middleware', async () => {
+	const order = [];
+	client()
+		.use(async (ctx, next) => {
+			order.push('outer');
+			ctx.headers['X-Correlation-ID'] = 'abc-123';
+			await next();
+			order.push('outer done');
+		})
+		.use(async (ctx, next) => {
+			order.push('inner');
+			await next();
+		});
+	await client().getAllServers();
+	assert.deepStrictEqual(order, [ 'outer', 'inner', 'outer done' ]);
+	assert.strictEqual(panel.requests[0].headers['x-correlation-id'], 'abc-123');
+	assert.strictEqual(panel.requests[0].headers.authorization, 'Bearer ' + panel.key);
+});
+
+test('redacts the API key from everything middleware sees', async () => {
+	const seen = [];
+	client().use(async (ctx, next) => {
+		seen.push(ctx);
+		await next();
+	});
+	panel.addServer({ description: 'Key ' + panel.key });
+	await client().getAllServers({ params: { token: panel.key } });
+
+	const json = JSON.stringify(seen[0]);
+	assert.ok(!json.includes(panel.key));
+	assert.strictEqual(seen[0].headers.Authorization, 'Bearer [redacted]');
+	assert.strictEqual(seen[0].response.data[0].attributes.description, 'Key [redacted]');
+});
+
+test('sees failures and retries', async () => {
+	const seen = [];
+	client().use(async (ctx, next) => {
+		try {
+			await next();
+		} finally {
+			seen.push(ctx);
+		}
+	});
+	panel.fail({ status: 429, retryAfter: 0 });
+	await client().getAllServers();
+	assert.strictEqual(seen[0].retries, 1);
+	assert.strictEqual(seen[0].status, 200);
+
+	await assert.rejects(client().getServerInformation(42), NotFoundError);
+	assert.strictEqual(seen[1].status, 404);
+	assert.ok(seen[1].error instanceof NotFoundError);
+});
+
+test('answers the request itself when next is not called', async () => {
+	client().use((ctx) => {
+		ctx.response = { object: 'list', data: [], meta: { pagination: { total: 0 } } };
+	});
+	const { servers } = await client().getAllServers();
+	assert.deepStrictEqual(servers, []);
+	assert.strictEqual(panel.requests.length, 0);
+	assert.throws(() => client().use('logger'), ValidationError);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { NotFoundError, ValidationError, PterodactylError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('creates nodes with the default ports and limits', async () => {
+	const { node } = await client().createNode('Frankfurt 1', 1, 'fra1.example.com', 16384, 102400);
+	assert.strictEqual(node.name, 'Frankfurt 1');
+	assert.strictEqual(node.daemon_listen, 8080);
+	assert.deepStrictEqual(panel.requests[0].body, {
+		name: 'Frankfurt 1',
+		location_id: 1,
+		fqdn: 'fra1.example.com',
+		scheme: 'https',
+		memory: 16384,
+		memory_overallocate: 0,
+		disk: 102400,
+		disk_overallocate: 0,
+		upload_size: 100,
+		daemon_listen: 8080,
+		daemon_sftp: 2022,
+		public: true,
+		behind_proxy: false,
+		maintenance_mode: false
+	});
+	assert.strictEqual((await client().getNode(node.id)).fqdn, 'fra1.example.com');
+
+	await assert.rejects(client().createNode('Frankfurt 2', '1', 'fra2.example.com', 16384, 102400), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'location_id' ]);
+		return true;
+	});
+	const ftp = client().createNode('Frankfurt 2', 1, 'fra2.example.com', 16384, 102400, 'ftp');
+	await assert.rejects(ftp, ValidationError);
+	assert.strictEqual(panel.requests.length, 2);
+});
+
+test('updates nodes', async () => {
+	const { id } = panel.addNode({ description: 'Old hardware' });
+	const { node } = await client().updateNode(id, 'Frankfurt 1', 2, 'fra1.example.com', 32768, 204800, 'http');
+	assert.strictEqual(node.location_id, 2);
+	assert.strictEqual(node.memory, 32768);
+	assert.strictEqual(node.scheme, 'http');
+	assert.strictEqual(node.description, 'Old hardware');
+	assert.deepStrictEqual(panel.requests[0].body, {
+		name: 'Frankfurt 1',
+		location_id: 2,
+		fqdn: 'fra1.example.com',
+		scheme: 'http',
+		memory: 32768,
+		disk: 204800
+	});
+
+	await assert.rejects(client().updateNode(99, 'Frankfurt 1', 2, 'fra1.example.com', 32768, 204800), NotFoundError);
+	await assert.rejects(client().updateNode(id, 'Frankfurt 1', 2, 'fra1.example.com', '32G', 204800), ValidationError);
+	await assert.rejects(client().updateNode('one', 'Frankfurt 1', 2, 'fra1.example.com', 1, 1), ValidationError);
+	assert.strictEqual(panel.requests.length, 2);
+});
+
+test('deletes nodes without servers', async () => {
+	const empty = panel.addNode();
+	const busy = panel.addNode();
+	panel.addAllocation(empty.id);
+	panel.addServer({ node: busy.id });
+
+	assert.strictEqual(await client().deleteNode(empty.id), 'Successfully deleted the node');
+	assert.strictEqual(panel.state.nodes.has(empty.id), false);
+	assert.strictEqual(panel.state.allocations.size, 0);
+	await assert.rejects(client().getNode(empty.id), NotFoundError);
+
+	await assert.rejects(client().deleteNode(busy.id), (error) => {
+		assert.ok(error instanceof PterodactylError);
+		assert.strictEqual(error.status, 400);
+		return true;
+	});
+	assert.strictEqual(panel.state.nodes.has(busy.id), true);
+	await assert.rejects(client().deleteNode('one'), ValidationError);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createLimiter, isRetryable, retryDelay } = require('../ratelimit');
+const {
+	PterodactylError,
+	NotFoundError,
+	RateLimitError,
+	ServerError,
+	TimeoutError,
+	AbortError
+} = require('../index');
+
+// Lets the limiter's promise chain run, setImmediate is left to the real timers
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Schedules a request and tells whether it has been let through yet
+const track = (limiter) => {
+	const slot = { sent: false };
+	limiter.schedule().then(() => {
+		slot.sent = true;
+	});
+	return slot;
+};
+
+const advance = async (t, ms) => {
+	await flush();
+	t.mock.timers.tick(ms);
+	await flush();
+};
+
+test('retries rate limits, network errors and gateway errors only', () => {
+	assert.strictEqual(isRetryable(new RateLimitError('Too many requests', { status: 429 })), true);
+	assert.strictEqual(isRetryable(new PterodactylError('connect ECONNREFUSED')), true);
+	[ 502, 503, 504 ].forEach((status) => {
+		assert.strictEqual(isRetryable(new ServerError('Bad gateway', { status })), true);
+	});
+
+	assert.strictEqual(isRetryable(new ServerError('Internal server error', { status: 500 })), false);
+	assert.strictEqual(isRetryable(new NotFoundError('Not found', { status: 404 })), false);
+	assert.strictEqual(isRetryable(new TimeoutError('Timed out')), false);
+	assert.strictEqual(isRetryable(new AbortError('Aborted')), false);
+	assert.strictEqual(isRetryable(new Error('Not from the panel')), false);
+});
+
+test('backs off exponentially with jitter up to the maximum delay', (t) => {
+	const error = new ServerError('Bad gateway', { status: 502 });
+	const random = t.mock.method(Math, 'random', () => 0);
+	assert.deepStrictEqual(
+		[ 0, 1, 2, 3 ].map((attempt) => retryDelay(error, attempt, {})),
+		[ 250, 500, 1000, 2000 ]
+	);
+
+	random.mock.mockImplementation(() => 1);
+	assert.deepStrictEqual(
+		[ 0, 1, 2, 3 ].map((attempt) => retryDelay(error, attempt, { retryDelay: 100 })),
+		[ 100, 200, 400, 800 ]
+	);
+	assert.strictEqual(retryDelay(error, 10, {}), 30000);
+	assert.strictEqual(retryDelay(error, 10, { maxRetryDelay: 5000 }), 5000);
+});
+
+test('waits for the Retry-After of rate limits, capped at the maximum delay', () => {
+	const limited = (retryAfter) => new RateLimitError('Too many requests', { status: 429, retryAfter });
+	assert.strictEqual(retryDelay(limited(7000), 0, {}), 7000);
+	assert.strictEqual(retryDelay(limited(7000), 3, { retryDelay: 1 }), 7000);
+	assert.strictEqual(retryDelay(limited(0), 0, {}), 0);
+	assert.strictEqual(retryDelay(limited(120000), 0, {}), 30000);
+	assert.strictEqual(retryDelay(limited(120000), 0, { maxRetryDelay: 60000 }), 60000);
+
+	const delay = retryDelay(limited(undefined), 0, { retryDelay: 1000 });
+	assert.ok(delay >= 500 && delay <= 1000);
+});
+
+test('keeps requests under the budget within a sliding minute', async (t) => {
+	t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ], now: 0 });
+	const config = { requestsPerMinute: 2 };
+	const limiter = createLimiter(config);
+
+	const first = track(limiter);
+	await advance(t, 20000);
+	const [ second, third, fourth ] = [ track(limiter), track(limiter), track(limiter) ];
+	await flush();
+	assert.deepStrictEqual([ first.sent, second.sent, third.sent ], [ true, true, false ]);
+
+	// A minute after the first request, one slot frees up
+	await advance(t, 39999);
+	assert.strictEqual(third.sent, false);
+	await advance(t, 1);
+	assert.deepStrictEqual([ third.sent, fourth.sent ], [ true, false ]);
+	await advance(t, 20000);
+	assert.strictEqual(fourth.sent, true);
+
+	// Without a budget nothing is held back
+	config.requestsPerMinute = null;
+	const unlimited = [ track(limiter), track(limiter), track(limiter) ];
+	await flush();
+	assert.ok(unlimited.every((slot) => slot.sent));
+});
+
+test('holds every queued request while paused', async (t) => {
+	t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ], now: 0 });
+	const limiter = createLimiter({});
+
+	limiter.pause(1000);
+	// A shorter pause does not cut the longer one short
+	limiter.pause(10);
+	const slots = [ track(limiter), track(limiter) ];
+	await advance(t, 999);
+	assert.ok(slots.every((slot) => !slot.sent));
+	await advance(t, 1);
+	assert.ok(slots.every((slot) => slot.sent));
+});
+
+test('holds requests once the panel reports no requests are left', async (t) => {
+	t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ], now: 0 });
+	const limiter = createLimiter({});
+
+	limiter.observe({ remaining: 3, retryAfter: 5000 });
+	limiter.observe({});
+	const free = track(limiter);
+	await flush();
+	assert.strictEqual(free.sent, true);
+	await advance(t, 10000);
+
+	// The reset time wins when the panel sends one
+	limiter.observe({ remaining: 0, retryAfter: 5000 });
+	const reset = track(limiter);
+	await advance(t, 4999);
+	assert.strictEqual(reset.sent, false);
+	await advance(t, 1);
+	assert.strictEqual(reset.sent, true);
+
+	// Otherwise the window is a minute from its first request, sent at 0
+	limiter.observe({ remaining: 0 });
+	const windowed = track(limiter);
+	await advance(t, 44999);
+	assert.strictEqual(windowed.sent, false);
+	await advance(t, 1);
+	assert.strictEqual(windowed.sent, true);
+});
+
+test('drops queued requests that are aborted or time out, leaving their slot to the next', async (t) => {
+	t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ], now: 0 });
+	const limiter = createLimiter({ requestsPerMinute: 1 });
+	await limiter.schedule();
+
+	const controller = new AbortController();
+	const outcomes = [];
+	const aborted = limiter.schedule({ signal: controller.signal }).catch((error) => outcomes.push(error.name));
+	const timedOut = limiter.schedule({ timeout: 1000 }).catch((error) => outcomes.push(error.name));
+	const next = track(limiter);
+	await advance(t, 500);
+	controller.abort();
+	await aborted;
+	await advance(t, 500);
+	await timedOut;
+	assert.deepStrictEqual(outcomes, [ 'AbortError', 'TimeoutError' ]);
+
+	// The slot freed a minute after the first request goes to the one still queued
+	await advance(t, 58999);
+	assert.strictEqual(next.sent, false);
+	await advance(t, 1);
+	assert.strictEqual(next.sent, true);
+
+	const late = new AbortController();
+	late.abort();
+	await assert.rejects(limiter.schedule({ signal: late.signal }), AbortError);
+});
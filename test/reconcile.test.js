@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { admin, NotFoundError, ValidationError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+const desired = (overrides = {}) => ({
+	external_id: 'game-1',
+	name: 'Survival',
+	owner: 'billing-1',
+	egg: 5,
+	docker_image: 'quay.io/pterodactyl/core:java',
+	startup: 'java -jar server.jar',
+	allocation: 3,
+	limits: { memory: 2048, disk: 10000 },
+	feature_limits: { databases: 2 },
+	databases: [ { name: 'main', host: 1 } ],
+	...overrides
+});
+
+test('plans and applies creating servers with their databases', async () => {
+	const owner = panel.addUser({ external_id: 'billing-1' });
+	const plan = await client().reconcile.plan({ servers: [ desired() ] });
+	assert.deepStrictEqual(plan.summary, { create: 2, update: 0, delete: 0 });
+	assert.deepStrictEqual(plan.changes.map((change) => change.key), [ 'game-1', 'game-1/main' ]);
+	assert.match(client().reconcile.format(plan), /\+ create server game-1\n {4}name: "Survival"/);
+
+	const { failed } = await client().reconcile.apply(plan);
+	assert.deepStrictEqual(failed, []);
+	const [ server ] = panel.state.servers.values();
+	assert.strictEqual(server.external_id, 'game-1');
+	assert.strictEqual(server.user, owner.id);
+	assert.strictEqual(server.feature_limits.databases, 2);
+	assert.strictEqual([ ...panel.state.databases.values() ][0].database, 's' + server.id + '_main');
+
+	const again = await client().reconcile.plan({ servers: [ desired() ] });
+	assert.deepStrictEqual(again.changes, []);
+	assert.match(client().reconcile.format(again), /Nothing to change/);
+});
+
+test('plans field-level updates and applies them', async () => {
+	panel.addUser({ external_id: 'billing-1' });
+	const other = panel.addUser({ external_id: 'billing-2' });
+	const server = panel.addServer({
+		external_id: 'game-1',
+		name: 'Old name',
+		user: 1,
+		egg: 5,
+		allocation: 9,
+		limits: { memory: 1024, swap: 0, disk: 5120, io: 500, cpu: 100, threads: null, oom_disabled: false },
+		container: { startup_command: 'java -jar server.jar', image: 'quay.io/pterodactyl/core:java', environment: {} }
+	});
+
+	const spec = desired({ name: 'New name', owner: 'billing-2', limits: { memory: 4096, disk: 5120 } });
+	delete spec.databases;
+	const plan = await client().reconcile.plan({ servers: [ spec ] });
+	assert.strictEqual(plan.changes.length, 1);
+	assert.deepStrictEqual(plan.changes[0].fields, [
+		{ field: 'name', from: 'Old name', to: 'New name' },
+		{ field: 'user', from: 1, to: other.id },
+		{ field: 'limits.memory', from: 1024, to: 4096 },
+		{ field: 'feature_limits.databases', from: 0, to: 2 }
+	]);
+	assert.match(client().reconcile.format(plan), /~ update server game-1 \(#1\)\n {4}name: "Old name" -> "New name"/);
+
+	const { failed } = await client().reconcile.apply(plan);
+	assert.deepStrictEqual(failed, []);
+	const updated = panel.state.servers.get(server.id);
+	assert.strictEqual(updated.name, 'New name');
+	assert.strictEqual(updated.user, other.id);
+	assert.strictEqual(updated.limits.memory, 4096);
+	assert.strictEqual(updated.limits.oom_disabled, false);
+	assert.strictEqual(updated.allocation, 9);
+});
+
+test('changes the egg without sending the variables the panel injects', async () => {
+	panel.addUser({ external_id: 'billing-1' });
+	panel.addEgg({
+		id: 5,
+		variables: [
+			{ env_variable: 'SERVER_JARFILE', rules: 'required|string' },
+			{ env_variable: 'BUILD_NUMBER', default_value: 'latest', rules: 'required|string' }
+		]
+	});
+	panel.addEgg({
+		id: 6,
+		nest: 2,
+		variables: [
+			{ env_variable: 'SERVER_JARFILE', rules: 'required|string' },
+			{ env_variable: 'MINECRAFT_VERSION', default_value: 'latest', rules: 'required|string' },
+			{ env_variable: 'LOADER', default_value: 'fabric', rules: 'required|in:fabric,quilt' }
+		]
+	});
+	const server = panel.addServer({
+		external_id: 'game-1',
+		name: 'Survival',
+		egg: 5,
+		limits: { memory: 2048, disk: 10000, swap: 0, io: 500, cpu: 100 },
+		feature_limits: { databases: 2, allocations: 0, backups: 0 },
+		container: {
+			startup_command: 'java -jar server.jar',
+			image: 'quay.io/pterodactyl/core:java',
+			environment: {
+				SERVER_JARFILE: 'paper.jar',
+				BUILD_NUMBER: '431',
+				STARTUP: 'java -jar {{SERVER_JARFILE}}',
+				P_SERVER_UUID: 'b9d3c7f0-0000-4000-8000-000000000001',
+				P_SERVER_LOCATION: 'home',
+				P_SERVER_ALLOCATION_LIMIT: 0
+			}
+		}
+	});
+
+	const spec = desired({ egg: 6 });
+	delete spec.databases;
+	const plan = await client().reconcile.plan({ servers: [ spec ] });
+	assert.deepStrictEqual(plan.changes[0].fields, [ { field: 'egg', from: 5, to: 6 } ]);
+
+	const { failed } = await client().reconcile.apply(plan);
+	assert.deepStrictEqual(failed, []);
+	const patch = panel.requests.find((request) => request.method === 'PATCH' && request.path.endsWith('/startup'));
+	assert.deepStrictEqual(patch.body.environment, {
+		SERVER_JARFILE: 'paper.jar',
+		MINECRAFT_VERSION: 'latest',
+		LOADER: 'fabric'
+	});
+	assert.strictEqual(panel.state.servers.get(server.id).egg, 6);
+});
+
+test('only deletes when pruning', async () => {
+	panel.addUser({ external_id: 'billing-1' });
+	const kept = panel.addServer({
+		external_id: 'game-1',
+		name: 'Survival',
+		egg: 5,
+		limits: { memory: 2048, disk: 10000, swap: 0, io: 500, cpu: 100 },
+		feature_limits: { databases: 2, allocations: 0, backups: 0 },
+		container: { startup_command: 'java -jar server.jar', image: 'quay.io/pterodactyl/core:java', environment: {} }
+	});
+	panel.addDatabase(kept.id, { database: 's1_main' });
+	panel.addDatabase(kept.id, { database: 's1_old' });
+	panel.addServer({ external_id: 'game-2' });
+	panel.addServer();
+
+	const plan = await client().reconcile.plan({ servers: [ desired() ] });
+	assert.deepStrictEqual(plan.changes, []);
+
+	const pruning = await client().reconcile.plan({ servers: [ desired() ] }, { prune: true });
+	assert.deepStrictEqual(pruning.changes.map((change) => change.action + ' ' + change.key), [
+		'delete game-1/s1_old',
+		'delete game-2'
+	]);
+	await client().reconcile.apply(pruning);
+	assert.strictEqual(panel.state.servers.size, 2);
+	assert.strictEqual(panel.state.databases.size, 1);
+});
+
+test('skips the databases of a server that failed to be created', async () => {
+	panel.addUser({ external_id: 'billing-1' });
+	const plan = await client().reconcile.plan({ servers: [ desired() ] });
+	panel.fail({ method: 'POST', path: '/api/application/servers', status: 422, field: 'name' });
+	const { failed } = await client().reconcile.apply(plan);
+	assert.strictEqual(failed.length, 2);
+	assert.ok(failed[0].error instanceof ValidationError);
+	assert.match(failed[1].error.message, /Skipped/);
+	assert.strictEqual(panel.state.servers.size, 0);
+});
+
+test('rejects invalid documents and unknown owners', async () => {
+	await assert.rejects(client().reconcile.plan({ servers: [ desired({ egg: 'paper' }) ] }), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'servers[0].egg' ]);
+		return true;
+	});
+	await assert.rejects(client().reconcile.plan({ servers: [ desired(), desired() ] }), ValidationError);
+	await assert.rejects(client().reconcile.plan({ servers: [ desired({ node: '2' }) ] }), ValidationError);
+	await assert.rejects(client().reconcile.plan({ servers: [ desired() ] }), /No user has the external ID billing-1/);
+	await assert.rejects(client().reconcile.plan({ servers: [ desired() ] }), NotFoundError);
+
+	panel.addUser({ external_id: 'billing-1' });
+	await assert.rejects(client().reconcile.plan({ servers: [ desired({ allocation: undefined }) ] }), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.strictEqual(error.message, 'Error: Server game-1 needs an allocation or a node to be created');
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'servers[0].allocation' ]);
+		return true;
+	});
+	const plan = await client().reconcile.plan({ servers: [ desired({ allocation: undefined, node: 2 }) ] });
+	assert.strictEqual(plan.summary.create, 2);
+});
+
+test('applies startup changes through the default admin client', async () => {
+	await admin.setApiKey(panel.host, panel.key);
+	panel.addUser({ external_id: 'billing-1' });
+	panel.addEgg({ id: 5, variables: [ { env_variable: 'SERVER_JARFILE', rules: 'required|string' } ] });
+	const server = panel.addServer({
+		external_id: 'game-1',
+		name: 'Survival',
+		egg: 5,
+		limits: { memory: 2048, disk: 10000, swap: 0, io: 500, cpu: 100 },
+		feature_limits: { databases: 2, allocations: 0, backups: 0 },
+		container: {
+			startup_command: 'java -jar server.jar',
+			image: 'quay.io/pterodactyl/core:java',
+			environment: { SERVER_JARFILE: 'paper.jar' }
+		}
+	});
+
+	const spec = desired({ docker_image: 'ghcr.io/pterodactyl/yolks:java_17' });
+	delete spec.databases;
+	const plan = await admin.reconcile.plan({ servers: [ spec ] });
+	assert.deepStrictEqual(plan.changes[0].fields, [
+		{ field: 'docker_image', from: 'quay.io/pterodactyl/core:java', to: 'ghcr.io/pterodactyl/yolks:java_17' }
+	]);
+	const { failed } = await admin.reconcile.apply(plan);
+	assert.deepStrictEqual(failed, []);
+	assert.strictEqual(panel.state.servers.get(server.id).container.image, 'ghcr.io/pterodactyl/yolks:java_17');
+});
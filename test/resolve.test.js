@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { createResolver, parseServerRef } = require('../admin/methods/servers/resolve');
+const { NotFoundError, ValidationError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+const lookups = () => panel.requests.filter((request) => request.path.startsWith('/api/application/servers'));
+
+test('tells internal IDs, external IDs, UUIDs and identifiers apart', () => {
+	const uuid = 'A1B2C3D4-0000-4000-8000-00000000000F';
+	assert.deepStrictEqual(parseServerRef(12), { type: 'id', value: 12 });
+	assert.deepStrictEqual(parseServerRef('12'), { type: 'id', value: 12 });
+	assert.deepStrictEqual(parseServerRef({ externalId: 'invoice-1' }), { type: 'external_id', value: 'invoice-1' });
+	assert.deepStrictEqual(parseServerRef(uuid), { type: 'uuid', value: uuid.toLowerCase() });
+	assert.deepStrictEqual(parseServerRef('A1B2C3D4'), { type: 'identifier', value: 'a1b2c3d4' });
+	// Identifiers can be all digits
+	assert.deepStrictEqual(parseServerRef('12345678'), { type: 'identifier', value: '12345678' });
+
+	[ 0, -1, 1.5, '', 'survival', 'a1b2c3d4e', { externalId: '' }, { id: 1 }, null, undefined ].forEach((ref) => {
+		assert.strictEqual(parseServerRef(ref), null, JSON.stringify(ref));
+	});
+});
+
+test('looks servers up with filters and remembers them', async () => {
+	panel.addServer();
+	const server = panel.addServer({ external_id: 'invoice-1' });
+	const { resolveServer } = createResolver(client().request);
+
+	assert.strictEqual(await resolveServer(server.uuid.toUpperCase()), server.id);
+	assert.strictEqual(lookups()[0].query['filter[uuid]'], server.uuid);
+
+	// Every reference of a fetched server is remembered, in any case
+	const before = panel.requests.length;
+	assert.strictEqual(await resolveServer(server.identifier.toUpperCase()), server.id);
+	assert.strictEqual(await resolveServer({ externalId: 'invoice-1' }), server.id);
+	assert.strictEqual(await resolveServer(String(server.id)), server.id);
+	assert.strictEqual(panel.requests.length, before);
+
+	const other = panel.addServer();
+	assert.strictEqual(await resolveServer(other.identifier), other.id);
+	assert.strictEqual(lookups().pop().query['filter[uuidShort]'], other.identifier);
+});
+
+test('rejects references that match no server or can not identify one', async () => {
+	const { resolveServer } = createResolver(client().request);
+
+	await assert.rejects(resolveServer({ externalId: 'missing' }), {
+		name: 'NotFoundError',
+		message: 'No server matches the external ID missing'
+	});
+	await assert.rejects(resolveServer('0000beef'), {
+		name: 'NotFoundError',
+		message: 'No server matches the identifier 0000beef'
+	});
+	await assert.rejects(resolveServer('survival'), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'server' ]);
+		return true;
+	});
+	await assert.rejects(resolveServer(-1), ValidationError);
+	assert.strictEqual(lookups().length, 2);
+});
+
+test('forgets the least recently used references past the cache size', async () => {
+	const servers = [ panel.addServer(), panel.addServer(), panel.addServer() ];
+	// Each server takes two entries, its UUID and its identifier
+	const { resolveServer } = createResolver(client().request, { cacheSize: 4 });
+
+	await resolveServer(servers[0].uuid);
+	await resolveServer(servers[1].uuid);
+	// Using the first one again makes the second one the oldest
+	await resolveServer(servers[0].uuid);
+	await resolveServer(servers[2].uuid);
+	assert.strictEqual(lookups().length, 3);
+
+	await resolveServer(servers[0].uuid);
+	assert.strictEqual(lookups().length, 3);
+	await resolveServer(servers[1].uuid);
+	assert.strictEqual(lookups().length, 4);
+});
+
+test('remembers servers fetched elsewhere and forgets them on request', async () => {
+	const server = panel.addServer({ external_id: 'invoice-1' });
+	const { resolveServer, remember, forget } = createResolver(client().request);
+
+	remember(server);
+	assert.strictEqual(await resolveServer({ externalId: 'invoice-1' }), server.id);
+	assert.strictEqual(await resolveServer(server.uuid), server.id);
+	assert.strictEqual(lookups().length, 0);
+
+	forget(server.id);
+	panel.state.servers.get(server.id).external_id = 'invoice-2';
+	await assert.rejects(resolveServer({ externalId: 'invoice-1' }), NotFoundError);
+	assert.strictEqual(await resolveServer({ externalId: 'invoice-2' }), server.id);
+	assert.strictEqual(lookups().length, 2);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { PterodactylUserClient, PterodactylError, ValidationError, NotFoundError } = require('../index');
+
+const { panel } = setupPanel();
+const session = () => new PterodactylUserClient({ host: panel.host, key: panel.key, retryDelay: 1 });
+
+test('creates and updates a schedule', async () => {
+	const { identifier } = panel.addServer();
+
+	const schedule = await session().createSchedule(identifier, { name: 'Restart', cron: '0 4 * * 1-5' });
+	assert.deepStrictEqual(schedule.cron, {
+		day_of_week: '1-5',
+		day_of_month: '*',
+		month: '*',
+		hour: '4',
+		minute: '0'
+	});
+	assert.deepStrictEqual(schedule.tasks, []);
+
+	const updated = await session().updateSchedule(identifier, schedule.id, { cron: { hour: '5' }, isActive: false });
+	assert.strictEqual(updated.name, 'Restart');
+	assert.strictEqual(updated.cron.hour, '5');
+	assert.strictEqual(updated.cron.day_of_week, '1-5');
+	assert.strictEqual(updated.is_active, false);
+
+	const [ listed ] = await session().listSchedules(identifier);
+	assert.strictEqual(listed.id, schedule.id);
+});
+
+test('validates cron fields before sending', async () => {
+	const { identifier } = panel.addServer();
+	const invalid = [ '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '*/0 * * * *', '* * *' ];
+	for (const cron of invalid) {
+		await assert.rejects(session().createSchedule(identifier, { name: 'Bad', cron }), ValidationError, cron);
+	}
+	await assert.rejects(session().createSchedule(identifier, { name: 'Bad', cron: { minute: '5-1' } }), (error) => {
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'minute' ]);
+		return true;
+	});
+	await session().createSchedule(identifier, { name: 'Fine', cron: '*/15 0,12 1-7 jan-jun mon' });
+	assert.strictEqual(panel.requests.filter((request) => request.method === 'POST').length, 1);
+});
+
+test('manages the tasks of a schedule', async () => {
+	const { id, identifier } = panel.addServer();
+	const schedule = panel.addSchedule(id);
+
+	const command = await session().createTask(identifier, schedule.id, {
+		action: 'command',
+		payload: 'say Restarting'
+	});
+	const power = await session().createTask(identifier, schedule.id, {
+		action: 'power',
+		payload: 'restart',
+		timeOffset: 60
+	});
+	await session().createTask(identifier, schedule.id, { action: 'backup', payload: [ '*.log' ], timeOffset: 30 });
+	assert.strictEqual(power.sequence_id, 2);
+
+	const updated = await session().updateTask(identifier, schedule.id, command.id, { payload: 'say Soon' });
+	assert.strictEqual(updated.payload, 'say Soon');
+	assert.strictEqual(updated.action, 'command');
+
+	await session().deleteTask(identifier, schedule.id, power.id);
+	const { tasks } = await session().getSchedule(identifier, schedule.id);
+	assert.deepStrictEqual(tasks.map((task) => task.payload), [ 'say Soon', '*.log' ]);
+
+	await assert.rejects(
+		session().createTask(identifier, schedule.id, { action: 'power', payload: 'reboot' }),
+		ValidationError
+	);
+	await assert.rejects(
+		session().createTask(identifier, schedule.id, { action: 'command', payload: 'x', timeOffset: 901 }),
+		ValidationError
+	);
+	await assert.rejects(session().updateTask(identifier, schedule.id, 99, { payload: 'x' }), NotFoundError);
+});
+
+test('runs a schedule now and waits for it', async () => {
+	const { id, identifier } = panel.addServer();
+	const active = panel.addSchedule(id);
+	const inactive = panel.addSchedule(id, { is_active: false });
+
+	const message = await session().runSchedule(identifier, active.id);
+	assert.strictEqual(typeof message, 'string');
+
+	const schedule = await session().runSchedule(identifier, active.id, { interval: 5 });
+	assert.strictEqual(schedule.is_processing, false);
+	assert.ok(schedule.last_run_at);
+
+	await assert.rejects(session().runSchedule(identifier, inactive.id), PterodactylError);
+	await session().deleteSchedule(identifier, inactive.id);
+	assert.deepStrictEqual([ ...panel.state.schedules.keys() ], [ active.id ]);
+});
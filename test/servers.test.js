@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { NotFoundError, ServerError, ValidationError, PterodactylError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('lists servers with pagination', async () => {
+	for (let i = 0; i < 5; i++) {
+		panel.addServer();
+	}
+	const { servers, pagination } = await client().getAllServers({ params: { per_page: 2 } });
+	assert.strictEqual(servers.length, 2);
+	assert.strictEqual(pagination.total, 5);
+	assert.strictEqual(pagination.total_pages, 3);
+
+	const all = await client().fetchAllServers({ per_page: 2 });
+	assert.deepStrictEqual(all.map((server) => server.id), [ 1, 2, 3, 4, 5 ]);
+});
+
+test('resolves servers by internal ID, external ID, UUID and identifier', async () => {
+	panel.addServer();
+	const server = panel.addServer({ external_id: 'invoice-1' });
+
+	assert.strictEqual(await client().resolveServer(server.id), server.id);
+	assert.strictEqual(await client().resolveServer({ externalId: 'invoice-1' }), server.id);
+	assert.strictEqual(await client().resolveServer(server.uuid), server.id);
+	assert.strictEqual(await client().resolveServer(server.identifier), server.id);
+
+	const info = await client().getServerInformation('invoice-1', true);
+	assert.strictEqual(info.id, server.id);
+	await assert.rejects(client().resolveServer({ externalId: 'missing' }), NotFoundError);
+});
+
+test('creates a server and waits until it is installed', async () => {
+	const { server } = await client().createServer({
+		name: 'Survival',
+		userID: 1,
+		eggID: 5,
+		startup: 'java -jar server.jar',
+		dockerImage: 'quay.io/pterodactyl/core:java',
+		allocationID: 3,
+		startOnComplete: false,
+		memory: 2048,
+		disk: 10000,
+		waitUntilInstalled: { interval: 5 }
+	});
+	assert.strictEqual(server.name, 'Survival');
+	assert.strictEqual(server.container.installed, true);
+	assert.strictEqual(panel.state.servers.get(server.id).limits.memory, 2048);
+});
+
+test('stops waiting once the installation fails', async () => {
+	const { id } = panel.addServer({ status: 'install_failed' });
+	await assert.rejects(client().waitForServerInstalled(id, { interval: 5, timeout: 1000 }), (error) => {
+		assert.ok(error instanceof PterodactylError);
+		assert.strictEqual(error.message, 'Server ' + id + ' failed to install');
+		return true;
+	});
+	assert.strictEqual(panel.requests.filter((request) => request.path === '/api/application/servers/' + id).length, 1);
+
+	await client().reinstallServer(id);
+	const server = await client().waitForServerInstalled(id, { interval: 5, timeout: 1000 });
+	assert.strictEqual(server.status, null);
+	assert.strictEqual(server.container.installed, true);
+});
+
+test('creates a server on the free allocations of a node', async () => {
+	panel.addAllocation(2, { assigned: true });
+	const first = panel.addAllocation(2);
+	const second = panel.addAllocation(2);
+	panel.addAllocation(3);
+
+	const free = await client().findFreeAllocations({ node: 2, count: 2 });
+	const { server } = await client().createServer({
+		name: 'Survival',
+		userID: 1,
+		eggID: 5,
+		startup: 'java -jar server.jar',
+		dockerImage: 'quay.io/pterodactyl/core:java',
+		allocationID: free,
+		startOnComplete: false,
+		memory: 2048,
+		disk: 10000
+	});
+	const post = panel.requests.find(
+		(request) => request.method === 'POST' && request.path === '/api/application/servers'
+	);
+	assert.deepStrictEqual(post.body.allocation, { default: first.id, additional: [ second.id ] });
+	assert.strictEqual(panel.state.servers.get(server.id).allocation, first.id);
+	await assert.rejects(client().findFreeAllocations({ node: 2 }), NotFoundError);
+});
+
+test('suspends and unsuspends a server', async () => {
+	const { id } = panel.addServer();
+	await client().suspendServer(id);
+	assert.strictEqual(panel.state.servers.get(id).suspended, true);
+	await client().unsuspendServer(id);
+	assert.strictEqual(panel.state.servers.get(id).suspended, false);
+});
+
+test('updates server details and build configuration', async () => {
+	const { id } = panel.addServer();
+	const details = await client().updateServerDetails(id, 'Renamed', 2, 'invoice-2', 'Moved');
+	assert.strictEqual(details.server.name, 'Renamed');
+	assert.strictEqual(details.server.external_id, 'invoice-2');
+
+	const build = await client().updateServerBuildConfiguration({ server: id, allocation_id: 7, memory: 4096 });
+	assert.strictEqual(build.server.allocation, 7);
+	assert.strictEqual(build.server.limits.memory, 4096);
+	assert.strictEqual(build.server.limits.disk, 5120);
+});
+
+const startupPatches = () =>
+	panel.requests.filter((request) => request.method === 'PATCH' && request.path.endsWith('/startup'));
+
+const withStartup = () =>
+	panel.addServer({
+		egg: 5,
+		container: {
+			startup_command: 'java -jar {{SERVER_JARFILE}}',
+			image: 'quay.io/pterodactyl/core:java',
+			environment: {
+				SERVER_JARFILE: 'paper.jar',
+				BUILD_NUMBER: '431',
+				STARTUP: 'java -jar {{SERVER_JARFILE}}',
+				P_SERVER_UUID: 'b9d3c7f0-0000-4000-8000-000000000001'
+			}
+		}
+	});
+
+test('keeps the environment when updating the startup without one', async () => {
+	const { id } = withStartup();
+	const { server } = await client().updateServerStartup(id, { image: 'ghcr.io/pterodactyl/yolks:java_17' });
+	assert.strictEqual(server.container.image, 'ghcr.io/pterodactyl/yolks:java_17');
+	assert.deepStrictEqual(startupPatches()[0].body.environment, { SERVER_JARFILE: 'paper.jar', BUILD_NUMBER: '431' });
+	assert.strictEqual(panel.state.servers.get(id).container.environment.SERVER_JARFILE, 'paper.jar');
+});
+
+test('checks the environment against a new egg before changing it', async () => {
+	const { id } = withStartup();
+	panel.addEgg({
+		id: 6,
+		variables: [
+			{ env_variable: 'SERVER_JARFILE', rules: 'required|string' },
+			{ env_variable: 'LOADER', default_value: 'fabric', rules: 'required|in:fabric,quilt' }
+		]
+	});
+
+	await assert.rejects(client().updateServerStartup(id, { egg: 6, environment: { LOADER: 'forge' } }), (error) => {
+		assert.ok(error instanceof ValidationError);
+		const fields = [ 'environment.LOADER', 'environment.SERVER_JARFILE' ];
+		assert.deepStrictEqual(Object.keys(error.fields).sort(), fields);
+		return true;
+	});
+	assert.deepStrictEqual(startupPatches(), []);
+
+	// Without an environment, the variables the new egg shares with the old one are kept
+	await client().updateServerStartup(id, { egg: 6 });
+	assert.deepStrictEqual(startupPatches()[0].body, {
+		egg: 6,
+		environment: { SERVER_JARFILE: 'paper.jar', LOADER: 'fabric' },
+		skip_scripts: false
+	});
+	assert.strictEqual(panel.state.servers.get(id).egg, 6);
+});
+
+test('only skips checking the environment when the egg is off limits', async () => {
+	const { id } = withStartup();
+	await assert.rejects(client().updateServerStartup(id, { egg: 99 }), NotFoundError);
+	panel.fail({ path: /nests/, status: 500 });
+	await assert.rejects(client().updateServerStartup(id, { egg: 6 }), ServerError);
+	assert.deepStrictEqual(startupPatches(), []);
+
+	panel.fail({ path: /nests/, status: 403 });
+	const { server } = await client().updateServerStartup(id, { egg: 6, environment: { LOADER: 'forge' } });
+	assert.strictEqual(server.egg, 6);
+	assert.deepStrictEqual(server.container.environment, { LOADER: 'forge' });
+});
+
+test('deletes a server', async () => {
+	const { id } = panel.addServer();
+	await client().deleteServer(id);
+	assert.strictEqual(panel.state.servers.has(id), false);
+	await assert.rejects(client().getServerInformation(id), NotFoundError);
+});
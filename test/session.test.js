@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { PterodactylUserClient, NotFoundError, ServerError, ValidationError, PterodactylError } = require('../index');
+
+const { panel } = setupPanel();
+const session = () => new PterodactylUserClient({ host: panel.host, key: panel.key, retryDelay: 1 });
+
+test('lists the servers of the API key and gets one', async () => {
+	const owned = panel.addServer({ user: 1, name: 'Survival' });
+	panel.addServer({ user: 2 });
+
+	const { servers, pagination } = await session().getServers();
+	assert.deepStrictEqual(servers.map((server) => server.server_owner), [ true, false ]);
+	assert.strictEqual(servers[0].identifier, owned.identifier);
+	assert.strictEqual(pagination.total, 2);
+	assert.strictEqual((await session().fetchAllServers({ per_page: 1 })).length, 2);
+
+	const server = await session().getServer(owned.identifier);
+	assert.strictEqual(server.name, 'Survival');
+	assert.strictEqual(server.server_owner, true);
+	assert.strictEqual(server.is_installing, false);
+
+	await assert.rejects(session().getServer('0000beef'), NotFoundError);
+	const before = panel.requests.length;
+	await assert.rejects(session().getServer(''), ValidationError);
+	assert.strictEqual(panel.requests.length, before);
+});
+
+test('sends power signals and console commands', async () => {
+	const { id, identifier } = panel.addServer();
+	assert.strictEqual((await session().getServerResources(identifier)).current_state, 'offline');
+
+	await session().startServer(identifier);
+	const usage = await session().getServerResources(identifier);
+	assert.strictEqual(usage.current_state, 'running');
+	assert.ok(usage.resources.memory_bytes > 0);
+
+	const sent = await session().sendCommand(identifier, 'say hi');
+	assert.strictEqual(sent, 'Successfully sent the command to the server');
+	assert.deepStrictEqual(panel.state.commands.get(id), [ 'say hi' ]);
+
+	await session().restartServer(identifier);
+	await session().killServer(identifier);
+	assert.strictEqual(panel.state.power.get(id), 'offline');
+	await assert.rejects(session().sendCommand(identifier, 'say bye'), ServerError);
+	assert.deepStrictEqual(
+		panel.requests.filter((request) => request.method === 'POST').map((request) => request.body),
+		[
+			{ signal: 'start' },
+			{ command: 'say hi' },
+			{ signal: 'restart' },
+			{ signal: 'kill' },
+			{ command: 'say bye' }
+		]
+	);
+});
+
+test('rejects invalid power signals and commands before sending them', async () => {
+	const { identifier } = panel.addServer({ suspended: true });
+	await assert.rejects(session().sendPowerSignal(identifier, 'pause'), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'signal' ]);
+		return true;
+	});
+	await assert.rejects(session().sendCommand(identifier, ''), ValidationError);
+	await assert.rejects(session().stopServer(null), ValidationError);
+	assert.deepStrictEqual(panel.requests, []);
+
+	await assert.rejects(session().startServer(identifier), (error) => {
+		assert.ok(error instanceof PterodactylError);
+		assert.strictEqual(error.status, 400);
+		return true;
+	});
+});
+
+test('encodes the server identifier into the path', async () => {
+	await assert.rejects(session().getServerResources('a/b?c'), NotFoundError);
+	await assert.rejects(session().sendCommand('../account', 'say hi'), NotFoundError);
+	assert.deepStrictEqual(panel.requests.map((request) => request.path), [
+		'/api/client/servers/a%2Fb%3Fc/resources',
+		'/api/client/servers/..%2Faccount/command'
+	]);
+});
+
+test('gets the account of the API key owner', async () => {
+	const account = await session().getAccountDetails();
+	assert.strictEqual(account.id, 1);
+	assert.strictEqual(account.admin, true);
+
+	panel.addUser({ id: 1, username: 'owner', root_admin: false });
+	const owner = await session().getAccountDetails();
+	assert.deepStrictEqual(owner, {
+		id: 1,
+		admin: false,
+		username: 'owner',
+		email: 'user1@example.com',
+		first_name: 'User',
+		last_name: '1',
+		language: 'en'
+	});
+});
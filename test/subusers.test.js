@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const {
+	PterodactylUserClient,
+	NotFoundError,
+	ValidationError,
+	permissionPresets,
+	resolvePermissions
+} = require('../index');
+
+const { panel } = setupPanel();
+const session = () => new PterodactylUserClient({ host: panel.host, key: panel.key, retryDelay: 1 });
+
+test('resolves presets and wildcards and rejects unknown permissions', () => {
+	assert.deepStrictEqual(resolvePermissions([ 'control.*', 'file.read' ]), [
+		'control.console',
+		'control.start',
+		'control.stop',
+		'control.restart',
+		'file.read'
+	]);
+	assert.deepStrictEqual(resolvePermissions('read-only'), permissionPresets['read-only']);
+	assert.ok(resolvePermissions([ 'operator', 'database.view_password' ]).includes('database.view_password'));
+	assert.ok(permissionPresets.operator.every((permission) => permissionPresets.full.includes(permission)));
+
+	assert.throws(() => resolvePermissions([ 'file.read', 'file.raed', 'nope.*' ]), {
+		name: 'ValidationError',
+		message: 'Unknown permissions: file.raed, nope.*',
+		fields: { permissions: [ 'Unknown permissions: file.raed, nope.*' ] }
+	});
+	assert.throws(() => resolvePermissions([]), ValidationError);
+});
+
+test('creates, updates and deletes subusers by email', async () => {
+	const { id, identifier } = panel.addServer();
+
+	const created = await session().createSubuser(identifier, 'helper@example.com', 'read-only');
+	assert.strictEqual(created.email, 'helper@example.com');
+	assert.deepStrictEqual(created.permissions, permissionPresets['read-only']);
+
+	const updated = await session().updateSubuser(identifier, 'Helper@example.com', [ 'operator' ]);
+	assert.strictEqual(updated.uuid, created.uuid);
+	assert.deepStrictEqual(updated.permissions, permissionPresets.operator);
+	assert.deepStrictEqual(await session().getSubuser(identifier, created.uuid), updated);
+
+	const [ listed ] = await session().listSubusers(identifier);
+	assert.strictEqual(listed.uuid, created.uuid);
+
+	await session().deleteSubuser(identifier, 'helper@example.com');
+	assert.strictEqual([ ...panel.state.subusers.values() ].filter((subuser) => subuser.server === id).length, 0);
+	await assert.rejects(session().deleteSubuser(identifier, 'helper@example.com'), NotFoundError);
+});
+
+test('rejects unknown permissions before sending the request', async () => {
+	const { id, identifier } = panel.addServer();
+	const subuser = panel.addSubuser(id, 'mod@example.com', [ 'control.console' ]);
+	const before = panel.requests.length;
+
+	await assert.rejects(session().createSubuser(identifier, 'new@example.com', [ 'control.consol' ]), {
+		name: 'ValidationError',
+		fields: { permissions: [ 'Unknown permissions: control.consol' ] }
+	});
+	await assert.rejects(session().updateSubuser(identifier, subuser.uuid, 'admin'), ValidationError);
+	await assert.rejects(session().createSubuser(identifier, 'not-an-email', 'read-only'), ValidationError);
+	assert.strictEqual(panel.requests.length, before);
+});
+
+test('checks permissions against the catalog fetched from the panel', async () => {
+	const { identifier } = panel.addServer();
+	panel.state.permissions.plugins = { description: 'Managing plugins.', keys: { install: 'Install plugins.' } };
+	const client = session();
+
+	await assert.rejects(client.createSubuser(identifier, 'dev@example.com', [ 'plugins.install' ]), ValidationError);
+
+	const catalog = await client.getPermissionCatalog();
+	assert.deepStrictEqual(Object.keys(catalog.plugins.keys), [ 'install' ]);
+	const created = await client.createSubuser(identifier, 'dev@example.com', [ 'plugins.*', 'file.read' ]);
+	assert.deepStrictEqual(created.permissions, [ 'websocket.connect', 'file.read', 'plugins.install' ]);
+});
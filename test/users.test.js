@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setupPanel } = require('./helpers');
+const { NotFoundError, ValidationError, PterodactylError } = require('../index');
+
+const { panel, client } = setupPanel();
+
+test('gets users by external ID', async () => {
+	const user = panel.addUser({ external_id: 'billing/1' });
+	const found = await client().getUserByExternalId('billing/1');
+	assert.strictEqual(found.id, user.id);
+	assert.strictEqual(panel.requests[0].path, '/api/application/users/external/billing%2F1');
+
+	await assert.rejects(client().getUserByExternalId('billing-2'), (error) => {
+		assert.ok(error instanceof NotFoundError);
+		assert.strictEqual(error.status, 404);
+		return true;
+	});
+	await assert.rejects(client().getUserByExternalId(''), ValidationError);
+	await assert.rejects(client().getUserByExternalId('billing-1', { include: [ 'nodes' ] }), ValidationError);
+	assert.strictEqual(panel.requests.length, 2);
+});
+
+test('updates users', async () => {
+	const user = panel.addUser();
+	panel.addUser({ email: 'taken@example.com' });
+
+	const { user: updated } = await client().updateUser(
+		user.id,
+		'new@example.com',
+		'newname',
+		'New',
+		'Name',
+		'hunter2',
+		'billing-1',
+		true,
+		'nl'
+	);
+	assert.strictEqual(updated.email, 'new@example.com');
+	assert.strictEqual(updated.external_id, 'billing-1');
+	assert.strictEqual(updated.root_admin, true);
+	assert.strictEqual(updated.language, 'nl');
+	assert.deepStrictEqual(panel.requests[0].body, {
+		email: 'new@example.com',
+		username: 'newname',
+		first_name: 'New',
+		last_name: 'Name',
+		password: 'hunter2',
+		external_id: 'billing-1',
+		root_admin: true,
+		language: 'nl'
+	});
+
+	await assert.rejects(client().updateUser(user.id, 'taken@example.com', 'newname', 'New', 'Name'), (error) => {
+		assert.ok(error instanceof ValidationError);
+		assert.deepStrictEqual(Object.keys(error.fields), [ 'email' ]);
+		return true;
+	});
+	await assert.rejects(client().updateUser(99, 'a@example.com', 'a', 'A', 'B'), NotFoundError);
+	await assert.rejects(client().updateUser(user.id, 'a@example.com', '', 'A', 'B'), ValidationError);
+	await assert.rejects(client().updateUser('one', 'a@example.com', 'a', 'A', 'B'), ValidationError);
+	assert.strictEqual(panel.requests.length, 3);
+});
+
+test('deletes users without servers', async () => {
+	const user = panel.addUser();
+	const owner = panel.addUser();
+	panel.addServer({ user: owner.id });
+
+	assert.strictEqual(await client().deleteUser(user.id), 'Successfully deleted the user');
+	assert.strictEqual(panel.state.users.has(user.id), false);
+	await assert.rejects(client().deleteUser(user.id), NotFoundError);
+
+	await assert.rejects(client().deleteUser(owner.id), (error) => {
+		assert.ok(error instanceof PterodactylError);
+		assert.strictEqual(error.status, 400);
+		return true;
+	});
+	assert.strictEqual(panel.state.users.has(owner.id), true);
+	await assert.rejects(client().deleteUser('one'), ValidationError);
+});
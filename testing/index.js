@@ -0,0 +1,1770 @@
+const http = require('http');
+const crypto = require('crypto');
+const { posix } = require('path');
+const { permissionCatalog, catalogKeys } = require('../user/methods/subusers/permissions');
+
+/**
+ * @typedef {Object} FakeFailure
+ * @property {string} [method] - Only fail this HTTP method (e.g "POST"), any method by default
+ * @property {string|RegExp} [path] - Only fail requests whose path (without query string) matches, any path by default
+ * @property {number} status - One of 403, 404, 422, 429 or 500, any other status works too
+ * @property {number} [times=1] - How many matching requests fail, Infinity keeps failing
+ * @property {number} [retryAfter] - `Retry-After` header in seconds, for 429
+ * @property {string} [field] - Field reported as invalid, for 422
+ * @property {Object[]} [errors] - Errors reported in the body, a default one matching the status otherwise
+ */
+/**
+ * @typedef {Object} FakeRequest
+ * @property {string} method
+ * @property {string} path
+ * @property {Object} query
+ * @property {Object} headers
+ * @property {*} body - Parsed JSON, the text of plain text bodies or the raw bytes of uploads
+ */
+
+const statusCodes = {
+	401: 'AuthenticationException',
+	403: 'AccessDeniedHttpException',
+	404: 'NotFoundHttpException',
+	422: 'ValidationException',
+	429: 'TooManyRequestsHttpException',
+	500: 'HttpException'
+};
+
+class HttpError extends Error {
+	constructor(status, detail, errors) {
+		super(detail);
+		this.status = status;
+		this.errors = errors || [ { code: statusCodes[status] || 'HttpException', status: String(status), detail } ];
+	}
+}
+
+const validationError = (field, rule, detail) =>
+	new HttpError(422, detail, [
+		{ code: 'ValidationException', status: '422', detail, meta: { source_field: field, rule } }
+	]);
+
+const now = () => new Date().toISOString();
+
+// Absolute path inside a server, `..` can't leave its root
+const resolvePath = (...parts) => posix.normalize('/' + parts.join('/')).replace(/(.)\/$/, '$1');
+
+/**
+ * Reads the files of a multipart upload
+ * @param  {Buffer} raw
+ * @param  {string} contentType
+ * @returns {{name: string, contents: Buffer}[]}
+ */
+const parseMultipart = (raw, contentType) => {
+	const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+	if (!match || !Buffer.isBuffer(raw)) {
+		throw new HttpError(400, 'The request is not a multipart form.');
+	}
+	const delimiter = Buffer.from('--' + (match[1] || match[2]));
+	const files = [];
+	let start = raw.indexOf(delimiter);
+	while (start !== -1) {
+		const next = raw.indexOf(delimiter, start + delimiter.length);
+		if (next === -1) {
+			break;
+		}
+		// Each part sits between the CRLF after a delimiter and the CRLF before the next one
+		const part = raw.slice(start + delimiter.length + 2, next - 2);
+		const split = part.indexOf('\r\n\r\n');
+		const filename = /filename="([^"]*)"/.exec(part.slice(0, split).toString());
+		if (filename) {
+			files.push({ name: filename[1], contents: part.slice(split + 4) });
+		}
+		start = next;
+	}
+	return files;
+};
+
+/**
+ * Creates a local HTTP server emulating the `/api/application` server, database, database host, user, node,
+ * allocation and egg lookup endpoints and the `/api/client` servers, power and console commands, account, file
+ * manager, backups, schedules and subusers, including the signed URLs of the node.
+ * It keeps its state in memory so code built on the wrapper can be tested without a live panel.
+ * @param  {Object} [options]
+ * @param  {string} [options.key='fake-api-key'] - API key the panel accepts, anything else gets a 401
+ * @param  {number} [options.perPage=50] - Default page size of list endpoints
+ * @param  {number} [options.installDelay=0] - Milliseconds before a created or reinstalled server is installed
+ * @param  {number} [options.jobDelay=0] - Milliseconds before a backup completes or a schedule run finishes
+ * @param  {{limit: number, window: number}} [options.rateLimit] - Throttles the API like the panel, `limit` requests
+ * every `window` milliseconds, reported in the `X-RateLimit-*` headers of every response
+ * @returns {Object} The fake panel, call `start` before using it
+ * @example
+ * const panel = createFakePanel();
+ * await panel.start();
+ * const client = new PterodactylClient({ host: panel.host, key: panel.key });
+ * panel.fail({ method: 'POST', path: /suspend$/, status: 500 });
+ */
+const createFakePanel = ({ key = 'fake-api-key', perPage = 50, installDelay = 0, jobDelay = 0, rateLimit } = {}) => {
+	let server = null;
+	let failures = [];
+	// Requests counted in the current rate limit window, and when it ends
+	let throttled = { used: 0, resetsAt: 0 };
+	const state = {
+		servers: new Map(),
+		databases: new Map(),
+		databaseHosts: new Map(),
+		users: new Map(),
+		eggs: new Map(),
+		nodes: new Map(),
+		allocations: new Map(),
+		// server ID -> Map of absolute path -> contents, null for directories
+		files: new Map(),
+		backups: new Map(),
+		schedules: new Map(),
+		// subuser UUID -> { uuid, server, user, permissions, created_at }
+		subusers: new Map(),
+		// Permission catalog served by `/api/client/permissions`, groups can be added to it
+		permissions: JSON.parse(JSON.stringify(permissionCatalog)),
+		// server ID -> power state set through the client API, servers are offline until started
+		power: new Map(),
+		// server ID -> commands sent to its console
+		commands: new Map(),
+		nextServerId: 1,
+		nextDatabaseId: 1,
+		nextUserId: 1,
+		nextScheduleId: 1,
+		nextTaskId: 1
+	};
+	/** @type {FakeRequest[]} */
+	const requests = [];
+	// token -> { server, file } of the signed URLs handed out
+	const signed = new Map();
+
+	const toServer = (record) => {
+		const { installedAt, ...attributes } = record;
+		const installed = Date.now() >= installedAt;
+		return {
+			object: 'server',
+			attributes: {
+				...attributes,
+				status: installed ? (attributes.suspended ? 'suspended' : null) : attributes.status || 'installing',
+				container: { ...attributes.container, installed }
+			}
+		};
+	};
+	const toDatabase = (record, withPassword) => {
+		const { password, ...attributes } = record;
+		const resource = { object: 'server_database', attributes };
+		if (withPassword) {
+			resource.attributes = {
+				...attributes,
+				relationships: {
+					password: { object: 'database_password', attributes: { password } }
+				}
+			};
+		}
+		return resource;
+	};
+	const list = (items, query) => {
+		const size = Number(query.per_page) || perPage;
+		const page = Math.max(Number(query.page) || 1, 1);
+		const data = items.slice((page - 1) * size, page * size);
+		return {
+			object: 'list',
+			data,
+			meta: {
+				pagination: {
+					total: items.length,
+					count: data.length,
+					per_page: size,
+					current_page: page,
+					total_pages: Math.max(Math.ceil(items.length / size), 1),
+					links: {}
+				}
+			}
+		};
+	};
+
+	/**
+	 * Adds a server straight to the panel state, filling in every field that is left out.
+	 * `installed: false` keeps it installing and `status: 'install_failed'` makes its installation fail
+	 * @param {Object} [attributes] - Server attributes as the panel returns them
+	 * @returns {Object} The stored server attributes
+	 */
+	const addServer = (attributes = {}) => {
+		const id = attributes.id || state.nextServerId;
+		state.nextServerId = Math.max(state.nextServerId, id + 1);
+		const uuid = attributes.uuid || crypto.randomUUID();
+		const record = {
+			id,
+			external_id: null,
+			uuid,
+			identifier: uuid.slice(0, 8),
+			name: 'Server ' + id,
+			description: '',
+			suspended: false,
+			limits: { memory: 1024, swap: 0, disk: 5120, io: 500, cpu: 100, threads: null, oom_disabled: true },
+			feature_limits: { databases: 0, allocations: 0, backups: 0 },
+			user: 1,
+			node: 1,
+			allocation: 1,
+			nest: 1,
+			egg: 1,
+			pack: null,
+			container: { startup_command: '', image: '', environment: {} },
+			created_at: now(),
+			updated_at: now(),
+			...attributes,
+			installedAt: attributes.installed === false || attributes.status === 'install_failed' ? Infinity : 0
+		};
+		delete record.installed;
+		state.servers.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds a user straight to the panel state, filling in every field that is left out
+	 * @param {Object} [attributes] - User attributes as the panel returns them
+	 * @returns {Object} The stored user attributes
+	 */
+	const addUser = (attributes = {}) => {
+		const id = attributes.id || state.nextUserId;
+		state.nextUserId = Math.max(state.nextUserId, id + 1);
+		const record = {
+			id,
+			external_id: null,
+			uuid: crypto.randomUUID(),
+			username: 'user' + id,
+			email: 'user' + id + '@example.com',
+			first_name: 'User',
+			last_name: String(id),
+			language: 'en',
+			root_admin: false,
+			'2fa': false,
+			created_at: now(),
+			updated_at: now(),
+			...attributes
+		};
+		state.users.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds an egg straight to the panel state, its nest only exists through its eggs
+	 * @param {Object} [attributes] - Egg attributes as the panel returns them, plus `variables`
+	 * @returns {Object} The stored egg attributes
+	 */
+	const addEgg = (attributes = {}) => {
+		const id = attributes.id || Math.max(0, ...state.eggs.keys()) + 1;
+		const record = {
+			id,
+			uuid: crypto.randomUUID(),
+			name: 'Egg ' + id,
+			nest: 1,
+			author: 'support@example.com',
+			description: '',
+			docker_image: 'ghcr.io/pterodactyl/yolks:java_17',
+			startup: 'java -jar server.jar',
+			created_at: now(),
+			updated_at: now(),
+			...attributes,
+			variables: (attributes.variables || []).map((variable, index) => ({
+				id: index + 1,
+				egg_id: id,
+				name: variable.env_variable,
+				description: '',
+				default_value: '',
+				user_viewable: true,
+				user_editable: true,
+				rules: 'nullable|string',
+				created_at: now(),
+				updated_at: now(),
+				...variable
+			}))
+		};
+		state.eggs.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds a database host straight to the panel state
+	 * @param {Object} [attributes] - Database host attributes as the panel returns them, plus `password`
+	 * @returns {Object} The stored database host attributes
+	 */
+	const addDatabaseHost = (attributes = {}) => {
+		const id = attributes.id || Math.max(0, ...state.databaseHosts.keys()) + 1;
+		const record = {
+			id,
+			name: 'Database host ' + id,
+			host: '10.0.0.' + id,
+			port: 3306,
+			username: 'pterodactyl',
+			password: crypto.randomBytes(12).toString('base64'),
+			node: null,
+			created_at: now(),
+			updated_at: now(),
+			...attributes
+		};
+		state.databaseHosts.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds a node straight to the panel state, filling in every field that is left out
+	 * @param {Object} [attributes] - Node attributes as the panel returns them
+	 * @returns {Object} The stored node attributes
+	 */
+	const addNode = (attributes = {}) => {
+		const id = attributes.id || Math.max(0, ...state.nodes.keys()) + 1;
+		const record = {
+			id,
+			uuid: crypto.randomUUID(),
+			public: true,
+			name: 'Node ' + id,
+			description: '',
+			location_id: 1,
+			fqdn: 'node' + id + '.example.com',
+			scheme: 'https',
+			behind_proxy: false,
+			maintenance_mode: false,
+			memory: 16384,
+			memory_overallocate: 0,
+			disk: 102400,
+			disk_overallocate: 0,
+			upload_size: 100,
+			daemon_listen: 8080,
+			daemon_sftp: 2022,
+			daemon_base: '/var/lib/pterodactyl/volumes',
+			created_at: now(),
+			updated_at: now(),
+			...attributes
+		};
+		state.nodes.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds an allocation straight to a node, the node does not have to be added first
+	 * @param {number} nodeId - ID of the node
+	 * @param {Object} [attributes] - Allocation attributes as the panel returns them
+	 * @returns {Object} The stored allocation attributes
+	 */
+	const addAllocation = (nodeId, attributes = {}) => {
+		const id = attributes.id || Math.max(0, ...state.allocations.keys()) + 1;
+		const record = {
+			id,
+			node: nodeId,
+			ip: '203.0.113.10',
+			alias: null,
+			port: 25564 + id,
+			notes: null,
+			assigned: false,
+			...attributes
+		};
+		state.allocations.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds a database straight to the panel state
+	 * @param {number} serverId - Internal ID of the server owning the database
+	 * @param {Object} [attributes] - Database attributes as the panel returns them, plus `password`
+	 * @returns {Object} The stored database attributes
+	 */
+	const addDatabase = (serverId, attributes = {}) => {
+		const id = attributes.id || state.nextDatabaseId;
+		state.nextDatabaseId = Math.max(state.nextDatabaseId, id + 1);
+		const record = {
+			id,
+			server: serverId,
+			host: 1,
+			database: 's' + serverId + '_db' + id,
+			username: 'u' + serverId + '_' + crypto.randomBytes(5).toString('hex'),
+			remote: '%',
+			max_connections: 0,
+			password: crypto.randomBytes(12).toString('base64'),
+			created_at: now(),
+			updated_at: now(),
+			...attributes
+		};
+		state.databases.set(id, record);
+		return record;
+	};
+
+	/**
+	 * Adds a file straight to a server, creating its parent directories
+	 * @param {number} serverId - Internal ID of the server
+	 * @param {string} path - Path of the file (e.g "/server.properties")
+	 * @param {?(string|Buffer)} [contents=''] - Contents of the file, null creates a directory
+	 */
+	const addFile = (serverId, path, contents = '') => {
+		if (!state.files.has(serverId)) {
+			state.files.set(serverId, new Map());
+		}
+		const files = state.files.get(serverId);
+		const file = resolvePath(path);
+		for (let dir = posix.dirname(file); dir !== '/'; dir = posix.dirname(dir)) {
+			files.set(dir, null);
+		}
+		files.set(file, contents === null ? null : Buffer.from(contents));
+	};
+
+	/**
+	 * Adds a backup straight to a server
+	 * @param {number} serverId - Internal ID of the server
+	 * @param {Object} [attributes] - Backup attributes as the panel returns them, `completed_at: null` keeps it running
+	 * and `is_successful: false` makes it fail
+	 * @returns {Object} The stored backup attributes
+	 */
+	const addBackup = (serverId, attributes = {}) => {
+		const uuid = attributes.uuid || crypto.randomUUID();
+		const record = {
+			uuid,
+			server: serverId,
+			name: 'Backup at ' + now(),
+			ignored_files: [],
+			is_successful: true,
+			is_locked: false,
+			checksum: 'sha1:' + crypto.randomBytes(20).toString('hex'),
+			bytes: 1024,
+			created_at: now(),
+			completed_at: now(),
+			...attributes,
+			completesAt: attributes.completed_at === null ? Infinity : 0
+		};
+		state.backups.set(uuid, record);
+		return record;
+	};
+	/**
+	 * Adds a schedule straight to a server
+	 * @param {number} serverId - Internal ID of the server
+	 * @param {Object} [attributes] - Schedule attributes as the panel returns them, plus `tasks`
+	 * @returns {Object} The stored schedule attributes
+	 */
+	const addSchedule = (serverId, attributes = {}) => {
+		const id = attributes.id || state.nextScheduleId;
+		state.nextScheduleId = Math.max(state.nextScheduleId, id + 1);
+		const record = {
+			id,
+			server: serverId,
+			name: 'Schedule ' + id,
+			cron: { day_of_week: '*', day_of_month: '*', month: '*', hour: '*', minute: '0' },
+			is_active: true,
+			only_when_online: false,
+			last_run_at: null,
+			next_run_at: null,
+			created_at: now(),
+			updated_at: now(),
+			tasks: [],
+			...attributes,
+			processedUntil: 0
+		};
+		state.schedules.set(id, record);
+		return record;
+	};
+	/**
+	 * Adds a subuser straight to a server, creating the user when no user has the email address
+	 * @param {number} serverId - Internal ID of the server
+	 * @param {string} email - Email address of the subuser
+	 * @param {string[]} [permissions] - Permission keys, `websocket.connect` is always added
+	 * @returns {Object} The stored subuser
+	 */
+	const addSubuser = (serverId, email, permissions = []) => {
+		const account =
+			[ ...state.users.values() ].find((u) => u.email.toLowerCase() === email.toLowerCase()) ||
+			addUser({ email, username: email.split('@')[0] + state.nextUserId });
+		const record = {
+			uuid: crypto.randomUUID(),
+			server: serverId,
+			user: account.id,
+			permissions: [ ...new Set([ 'websocket.connect', ...permissions ]) ],
+			created_at: now()
+		};
+		state.subusers.set(record.uuid, record);
+		return record;
+	};
+
+	const findServer = (id) => {
+		const record = state.servers.get(Number(id));
+		if (!record) {
+			throw new HttpError(404, 'The requested resource could not be found on the server.');
+		}
+		return record;
+	};
+	const findDatabase = (record, id) => {
+		const database = state.databases.get(Number(id));
+		if (!database || database.server !== record.id) {
+			throw new HttpError(404, 'The requested resource could not be found on the server.');
+		}
+		return database;
+	};
+	const requireFields = (body, fields) => {
+		const missing = fields.find((field) => {
+			const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), body);
+			return value === undefined || value === null || value === '';
+		});
+		if (missing) {
+			throw validationError(missing, 'required', 'The ' + missing + ' field is required.');
+		}
+	};
+	const touch = (record, changes) => Object.assign(record, changes, { updated_at: now() });
+
+	const notFound = () => new HttpError(404, 'The requested resource could not be found on the server.');
+	const toEgg = ({ variables, ...attributes }) => ({
+		object: 'egg',
+		attributes: {
+			...attributes,
+			relationships: {
+				variables: {
+					object: 'list',
+					data: variables.map((variable) => ({ object: 'egg_variable', attributes: variable }))
+				}
+			}
+		}
+	});
+	const toUser = (record) => ({ object: 'user', attributes: record });
+	const toNode = (record) => ({ object: 'node', attributes: record });
+	const toDatabaseHost = ({ password, ...attributes }) => ({ object: 'database_host', attributes });
+	const findDatabaseHost = (id) => {
+		const record = state.databaseHosts.get(Number(id));
+		if (!record) {
+			throw notFound();
+		}
+		return record;
+	};
+	// The panel links a database host to a single node
+	const hostFields = ({ name, host, port, username, password, node_ids }) => {
+		const fields = { name, host, port, username };
+		if (password !== undefined) {
+			fields.password = password;
+		}
+		if (node_ids !== undefined) {
+			fields.node = node_ids.length ? node_ids[0] : null;
+		}
+		return fields;
+	};
+	const findNode = (id) => {
+		const record = state.nodes.get(Number(id));
+		if (!record) {
+			throw notFound();
+		}
+		return record;
+	};
+	const toClientServer = (record) => {
+		const { attributes } = toServer(record);
+		return {
+			object: 'server',
+			attributes: {
+				// The API key belongs to user 1
+				server_owner: attributes.user === 1,
+				identifier: attributes.identifier,
+				internal_id: attributes.id,
+				uuid: attributes.uuid,
+				name: attributes.name,
+				node: 'Node ' + attributes.node,
+				sftp_details: { ip: '127.0.0.1', port: 2022 },
+				description: attributes.description,
+				limits: attributes.limits,
+				feature_limits: attributes.feature_limits,
+				is_suspended: attributes.suspended,
+				is_installing: !attributes.container.installed
+			}
+		};
+	};
+	const powerOf = (record) => state.power.get(record.id) || 'offline';
+
+	const findClientServer = (identifier) => {
+		const record = [ ...state.servers.values() ].find((s) => s.identifier === identifier || s.uuid === identifier);
+		if (!record) {
+			throw notFound();
+		}
+		if (!state.files.has(record.id)) {
+			state.files.set(record.id, new Map());
+		}
+		return record;
+	};
+	const filesOf = (record) => state.files.get(record.id);
+	const findFile = (record, path, isFile) => {
+		const file = resolvePath(path);
+		const contents = filesOf(record).get(file);
+		if (contents === undefined || (isFile && contents === null)) {
+			throw notFound();
+		}
+		return file;
+	};
+	// The path itself and everything under it
+	const entriesUnder = (record, path) => {
+		const prefix = path === '/' ? '/' : path + '/';
+		return [ ...filesOf(record).keys() ].filter((file) => file === path || file.startsWith(prefix));
+	};
+	const toFile = (path, contents) => ({
+		object: 'file_object',
+		attributes: {
+			name: posix.basename(path),
+			mode: contents === null ? 'drwxr-xr-x' : '-rw-r--r--',
+			mode_bits: contents === null ? '755' : '644',
+			size: contents === null ? 4096 : contents.length,
+			is_file: contents !== null,
+			is_symlink: false,
+			mimetype: contents === null ? 'inode/directory' : 'text/plain',
+			created_at: now(),
+			modified_at: now()
+		}
+	});
+	const sign = (req, endpoint, value) => {
+		const token = crypto.randomBytes(16).toString('hex');
+		signed.set(token, value);
+		return {
+			object: 'signed_url',
+			attributes: { url: 'http://' + req.headers.host + '/' + endpoint + '?token=' + token }
+		};
+	};
+	const toBackup = (record) => {
+		const { server: serverId, completesAt, ...attributes } = record;
+		const completed = Date.now() >= completesAt;
+		return {
+			object: 'backup',
+			attributes: {
+				...attributes,
+				is_successful: completed && attributes.is_successful,
+				completed_at: completed ? attributes.completed_at || now() : null
+			}
+		};
+	};
+	const findBackup = (record, uuid) => {
+		const backup = state.backups.get(uuid);
+		if (!backup || backup.server !== record.id) {
+			throw notFound();
+		}
+		return backup;
+	};
+	const toTask = (task) => ({ object: 'schedule_task', attributes: task });
+	const toSchedule = (record) => {
+		const { server: serverId, processedUntil, tasks, ...attributes } = record;
+		return {
+			object: 'server_schedule',
+			attributes: {
+				...attributes,
+				is_processing: Date.now() < processedUntil,
+				relationships: { tasks: { object: 'list', data: tasks.map(toTask) } }
+			}
+		};
+	};
+	const findSchedule = (record, id) => {
+		const schedule = state.schedules.get(Number(id));
+		if (!schedule || schedule.server !== record.id) {
+			throw notFound();
+		}
+		return schedule;
+	};
+	const findTask = (schedule, id) => {
+		const task = schedule.tasks.find((t) => t.id === Number(id));
+		if (!task) {
+			throw notFound();
+		}
+		return task;
+	};
+	const scheduleFields = (body) => {
+		requireFields(body, [ 'name', 'minute', 'hour', 'day_of_month', 'month', 'day_of_week' ]);
+		return {
+			name: body.name,
+			cron: {
+				day_of_week: body.day_of_week,
+				day_of_month: body.day_of_month,
+				month: body.month,
+				hour: body.hour,
+				minute: body.minute
+			},
+			is_active: body.is_active !== false,
+			only_when_online: Boolean(body.only_when_online)
+		};
+	};
+	const taskFields = (body) => {
+		requireFields(body, [ 'action', 'time_offset' ]);
+		if (![ 'command', 'power', 'backup' ].includes(body.action)) {
+			throw validationError('action', 'in', 'The selected action is invalid.');
+		}
+		if (body.action !== 'backup') {
+			requireFields(body, [ 'payload' ]);
+		}
+		if (!Number.isInteger(body.time_offset) || body.time_offset < 0 || body.time_offset > 900) {
+			throw validationError('time_offset', 'between', 'The time offset must be between 0 and 900.');
+		}
+		return {
+			action: body.action,
+			payload: body.payload || '',
+			time_offset: body.time_offset,
+			continue_on_failure: Boolean(body.continue_on_failure)
+		};
+	};
+	const toSubuser = ({ uuid, user: userId, permissions, created_at }) => {
+		const account = state.users.get(userId);
+		return {
+			object: 'server_subuser',
+			attributes: {
+				uuid,
+				username: account.username,
+				email: account.email,
+				image: 'https://gravatar.com/avatar/' + crypto.createHash('md5').update(account.email).digest('hex'),
+				'2fa_enabled': account['2fa'],
+				created_at,
+				permissions
+			}
+		};
+	};
+	const findSubuser = (record, uuid) => {
+		const subuser = state.subusers.get(uuid);
+		if (!subuser || subuser.server !== record.id) {
+			throw notFound();
+		}
+		return subuser;
+	};
+	const subuserPermissions = (body) => {
+		requireFields(body, [ 'permissions' ]);
+		const known = catalogKeys(state.permissions);
+		const unknown = [].concat(body.permissions).find((permission) => !known.includes(permission));
+		if (unknown !== undefined) {
+			throw validationError('permissions', 'in', 'The selected permissions is invalid.');
+		}
+		return body.permissions;
+	};
+	const clientServer = '^\\/api\\/client\\/servers\\/([^/]+)\\/';
+
+	// [method, pattern, handler(match, query, body)]
+	const routes = [
+		[
+			'GET',
+			/^\/api\/application\/users$/,
+			(match, query) => [ 200, list([ ...state.users.values() ].map(toUser), query) ]
+		],
+		[
+			'GET',
+			/^\/api\/application\/users\/external\/([^/]+)$/,
+			(match) => {
+				const externalId = decodeURIComponent(match[1]);
+				const record = [ ...state.users.values() ].find((u) => u.external_id === externalId);
+				if (!record) {
+					throw notFound();
+				}
+				return [ 200, toUser(record) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/users\/(\d+)$/,
+			(match) => {
+				const record = state.users.get(Number(match[1]));
+				if (!record) {
+					throw notFound();
+				}
+				return [ 200, toUser(record) ];
+			}
+		],
+		[
+			'PATCH',
+			/^\/api\/application\/users\/(\d+)$/,
+			(match, query, body) => {
+				const record = state.users.get(Number(match[1]));
+				if (!record) {
+					throw notFound();
+				}
+				requireFields(body, [ 'email', 'username', 'first_name', 'last_name' ]);
+				[ 'email', 'username', 'external_id' ].forEach((field) => {
+					const taken = [ ...state.users.values() ].some(
+						(u) => u.id !== record.id && body[field] !== undefined && u[field] === body[field]
+					);
+					if (taken) {
+						throw validationError(field, 'unique', 'The ' + field + ' has already been taken.');
+					}
+				});
+				const { password, ...changes } = body;
+				touch(record, changes);
+				return [ 200, toUser(record) ];
+			}
+		],
+		[
+			'DELETE',
+			/^\/api\/application\/users\/(\d+)$/,
+			(match) => {
+				const record = state.users.get(Number(match[1]));
+				if (!record) {
+					throw notFound();
+				}
+				if ([ ...state.servers.values() ].some((s) => s.user === record.id)) {
+					throw new HttpError(400, 'Cannot delete a user with active servers attached to their account.');
+				}
+				state.users.delete(record.id);
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/nodes$/,
+			(match, query) => [ 200, list([ ...state.nodes.values() ].map(toNode), query) ]
+		],
+		[ 'GET', /^\/api\/application\/nodes\/(\d+)$/, (match) => [ 200, toNode(findNode(match[1])) ] ],
+		[
+			'POST',
+			/^\/api\/application\/nodes$/,
+			(match, query, body) => {
+				requireFields(body, [ 'name', 'location_id', 'fqdn', 'scheme', 'memory', 'disk' ]);
+				const { id, uuid, created_at, updated_at, ...fields } = body;
+				return [ 201, toNode(addNode(fields)) ];
+			}
+		],
+		[
+			'PATCH',
+			/^\/api\/application\/nodes\/(\d+)$/,
+			(match, query, body) => {
+				const record = findNode(match[1]);
+				requireFields(body, [ 'name', 'location_id', 'fqdn', 'memory', 'disk' ]);
+				const { id, uuid, created_at, updated_at, ...changes } = body;
+				touch(record, changes);
+				return [ 200, toNode(record) ];
+			}
+		],
+		[
+			'DELETE',
+			/^\/api\/application\/nodes\/(\d+)$/,
+			(match) => {
+				const record = findNode(match[1]);
+				if ([ ...state.servers.values() ].some((s) => s.node === record.id)) {
+					throw new HttpError(400, 'Cannot delete a node that has active servers attached to it.');
+				}
+				state.nodes.delete(record.id);
+				[ ...state.allocations.values() ]
+					.filter((allocation) => allocation.node === record.id)
+					.forEach((allocation) => state.allocations.delete(allocation.id));
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/nodes\/(\d+)\/allocations$/,
+			(match, query) => {
+				const allocations = [ ...state.allocations.values() ]
+					.filter((allocation) => allocation.node === Number(match[1]))
+					.map(({ node, ...attributes }) => ({ object: 'allocation', attributes }));
+				return [ 200, list(allocations, query) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/database-hosts$/,
+			(match, query) => [ 200, list([ ...state.databaseHosts.values() ].map(toDatabaseHost), query) ]
+		],
+		[
+			'GET',
+			/^\/api\/application\/database-hosts\/(\d+)$/,
+			(match) => [ 200, toDatabaseHost(findDatabaseHost(match[1])) ]
+		],
+		[
+			'POST',
+			/^\/api\/application\/database-hosts$/,
+			(match, query, body) => {
+				requireFields(body, [ 'name', 'host', 'port', 'username', 'password' ]);
+				return [ 201, toDatabaseHost(addDatabaseHost(hostFields(body))) ];
+			}
+		],
+		[
+			'PATCH',
+			/^\/api\/application\/database-hosts\/(\d+)$/,
+			(match, query, body) => {
+				const record = findDatabaseHost(match[1]);
+				requireFields(body, [ 'name', 'host', 'port', 'username' ]);
+				touch(record, hostFields(body));
+				return [ 200, toDatabaseHost(record) ];
+			}
+		],
+		[
+			'DELETE',
+			/^\/api\/application\/database-hosts\/(\d+)$/,
+			(match) => {
+				const record = findDatabaseHost(match[1]);
+				if ([ ...state.databases.values() ].some((database) => database.host === record.id)) {
+					throw new HttpError(400, 'Cannot delete a database host that has active databases attached to it.');
+				}
+				state.databaseHosts.delete(record.id);
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/nests$/,
+			(match, query) => {
+				const ids = [ ...new Set([ ...state.eggs.values() ].map((egg) => egg.nest)) ].sort((a, b) => a - b);
+				const nests = ids.map((id) => ({
+					object: 'nest',
+					attributes: {
+						id,
+						uuid: 'nest-' + id,
+						author: 'support@example.com',
+						name: 'Nest ' + id,
+						description: ''
+					}
+				}));
+				return [ 200, list(nests, query) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/nests\/(\d+)\/eggs$/,
+			(match, query) => {
+				const eggs = [ ...state.eggs.values() ].filter((egg) => egg.nest === Number(match[1]));
+				return [ 200, list(eggs.map(toEgg), query) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/nests\/(\d+)\/eggs\/(\d+)$/,
+			(match) => {
+				const egg = state.eggs.get(Number(match[2]));
+				if (!egg || egg.nest !== Number(match[1])) {
+					throw notFound();
+				}
+				return [ 200, toEgg(egg) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/servers$/,
+			(match, query) => {
+				let servers = [ ...state.servers.values() ];
+				const filters = { uuid: 'uuid', uuidShort: 'identifier', external_id: 'external_id', name: 'name' };
+				Object.keys(filters).forEach((filter) => {
+					const value = query['filter[' + filter + ']'];
+					if (value !== undefined) {
+						servers = servers.filter((s) => String(s[filters[filter]]).includes(value));
+					}
+				});
+				return [ 200, list(servers.map(toServer), query) ];
+			}
+		],
+		[
+			'POST',
+			/^\/api\/application\/servers$/,
+			(match, query, body) => {
+				requireFields(body, [ 'name', 'user', 'egg', 'docker_image', 'startup', 'limits.memory', 'limits.disk' ]);
+				if (!body.allocation && !body.deploy) {
+					throw validationError('allocation.default', 'required', 'The allocation.default field is required.');
+				}
+				const record = addServer({
+					external_id: body.external_id || null,
+					name: body.name,
+					description: body.description || '',
+					user: body.user,
+					egg: body.egg,
+					limits: { swap: 0, io: 500, cpu: 0, threads: null, ...body.limits },
+					feature_limits: { databases: 0, allocations: 0, backups: 0, ...body.feature_limits },
+					allocation: body.allocation ? body.allocation.default : 1,
+					container: {
+						startup_command: body.startup,
+						image: body.docker_image,
+						environment: body.environment || {}
+					}
+				});
+				if (body.allocation) {
+					[ body.allocation.default, ...(body.allocation.additional || []) ].forEach((id) => {
+						if (state.allocations.has(id)) {
+							state.allocations.get(id).assigned = true;
+						}
+					});
+				}
+				record.installedAt = Date.now() + Math.max(installDelay, 1);
+				return [ 201, toServer(record) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/servers\/external\/([^/]+)$/,
+			(match) => {
+				const externalId = decodeURIComponent(match[1]);
+				const record = [ ...state.servers.values() ].find((s) => s.external_id === externalId);
+				if (!record) {
+					throw new HttpError(404, 'The requested resource could not be found on the server.');
+				}
+				return [ 200, toServer(record) ];
+			}
+		],
+		[ 'GET', /^\/api\/application\/servers\/(\d+)$/, (match) => [ 200, toServer(findServer(match[1])) ] ],
+		[
+			'DELETE',
+			/^\/api\/application\/servers\/(\d+)(?:\/force)?$/,
+			(match) => {
+				const record = findServer(match[1]);
+				state.servers.delete(record.id);
+				[ ...state.databases.values() ]
+					.filter((database) => database.server === record.id)
+					.forEach((database) => state.databases.delete(database.id));
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			/^\/api\/application\/servers\/(\d+)\/(suspend|unsuspend)$/,
+			(match) => {
+				touch(findServer(match[1]), { suspended: match[2] === 'suspend' });
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			/^\/api\/application\/servers\/(\d+)\/(reinstall|rebuild)$/,
+			(match) => {
+				const record = findServer(match[1]);
+				if (match[2] === 'reinstall') {
+					touch(record, { installedAt: Date.now() + Math.max(installDelay, 1), status: undefined });
+				}
+				return [ 204 ];
+			}
+		],
+		[
+			'PATCH',
+			/^\/api\/application\/servers\/(\d+)\/details$/,
+			(match, query, body) => {
+				const record = findServer(match[1]);
+				requireFields(body, [ 'name', 'user' ]);
+				const external_id = body.external_id === undefined ? record.external_id : body.external_id;
+				const taken = [ ...state.servers.values() ].some(
+					(s) => s.id !== record.id && external_id && s.external_id === external_id
+				);
+				if (taken) {
+					throw validationError('external_id', 'unique', 'The external id has already been taken.');
+				}
+				touch(record, {
+					name: body.name,
+					user: body.user,
+					external_id,
+					description: body.description === undefined ? record.description : body.description
+				});
+				return [ 200, toServer(record) ];
+			}
+		],
+		[
+			'PATCH',
+			/^\/api\/application\/servers\/(\d+)\/build$/,
+			(match, query, body) => {
+				const record = findServer(match[1]);
+				requireFields(body, [ 'allocation_id' ]);
+				touch(record, {
+					allocation: body.allocation_id,
+					limits: {
+						...record.limits,
+						...body.limits,
+						// Left out, the panel goes back to its default of a disabled OOM killer
+						oom_disabled: body.oom_disabled === undefined ? true : body.oom_disabled
+					},
+					feature_limits: { ...record.feature_limits, ...body.feature_limits }
+				});
+				return [ 200, toServer(record) ];
+			}
+		],
+		[
+			'PATCH',
+			/^\/api\/application\/servers\/(\d+)\/startup$/,
+			(match, query, body) => {
+				const record = findServer(match[1]);
+				touch(record, {
+					egg: body.egg === undefined ? record.egg : body.egg,
+					container: {
+						startup_command: body.startup === undefined ? record.container.startup_command : body.startup,
+						image: body.image === undefined ? record.container.image : body.image,
+						// Like the panel, a sent environment replaces the whole one
+						environment: body.environment === undefined ? record.container.environment : body.environment
+					}
+				});
+				return [ 200, toServer(record) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/servers\/(\d+)\/databases$/,
+			(match, query) => {
+				const record = findServer(match[1]);
+				const databases = [ ...state.databases.values() ].filter((database) => database.server === record.id);
+				const withPassword = String(query.include || '').split(',').includes('password');
+				return [ 200, list(databases.map((database) => toDatabase(database, withPassword)), query) ];
+			}
+		],
+		[
+			'POST',
+			/^\/api\/application\/servers\/(\d+)\/databases$/,
+			(match, query, body) => {
+				const record = findServer(match[1]);
+				requireFields(body, [ 'database', 'remote', 'host' ]);
+				const count = [ ...state.databases.values() ].filter((database) => database.server === record.id).length;
+				if (count >= record.feature_limits.databases) {
+					throw new HttpError(403, 'This server has reached its database limit.');
+				}
+				const database = addDatabase(record.id, {
+					database: 's' + record.id + '_' + body.database,
+					remote: body.remote,
+					host: body.host
+				});
+				const withPassword = String(query.include || '').split(',').includes('password');
+				return [ 201, toDatabase(database, withPassword) ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/application\/servers\/(\d+)\/databases\/(\d+)$/,
+			(match, query) => {
+				const database = findDatabase(findServer(match[1]), match[2]);
+				const withPassword = String(query.include || '').split(',').includes('password');
+				return [ 200, toDatabase(database, withPassword) ];
+			}
+		],
+		[
+			'POST',
+			/^\/api\/application\/servers\/(\d+)\/databases\/(\d+)\/reset-password$/,
+			(match) => {
+				const database = findDatabase(findServer(match[1]), match[2]);
+				touch(database, { password: crypto.randomBytes(12).toString('base64') });
+				return [ 204 ];
+			}
+		],
+		[
+			'DELETE',
+			/^\/api\/application\/servers\/(\d+)\/databases\/(\d+)$/,
+			(match) => {
+				const database = findDatabase(findServer(match[1]), match[2]);
+				state.databases.delete(database.id);
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/client$/,
+			(match, query) => [ 200, list([ ...state.servers.values() ].map(toClientServer), query) ]
+		],
+		[
+			'GET',
+			/^\/api\/client\/account$/,
+			() => {
+				const owner = state.users.get(1) || { id: 1, username: 'admin', email: 'admin@example.com' };
+				const { id, username, email, first_name = 'Admin', last_name = 'User', language = 'en' } = owner;
+				const admin = owner.root_admin !== false;
+				return [
+					200,
+					{ object: 'user', attributes: { id, admin, username, email, first_name, last_name, language } }
+				];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/client\/servers\/([^/]+)$/,
+			(match) => [ 200, toClientServer(findClientServer(decodeURIComponent(match[1]))) ]
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'resources$'),
+			(match) => {
+				const record = findClientServer(decodeURIComponent(match[1]));
+				const running = powerOf(record) === 'running';
+				return [
+					200,
+					{
+						object: 'stats',
+						attributes: {
+							current_state: powerOf(record),
+							is_suspended: record.suspended,
+							resources: {
+								memory_bytes: running ? 512 * 1024 * 1024 : 0,
+								cpu_absolute: running ? 12.5 : 0,
+								disk_bytes: 64 * 1024 * 1024,
+								network_rx_bytes: running ? 2048 : 0,
+								network_tx_bytes: running ? 1024 : 0
+							}
+						}
+					}
+				];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'power$'),
+			(match, query, body) => {
+				const record = findClientServer(decodeURIComponent(match[1]));
+				const states = { start: 'running', restart: 'running', stop: 'offline', kill: 'offline' };
+				if (!states[body.signal]) {
+					throw validationError('signal', 'in', 'The selected signal is invalid.');
+				}
+				if (record.suspended) {
+					throw new HttpError(400, 'This server is currently suspended.');
+				}
+				state.power.set(record.id, states[body.signal]);
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'command$'),
+			(match, query, body) => {
+				const record = findClientServer(decodeURIComponent(match[1]));
+				requireFields(body, [ 'command' ]);
+				if (powerOf(record) !== 'running') {
+					throw new HttpError(502, 'Server must be online in order to send commands.');
+				}
+				state.commands.set(record.id, [ ...(state.commands.get(record.id) || []), body.command ]);
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'files\\/list$'),
+			(match, query) => {
+				const record = findClientServer(match[1]);
+				const directory = resolvePath(query.directory || '/');
+				if (directory !== '/' && filesOf(record).get(findFile(record, directory)) !== null) {
+					throw notFound();
+				}
+				const data = [ ...filesOf(record).entries() ]
+					.filter(([ file ]) => file !== '/' && posix.dirname(file) === directory)
+					.map(([ file, contents ]) => toFile(file, contents));
+				return [ 200, { object: 'list', data } ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'files\\/contents$'),
+			(match, query) => {
+				const record = findClientServer(match[1]);
+				return [ 200, filesOf(record).get(findFile(record, query.file || '', true)), 'text/plain' ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'files\\/download$'),
+			(match, query, body, req) => {
+				const record = findClientServer(match[1]);
+				const file = findFile(record, query.file || '', true);
+				return [ 200, sign(req, 'download/file', { server: record.id, file }) ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'files\\/upload$'),
+			(match, query, body, req) => [ 200, sign(req, 'upload/file', { server: findClientServer(match[1]).id }) ]
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'files\\/write$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				if (!query.file) {
+					throw validationError('file', 'required', 'The file field is required.');
+				}
+				addFile(record.id, query.file, typeof body === 'string' ? body : JSON.stringify(body));
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'files\\/copy$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				const file = findFile(record, body.location || '', true);
+				const ext = posix.extname(file);
+				addFile(record.id, file.slice(0, file.length - ext.length) + ' copy' + ext, filesOf(record).get(file));
+				return [ 204 ];
+			}
+		],
+		[
+			'PUT',
+			new RegExp(clientServer + 'files\\/rename$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				requireFields(body, [ 'root', 'files' ]);
+				body.files.forEach(({ from, to }) => {
+					const source = findFile(record, resolvePath(body.root, from));
+					const target = resolvePath(body.root, to);
+					entriesUnder(record, source).forEach((file) => {
+						const contents = filesOf(record).get(file);
+						filesOf(record).delete(file);
+						addFile(record.id, target + file.slice(source.length), contents);
+					});
+				});
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'files\\/delete$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				requireFields(body, [ 'root', 'files' ]);
+				body.files.forEach((name) => {
+					const file = findFile(record, resolvePath(body.root, name));
+					entriesUnder(record, file).forEach((entry) => filesOf(record).delete(entry));
+				});
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'files\\/create-folder$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				requireFields(body, [ 'root', 'name' ]);
+				addFile(record.id, resolvePath(body.root, body.name), null);
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'files\\/compress$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				requireFields(body, [ 'root', 'files' ]);
+				const root = resolvePath(body.root);
+				// The archive is JSON of the relative paths and their base64 contents, enough to decompress it again
+				const archive = {};
+				body.files.forEach((name) => {
+					entriesUnder(record, findFile(record, resolvePath(root, name))).forEach((file) => {
+						const contents = filesOf(record).get(file);
+						archive[posix.relative(root, file)] = contents === null ? null : contents.toString('base64');
+					});
+				});
+				const file = resolvePath(root, 'archive-' + Date.now() + '.tar.gz');
+				addFile(record.id, file, JSON.stringify(archive));
+				return [ 200, toFile(file, filesOf(record).get(file)) ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'files\\/decompress$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				requireFields(body, [ 'root', 'file' ]);
+				const root = resolvePath(body.root);
+				let archive;
+				try {
+					archive = JSON.parse(filesOf(record).get(findFile(record, resolvePath(root, body.file), true)));
+				} catch (error) {
+					if (error instanceof HttpError) {
+						throw error;
+					}
+					throw new HttpError(400, 'The file is not an archive created by this panel.');
+				}
+				Object.keys(archive).forEach((file) => {
+					const contents = archive[file] === null ? null : Buffer.from(archive[file], 'base64');
+					addFile(record.id, resolvePath(root, file), contents);
+				});
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'backups$'),
+			(match, query) => {
+				const record = findClientServer(match[1]);
+				const backups = [ ...state.backups.values() ].filter((backup) => backup.server === record.id);
+				return [ 200, list(backups.map(toBackup), query) ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'backups$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				const count = [ ...state.backups.values() ].filter((backup) => backup.server === record.id).length;
+				if (count >= record.feature_limits.backups) {
+					throw new HttpError(400, 'This server has reached its backup limit.');
+				}
+				const backup = addBackup(record.id, {
+					name: body.name || 'Backup at ' + now(),
+					ignored_files: body.ignored ? body.ignored.split('\n').filter(Boolean) : [],
+					is_locked: Boolean(body.is_locked),
+					completed_at: null
+				});
+				// Responds before the job timer starts, a slow tick could otherwise report it done already
+				const created = toBackup(backup);
+				backup.completesAt = Date.now() + Math.max(jobDelay, 1);
+				return [ 200, created ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'backups\\/([^/]+)$'),
+			(match) => [ 200, toBackup(findBackup(findClientServer(match[1]), match[2])) ]
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'backups\\/([^/]+)\\/download$'),
+			(match, query, body, req) => {
+				const record = findClientServer(match[1]);
+				const backup = findBackup(record, match[2]);
+				return [ 200, sign(req, 'download/file', { server: record.id, backup: backup.uuid }) ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'backups\\/([^/]+)\\/restore$'),
+			(match) => {
+				const backup = toBackup(findBackup(findClientServer(match[1]), match[2]));
+				if (!backup.attributes.is_successful) {
+					throw new HttpError(400, 'This backup cannot be restored at this time: not completed or failed.');
+				}
+				return [ 204 ];
+			}
+		],
+		[
+			'DELETE',
+			new RegExp(clientServer + 'backups\\/([^/]+)$'),
+			(match) => {
+				const backup = findBackup(findClientServer(match[1]), match[2]);
+				if (backup.is_locked) {
+					throw new HttpError(400, 'Cannot delete a backup that is marked as locked.');
+				}
+				state.backups.delete(backup.uuid);
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'schedules$'),
+			(match) => {
+				const record = findClientServer(match[1]);
+				const schedules = [ ...state.schedules.values() ].filter((schedule) => schedule.server === record.id);
+				return [ 200, { object: 'list', data: schedules.map(toSchedule) } ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'schedules$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				return [ 200, toSchedule(addSchedule(record.id, scheduleFields(body))) ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'schedules\\/(\\d+)$'),
+			(match) => [ 200, toSchedule(findSchedule(findClientServer(match[1]), match[2])) ]
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'schedules\\/(\\d+)$'),
+			(match, query, body) => {
+				const schedule = findSchedule(findClientServer(match[1]), match[2]);
+				return [ 200, toSchedule(touch(schedule, scheduleFields(body))) ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'schedules\\/(\\d+)\\/execute$'),
+			(match) => {
+				const schedule = findSchedule(findClientServer(match[1]), match[2]);
+				if (!schedule.is_active) {
+					throw new HttpError(400, 'Cannot trigger a schedule that is not currently active.');
+				}
+				touch(schedule, { last_run_at: now(), processedUntil: Date.now() + Math.max(jobDelay, 1) });
+				return [ 202 ];
+			}
+		],
+		[
+			'DELETE',
+			new RegExp(clientServer + 'schedules\\/(\\d+)$'),
+			(match) => {
+				state.schedules.delete(findSchedule(findClientServer(match[1]), match[2]).id);
+				return [ 204 ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'schedules\\/(\\d+)\\/tasks$'),
+			(match, query, body) => {
+				const schedule = findSchedule(findClientServer(match[1]), match[2]);
+				const task = {
+					id: state.nextTaskId++,
+					sequence_id: schedule.tasks.length + 1,
+					...taskFields(body),
+					is_queued: false,
+					created_at: now(),
+					updated_at: now()
+				};
+				schedule.tasks.push(task);
+				return [ 200, toTask(task) ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'schedules\\/(\\d+)\\/tasks\\/(\\d+)$'),
+			(match, query, body) => {
+				const schedule = findSchedule(findClientServer(match[1]), match[2]);
+				return [ 200, toTask(touch(findTask(schedule, match[3]), taskFields(body))) ];
+			}
+		],
+		[
+			'DELETE',
+			new RegExp(clientServer + 'schedules\\/(\\d+)\\/tasks\\/(\\d+)$'),
+			(match) => {
+				const schedule = findSchedule(findClientServer(match[1]), match[2]);
+				const task = findTask(schedule, match[3]);
+				schedule.tasks = schedule.tasks.filter((t) => t !== task);
+				return [ 204 ];
+			}
+		],
+		[
+			'GET',
+			/^\/api\/client\/permissions$/,
+			() => [ 200, { object: 'system_permissions', attributes: { permissions: state.permissions } } ]
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'users$'),
+			(match) => {
+				const record = findClientServer(match[1]);
+				const subusers = [ ...state.subusers.values() ].filter((subuser) => subuser.server === record.id);
+				return [ 200, { object: 'list', data: subusers.map(toSubuser) } ];
+			}
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'users$'),
+			(match, query, body) => {
+				const record = findClientServer(match[1]);
+				requireFields(body, [ 'email' ]);
+				const permissions = subuserPermissions(body);
+				const email = body.email.toLowerCase();
+				const owner = state.users.get(record.user);
+				const taken = [ ...state.subusers.values() ].some(
+					(subuser) =>
+						subuser.server === record.id && state.users.get(subuser.user).email.toLowerCase() === email
+				);
+				if (taken || (owner && owner.email.toLowerCase() === email)) {
+					throw new HttpError(400, 'A user with that email address is already assigned to this server.');
+				}
+				return [ 200, toSubuser(addSubuser(record.id, body.email, permissions)) ];
+			}
+		],
+		[
+			'GET',
+			new RegExp(clientServer + 'users\\/([^/]+)$'),
+			(match) => [ 200, toSubuser(findSubuser(findClientServer(match[1]), match[2])) ]
+		],
+		[
+			'POST',
+			new RegExp(clientServer + 'users\\/([^/]+)$'),
+			(match, query, body) => {
+				const subuser = findSubuser(findClientServer(match[1]), match[2]);
+				subuser.permissions = [ ...new Set([ 'websocket.connect', ...subuserPermissions(body) ]) ];
+				return [ 200, toSubuser(subuser) ];
+			}
+		],
+		[
+			'DELETE',
+			new RegExp(clientServer + 'users\\/([^/]+)$'),
+			(match) => {
+				state.subusers.delete(findSubuser(findClientServer(match[1]), match[2]).uuid);
+				return [ 204 ];
+			}
+		]
+	];
+
+	// Signed URLs of the node, authenticated by their token instead of the API key
+	const signedRoutes = [
+		[
+			'GET',
+			/^\/download\/file$/,
+			({ file, backup, server: id }) => [
+				200,
+				backup ? Buffer.from('backup ' + backup) : state.files.get(id).get(file),
+				'application/octet-stream'
+			]
+		],
+		[
+			'POST',
+			/^\/upload\/file$/,
+			({ server: id }, query, body, req) => {
+				const directory = resolvePath(query.directory || '/');
+				parseMultipart(body, req.headers['content-type']).forEach(({ name, contents }) => {
+					addFile(id, resolvePath(directory, name), contents);
+				});
+				return [ 200 ];
+			}
+		]
+	];
+
+	const takeFailure = (method, path) => {
+		const failure = failures.find(
+			(f) =>
+				(!f.method || f.method.toUpperCase() === method) &&
+				(!f.path || (f.path instanceof RegExp ? f.path.test(path) : f.path === path))
+		);
+		if (failure && --failure.times <= 0) {
+			failures = failures.filter((f) => f !== failure);
+		}
+		return failure;
+	};
+
+	const parseBody = (req, raw) => {
+		const type = req.headers['content-type'] || '';
+		if (!raw.length) {
+			return {};
+		}
+		if (type.startsWith('multipart/form-data')) {
+			return raw;
+		}
+		if (type.startsWith('text/plain')) {
+			return raw.toString();
+		}
+		try {
+			return JSON.parse(raw.toString());
+		} catch (e) {
+			throw new HttpError(400, 'The request body is not valid JSON.');
+		}
+	};
+
+	const throttle = (headers) => {
+		const time = Date.now();
+		if (time >= throttled.resetsAt) {
+			throttled = { used: 0, resetsAt: time + rateLimit.window };
+		}
+		throttled.used += 1;
+		headers['X-RateLimit-Limit'] = String(rateLimit.limit);
+		headers['X-RateLimit-Remaining'] = String(Math.max(rateLimit.limit - throttled.used, 0));
+		headers['X-RateLimit-Reset'] = String(Math.ceil(throttled.resetsAt / 1000));
+		if (throttled.used > rateLimit.limit) {
+			const error = new HttpError(429, 'Too Many Attempts.');
+			error.retryAfter = Math.ceil((throttled.resetsAt - time) / 1000);
+			throw error;
+		}
+	};
+
+	const handle = (req, raw, headers) => {
+		const url = new URL(req.url, 'http://localhost');
+		const path = url.pathname;
+		const query = Object.fromEntries(url.searchParams);
+		const body = parseBody(req, raw);
+		requests.push({ method: req.method, path, query, headers: req.headers, body });
+
+		const signedRoute = signedRoutes.find(([ method, pattern ]) => method === req.method && pattern.test(path));
+		if (signedRoute) {
+			const value = signed.get(query.token);
+			if (!value || !state.files.has(value.server)) {
+				throw new HttpError(401, 'The signed URL is invalid or expired.');
+			}
+			return signedRoute[2](value, query, body, req);
+		}
+		if (req.headers.authorization !== 'Bearer ' + key) {
+			throw new HttpError(401, 'Unauthenticated.');
+		}
+		if (rateLimit) {
+			throttle(headers);
+		}
+		const failure = takeFailure(req.method, path);
+		if (failure) {
+			const detail = 'Injected ' + failure.status + ' failure';
+			const error = failure.field && failure.status === 422
+				? validationError(failure.field, 'injected', detail)
+				: new HttpError(failure.status, detail, failure.errors);
+			error.retryAfter = failure.retryAfter;
+			throw error;
+		}
+		for (const [ method, pattern, handler ] of routes) {
+			const match = method === req.method && pattern.exec(path);
+			if (match) {
+				return handler(match, query, body, req);
+			}
+		}
+		throw new HttpError(404, 'The requested resource could not be found on the server.');
+	};
+
+	const onRequest = (req, res) => {
+		const chunks = [];
+		req.on('data', (chunk) => chunks.push(chunk));
+		req.on('end', () => {
+			let status;
+			let payload;
+			let type;
+			const headers = { 'Content-Type': 'application/json' };
+			try {
+				[ status, payload, type ] = handle(req, Buffer.concat(chunks), headers);
+			} catch (error) {
+				if (!(error instanceof HttpError)) {
+					error = new HttpError(500, error.message);
+				}
+				status = error.status;
+				payload = { errors: error.errors };
+				if (error.retryAfter !== undefined) {
+					headers['Retry-After'] = String(error.retryAfter);
+				}
+			}
+			// File contents are sent as they are
+			if (Buffer.isBuffer(payload)) {
+				res.writeHead(status, { ...headers, 'Content-Type': type });
+				res.end(payload);
+				return;
+			}
+			res.writeHead(status, headers);
+			res.end(payload === undefined ? '' : JSON.stringify(payload));
+		});
+	};
+
+	return {
+		key,
+		host: null,
+		state,
+		requests,
+		/**
+		 * Starts listening on a random local port
+		 * @returns {Promise<{host: string, key: string}>}
+		 */
+		start() {
+			return new Promise((resolve, reject) => {
+				server = http.createServer(onRequest);
+				server.once('error', reject);
+				server.listen(0, '127.0.0.1', () => {
+					this.host = 'http://127.0.0.1:' + server.address().port;
+					resolve({ host: this.host, key });
+				});
+			});
+		},
+		/**
+		 * Stops listening
+		 * @returns {Promise<void>}
+		 */
+		stop() {
+			return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+		},
+		/**
+		 * Makes the next matching requests fail
+		 * @param {FakeFailure} failure
+		 */
+		fail({ times = 1, ...failure }) {
+			failures.push({ times, ...failure });
+		},
+		/**
+		 * Clears every server, database, database host, user, egg, node, allocation, file, backup, schedule, subuser,
+		 * failure and recorded request
+		 */
+		reset() {
+			state.servers.clear();
+			state.databases.clear();
+			state.databaseHosts.clear();
+			state.users.clear();
+			state.eggs.clear();
+			state.nodes.clear();
+			state.allocations.clear();
+			state.files.clear();
+			state.backups.clear();
+			state.schedules.clear();
+			state.subusers.clear();
+			state.permissions = JSON.parse(JSON.stringify(permissionCatalog));
+			state.power.clear();
+			state.commands.clear();
+			signed.clear();
+			state.nextServerId = 1;
+			state.nextDatabaseId = 1;
+			state.nextUserId = 1;
+			state.nextScheduleId = 1;
+			state.nextTaskId = 1;
+			failures = [];
+			throttled = { used: 0, resetsAt: 0 };
+			requests.length = 0;
+		},
+		addServer,
+		addDatabase,
+		addDatabaseHost,
+		addUser,
+		addEgg,
+		addNode,
+		addAllocation,
+		addFile,
+		addBackup,
+		addSchedule,
+		addSubuser
+	};
+};
+
+module.exports = { createFakePanel };
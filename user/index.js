@@ -0,0 +1,51 @@
+const { user, cleanHost } = require('../request');
+const { withDryRun } = require('../dryRun');
+
+/**
+ * Check and sets the client API key
+ * @param  {string} host Base URI of the pterodactyl panel
+ * @param  {string} key Client API key for the pterodactyl panel
+ * @returns {Promise<{loggedIn: boolean, message: string}>}
+ */
+const setApiKey = (host, key) => {
+	process.env.USER_HOST = cleanHost(host);
+	process.env.USER_KEY = key;
+	return new Promise((resolve) => {
+		user
+			.getRequest('/api/client/account')
+			.then(() => {
+				resolve({ loggedIn: true, message: 'Successfully authenticated' });
+			})
+			.catch((err) => {
+				resolve({ loggedIn: false, message: err.message });
+			});
+	});
+};
+
+/**
+ * Sets request options of the default client
+ * @param  {Object} options Any `RequestConfig` option except host and key, such as `retries` or `requestsPerMinute`
+ */
+const configure = (options) => {
+	const { host, key, ...rest } = options;
+	Object.assign(user.config, rest);
+};
+
+const servers = withDryRun(require('./methods/servers/index')(user));
+const account = withDryRun(require('./methods/account/index')(user));
+const files = withDryRun(require('./methods/files/index')(user));
+const backups = withDryRun(require('./methods/backups/index')(user));
+const schedules = withDryRun(require('./methods/schedules/index')(user));
+const subusers = withDryRun(require('./methods/subusers/index')(user));
+
+module.exports = {
+	setApiKey,
+	configure,
+	use: user.use,
+	...servers,
+	...account,
+	...files,
+	...backups,
+	...schedules,
+	...subusers
+};
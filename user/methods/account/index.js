@@ -0,0 +1,40 @@
+/**
+ * @typedef {Object} Account
+ * @property {number} id
+ * @property {boolean} admin
+ * @property {string} username
+ * @property {string} email
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} language
+ */
+
+/**
+ * Creates the account methods bound to a set of request helpers
+ * @param  {Object} user Request helpers created by `createRequest`
+ * @returns {Object} Account methods
+ */
+module.exports = (user) => {
+	/**
+	 * Gets the account details of the API key owner
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Account>}
+	 */
+	const getAccountDetails = (options) => {
+		return new Promise((resolve, reject) => {
+			user
+				.getRequest('/api/client/account', options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	return {
+		//get
+		getAccountDetails
+	};
+};
@@ -0,0 +1,245 @@
+const { PterodactylError, ValidationError } = require('../../../errors');
+const { poll } = require('../../../wait');
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string[]} ignored_files Patterns left out of the backup
+ * @property {boolean} is_successful
+ * @property {boolean} is_locked Locked backups can't be deleted
+ * @property {?string} checksum
+ * @property {number} bytes
+ * @property {string} created_at
+ * @property {?string} completed_at Null while the backup is running
+ */
+
+/**
+ * Creates the client backup methods bound to a set of request helpers
+ * @param  {Object} user Request helpers created by `createRequest`
+ * @returns {Object} Backup methods
+ */
+module.exports = (user) => {
+	const backupsPath = (identifier, uuid = '') =>
+		'/api/client/servers/' + identifier + '/backups' + (uuid ? '/' + uuid : '');
+	const checkIdentifier = (identifier) =>
+		!identifier || typeof identifier !== 'string'
+			? new ValidationError('Server identifier must be a string', { field: 'identifier' })
+			: null;
+	const checkBackup = (uuid) =>
+		!uuid || typeof uuid !== 'string'
+			? new ValidationError('Backup UUID must be a string', { field: 'uuid' })
+			: null;
+
+	/* GET */
+	/**
+	 * Gets the backups of a server
+	 * @param {string} identifier - Identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{backups: Backup[], pagination: Pagination}>}
+	 */
+	const listBackups = (identifier, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(backupsPath(identifier), options)
+				.then((response) => {
+					resolve({
+						backups: response.data.data.map((data) => data.attributes),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} uuid - UUID of the backup
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Backup>}
+	 */
+	const getBackup = (identifier, uuid, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkBackup(uuid);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(backupsPath(identifier, uuid), options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets a signed URL to download a backup from, valid for a few minutes
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} uuid - UUID of the backup
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<string>}
+	 */
+	const getBackupDownloadUrl = (identifier, uuid, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkBackup(uuid);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(backupsPath(identifier, uuid) + '/download', { ...options, cache: false })
+				.then((response) => {
+					resolve(response.data.attributes.url);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Waits until a backup has completed
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} uuid - UUID of the backup
+	 * @param {WaitOptions} [options]
+	 * @returns {Promise<Backup>} The completed backup, rejects when it failed
+	 */
+	const waitForBackup = (identifier, uuid, options = {}) =>
+		poll(
+			() =>
+				getBackup(identifier, uuid, { signal: options.signal, cache: false }).then((backup) => {
+					if (backup.completed_at && !backup.is_successful) {
+						throw new PterodactylError('Backup ' + uuid + ' failed');
+					}
+					return { done: Boolean(backup.completed_at), value: backup };
+				}),
+			options,
+			'backup ' + uuid
+		);
+
+	/* POST */
+	/**
+	 * Starts a backup of a server
+	 * @param {string} identifier - Identifier of the server
+	 * @param {Object} [backup]
+	 * @param {string} [backup.name] - Name of the backup, the panel picks one by default
+	 * @param {string[]} [backup.ignored] - Files and patterns to leave out, like a .pteroignore
+	 * @param {boolean} [backup.isLocked=false] - Whether the backup is protected from deletion
+	 * @param {boolean|WaitOptions} [backup.waitUntilCompleted=false] - Only resolve once the backup has completed,
+	 * pass `WaitOptions` to change how long it waits
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Backup>}
+	 */
+	const createBackup = (
+		identifier,
+		{ name, ignored = [], isLocked = false, waitUntilCompleted = false } = {},
+		options = {}
+	) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (name !== undefined && typeof name !== 'string') {
+				return reject(new ValidationError('Name must be a string', { field: 'name' }));
+			}
+			if (!Array.isArray(ignored) || ignored.some((pattern) => typeof pattern !== 'string')) {
+				return reject(new ValidationError('Ignored files must be an array of strings', { field: 'ignored' }));
+			}
+			if (typeof isLocked !== 'boolean') {
+				return reject(new ValidationError('isLocked must be a boolean', { field: 'is_locked' }));
+			}
+			const data = { ignored: ignored.join('\n'), is_locked: isLocked };
+			if (name) {
+				data.name = name;
+			}
+			user
+				.postRequest(backupsPath(identifier), data, options)
+				.then((response) => {
+					const backup = response.data.attributes;
+					if (!waitUntilCompleted) {
+						return backup;
+					}
+					const waitOptions = waitUntilCompleted === true ? {} : waitUntilCompleted;
+					return waitForBackup(identifier, backup.uuid, { signal: options.signal, ...waitOptions });
+				})
+				.then((backup) => {
+					resolve(backup);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Restores a backup, the server is stopped while it is restored
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} uuid - UUID of the backup
+	 * @param {boolean} [truncate=false] - Delete every file of the server before restoring
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const restoreBackup = (identifier, uuid, truncate = false, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkBackup(uuid);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (typeof truncate !== 'boolean') {
+				return reject(new ValidationError('Truncate must be a boolean', { field: 'truncate' }));
+			}
+			user
+				.postRequest(backupsPath(identifier, uuid) + '/restore', { truncate }, options)
+				.then(() => {
+					resolve('Successfully started restoring the backup');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* DELETE */
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} uuid - UUID of the backup
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteBackup = (identifier, uuid, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkBackup(uuid);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.deleteRequest(backupsPath(identifier, uuid), options)
+				.then(() => {
+					resolve('Successfully deleted the backup');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	return {
+		//get
+		listBackups,
+		getBackup,
+		getBackupDownloadUrl,
+		waitForBackup,
+		//post
+		createBackup,
+		restoreBackup,
+		//delete
+		deleteBackup
+	};
+};
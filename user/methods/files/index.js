@@ -0,0 +1,405 @@
+const path = require('path');
+const { ValidationError } = require('../../../errors');
+const { upload, download, withoutToken } = require('./transfer');
+
+/**
+ * @typedef {Object} FileObject
+ * @property {string} name
+ * @property {string} mode Permissions (e.g "-rw-r--r--")
+ * @property {string} mode_bits Permissions in octal (e.g "644")
+ * @property {number} size Size in bytes
+ * @property {boolean} is_file
+ * @property {boolean} is_symlink
+ * @property {string} mimetype
+ * @property {string} created_at
+ * @property {string} modified_at
+ */
+/**
+ * @typedef {Object} RenamedFile
+ * @property {string} from Current path, relative to the root
+ * @property {string} to New path, relative to the root
+ */
+
+/**
+ * Creates the client file manager methods bound to a set of request helpers
+ * @param  {Object} user Request helpers created by `createRequest`
+ * @returns {Object} File manager methods
+ */
+module.exports = (user) => {
+	const filesPath = (identifier, endpoint) => '/api/client/servers/' + identifier + '/files/' + endpoint;
+	const checkIdentifier = (identifier) =>
+		!identifier || typeof identifier !== 'string'
+			? new ValidationError('Server identifier must be a string', { field: 'identifier' })
+			: null;
+	const checkPath = (value, field, name) =>
+		!value || typeof value !== 'string' ? new ValidationError(name + ' must be a string', { field }) : null;
+	const checkFiles = (files) =>
+		!Array.isArray(files) || !files.length || files.some((file) => !file || typeof file !== 'string')
+			? new ValidationError('Files must be a non-empty array of file names', { field: 'files' })
+			: null;
+
+	/* GET */
+	/**
+	 * Lists the contents of a directory
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} [directory='/'] - Directory to list
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<FileObject[]>}
+	 */
+	const listFiles = (identifier, directory = '/', options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(directory, 'directory', 'Directory');
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(filesPath(identifier, 'list?directory=' + encodeURIComponent(directory)), options)
+				.then((response) => {
+					resolve(response.data.data.map((data) => data.attributes));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Reads the contents of a text file
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} file - Path of the file (e.g "/server.properties")
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<string>}
+	 */
+	const getFileContents = (identifier, file, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(file, 'file', 'File');
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				// The contents are plain text, even when they look like JSON
+				.getRequest(filesPath(identifier, 'contents?file=' + encodeURIComponent(file)), options, {
+					responseType: 'text',
+					transformResponse: [ (data) => data ]
+				})
+				.then((response) => {
+					resolve(response.data);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets a signed URL to download a file from, valid for a few minutes
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} file - Path of the file
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<string>}
+	 */
+	const getDownloadUrl = (identifier, file, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(file, 'file', 'File');
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(filesPath(identifier, 'download?file=' + encodeURIComponent(file)), {
+					...options,
+					cache: false
+				})
+				.then((response) => {
+					resolve(response.data.attributes.url);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets a signed URL to upload files to, valid for a few minutes
+	 * @param {string} identifier - Identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<string>}
+	 */
+	const getUploadUrl = (identifier, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(filesPath(identifier, 'upload'), { ...options, cache: false })
+				.then((response) => {
+					resolve(response.data.attributes.url);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Downloads a file through a signed URL, streaming it into a local file or a stream
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} file - Path of the file on the server
+	 * @param {string|stream.Writable} destination - Local path, created or overwritten, or a stream
+	 * @param {RequestOptions} [options] - `timeout` and `signal` also apply to the transfer
+	 * @returns {Promise<{message: string}>} Resolves once everything is written
+	 */
+	const downloadFile = (identifier, file, destination, options = {}) => {
+		return new Promise((resolve, reject) => {
+			getDownloadUrl(identifier, file, options)
+				.then((url) => download(url, destination, options))
+				.then(() => {
+					resolve('Successfully downloaded the file');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* POST */
+	/**
+	 * Writes a text file, creating it or replacing its contents
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} file - Path of the file (e.g "/server.properties")
+	 * @param {string} contents - New contents of the file
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const writeFile = (identifier, file, contents, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(file, 'file', 'File');
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (typeof contents !== 'string') {
+				return reject(new ValidationError('Contents must be a string', { field: 'contents' }));
+			}
+			user
+				.postRequest(filesPath(identifier, 'write?file=' + encodeURIComponent(file)), contents, {
+					...options,
+					headers: { 'Content-Type': 'text/plain', ...options.headers }
+				})
+				.then(() => {
+					resolve('Successfully wrote the file');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Copies a file next to itself, the copy gets " copy" added to its name
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} location - Path of the file to copy
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const copyFile = (identifier, location, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(location, 'location', 'Location');
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.postRequest(filesPath(identifier, 'copy'), { location }, options)
+				.then(() => {
+					resolve('Successfully copied the file');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Deletes files and directories, directories with everything in them
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} root - Directory the files are in
+	 * @param {string[]} files - Names of the files, relative to the root
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteFiles = (identifier, root, files, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(root, 'root', 'Root') || checkFiles(files);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.postRequest(filesPath(identifier, 'delete'), { root, files }, options)
+				.then(() => {
+					resolve('Successfully deleted the files');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Creates a directory
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} root - Directory to create it in
+	 * @param {string} name - Name of the new directory
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const createFolder = (identifier, root, name, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid =
+				checkIdentifier(identifier) || checkPath(root, 'root', 'Root') || checkPath(name, 'name', 'Name');
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.postRequest(filesPath(identifier, 'create-folder'), { root, name }, options)
+				.then(() => {
+					resolve('Successfully created the folder');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Compresses files into a new archive in the same directory
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} root - Directory the files are in
+	 * @param {string[]} files - Names of the files, relative to the root
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<FileObject>} The created archive
+	 */
+	const compressFiles = (identifier, root, files, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(root, 'root', 'Root') || checkFiles(files);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.postRequest(filesPath(identifier, 'compress'), { root, files }, options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Extracts an archive into the directory it is in
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} root - Directory the archive is in
+	 * @param {string} file - Name of the archive, relative to the root
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const decompressFile = (identifier, root, file, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid =
+				checkIdentifier(identifier) || checkPath(root, 'root', 'Root') || checkPath(file, 'file', 'File');
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.postRequest(filesPath(identifier, 'decompress'), { root, file }, options)
+				.then(() => {
+					resolve('Successfully decompressed the file');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Uploads a file through a signed URL, streaming it from a local file or a stream.
+	 * In dry-run mode it resolves with the upload it would make once it has the URL, otherwise the upload is
+	 * recorded in the audit sink like the other writes.
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string|stream.Readable} source - Local path or stream of the file
+	 * @param {Object} [target]
+	 * @param {string} [target.directory='/'] - Directory to put the file in
+	 * @param {string} [target.name] - File name, the base name of the local path by default, required for streams
+	 * @param {RequestOptions} [options] - `timeout` and `signal` also apply to the transfer
+	 * @returns {Promise<{message: string}>} Resolves once the node has the file
+	 */
+	const uploadFile = (identifier, source, { directory = '/', name } = {}, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkPath(directory, 'directory', 'Directory');
+			if (invalid) {
+				return reject(invalid);
+			}
+			getUploadUrl(identifier, options)
+				.then((url) => {
+					const write = {
+						method: 'post',
+						path: withoutToken(url),
+						params: { directory },
+						data: { name: name || (typeof source === 'string' ? path.basename(source) : undefined) },
+						target: 'servers/' + identifier + '/files'
+					};
+					return user.audited(write, options, () => upload(url, source, { directory, name }, options));
+				})
+				.then(() => {
+					resolve('Successfully uploaded the file');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* PUT */
+	/**
+	 * Renames or moves files
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} root - Directory the paths are relative to
+	 * @param {RenamedFile[]} files - Files to rename
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const renameFiles = (identifier, root, files, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkPath(root, 'root', 'Root');
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (
+				!Array.isArray(files) ||
+				!files.length ||
+				files.some((file) => !file || typeof file.from !== 'string' || typeof file.to !== 'string')
+			) {
+				return reject(
+					new ValidationError('Files must be a non-empty array of { from, to } paths', { field: 'files' })
+				);
+			}
+			user
+				.putRequest(filesPath(identifier, 'rename'), { root, files }, options)
+				.then(() => {
+					resolve('Successfully renamed the files');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	return {
+		//get
+		listFiles,
+		getFileContents,
+		getDownloadUrl,
+		getUploadUrl,
+		downloadFile,
+		//post
+		writeFile,
+		copyFile,
+		deleteFiles,
+		createFolder,
+		compressFiles,
+		decompressFile,
+		uploadFile,
+		//put
+		renameFiles,
+		renameFile: (identifier, from, to, options) => renameFiles(identifier, '/', [ { from, to } ], options)
+	};
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const axios = require('axios').default;
+const { fromAxiosError, AbortError, TimeoutError, ValidationError } = require('../../../errors');
+
+/**
+ * Options of a transfer to or from a signed URL
+ * @typedef {Object} TransferOptions
+ * @property {number} [timeout] Milliseconds without a response before the transfer is abandoned with a `TimeoutError`
+ * @property {AbortSignal} [signal] Abandons the transfer with an `AbortError` once aborted
+ */
+
+/**
+ * Signed URLs carry their token in the query string, it is left out of errors
+ * @param  {string} url
+ * @returns {string}
+ */
+const withoutToken = (url) => url.split('?')[0].replace(/^https?:\/\/[^/]+/, '');
+
+/**
+ * Sends a request to a signed URL of the node. It goes straight to the node, so the API key,
+ * the middleware and the retries of the client are left out.
+ * @param  {Object} request Axios request options
+ * @param  {TransferOptions} options
+ * @returns {Promise<Object>} Axios response
+ */
+const transfer = (request, { timeout, signal } = {}) => {
+	const method = request.method.toUpperCase();
+	const urlPath = withoutToken(request.url);
+	const aborted = () => new AbortError('The transfer was aborted', { method, path: urlPath });
+	return new Promise((resolve, reject) => {
+		if (signal && signal.aborted) {
+			return reject(aborted());
+		}
+		const source = axios.CancelToken.source();
+		const onAbort = () => source.cancel();
+		if (signal) {
+			signal.addEventListener('abort', onAbort, { once: true });
+		}
+		axios
+			// follow-redirects caps request bodies at 10MB, a signed URL never redirects anyway
+			.request({ ...request, maxRedirects: 0, timeout: timeout || 0, cancelToken: source.token })
+			.then(resolve)
+			.catch((error) => {
+				if (axios.isCancel(error)) {
+					reject(aborted());
+				} else if (error.code === 'ECONNABORTED' && !error.response) {
+					reject(
+						new TimeoutError('Timed out after ' + timeout + 'ms waiting for the node', {
+							method,
+							path: urlPath,
+							timeout
+						})
+					);
+				} else {
+					reject(fromAxiosError(error, method, urlPath));
+				}
+			})
+			.finally(() => {
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+			});
+	});
+};
+
+/**
+ * Opens what is uploaded, a local path or a stream
+ * @param  {string|stream.Readable} source
+ * @param  {string} [name] File name on the server, the base name of a local path by default
+ * @returns {Promise<{stream: stream.Readable, name: string, size: ?number}>}
+ */
+const openSource = (source, name) => {
+	if (typeof source === 'string') {
+		return fs.promises.stat(source).then((stats) => ({
+			stream: fs.createReadStream(source),
+			name: name || path.basename(source),
+			size: stats.size
+		}));
+	}
+	if (source && typeof source.pipe === 'function') {
+		if (!name || typeof name !== 'string') {
+			return Promise.reject(new ValidationError('A name is required to upload a stream', { field: 'name' }));
+		}
+		return Promise.resolve({ stream: source, name, size: null });
+	}
+	return Promise.reject(new ValidationError('Source must be a file path or a readable stream', { field: 'source' }));
+};
+
+/**
+ * Uploads a file to a signed upload URL as the multipart form the node expects
+ * @param  {string} url Signed upload URL
+ * @param  {string|stream.Readable} source Local path or stream of the file
+ * @param  {Object} target
+ * @param  {string} target.directory Directory the file is put in
+ * @param  {string} [target.name] File name, required for streams
+ * @param  {TransferOptions} [options]
+ * @returns {Promise<{data: Object, status: number}>} Response of the node
+ */
+const upload = (url, source, { directory, name }, options) =>
+	openSource(source, name).then((file) => {
+		const boundary = '----ptero' + crypto.randomBytes(12).toString('hex');
+		const head = Buffer.from(
+			'--' + boundary + '\r\n' +
+				'Content-Disposition: form-data; name="files"; filename="' + file.name.replace(/"/g, '%22') + '"\r\n' +
+				'Content-Type: application/octet-stream\r\n\r\n'
+		);
+		const tail = Buffer.from('\r\n--' + boundary + '--\r\n');
+		const headers = { 'Content-Type': 'multipart/form-data; boundary=' + boundary };
+		if (file.size !== null) {
+			headers['Content-Length'] = head.length + file.size + tail.length;
+		}
+		const body = Readable.from(
+			(async function* () {
+				yield head;
+				yield* file.stream;
+				yield tail;
+			})()
+		);
+		return transfer(
+			{
+				method: 'post',
+				url: url + (url.includes('?') ? '&' : '?') + 'directory=' + encodeURIComponent(directory),
+				data: body,
+				headers
+			},
+			options
+		).then((response) => ({ data: response.data, status: response.status }));
+	});
+
+/**
+ * Streams a signed download URL into a local path or a stream
+ * @param  {string} url Signed download URL
+ * @param  {string|stream.Writable} destination Local path, created or overwritten, or a stream
+ * @param  {TransferOptions} [options]
+ * @returns {Promise<void>} Resolves once everything is written
+ */
+const download = (url, destination, options) => {
+	const isStream = destination && typeof destination.write === 'function';
+	if (typeof destination !== 'string' && !isStream) {
+		return Promise.reject(
+			new ValidationError('Destination must be a file path or a writable stream', { field: 'destination' })
+		);
+	}
+	const { signal } = options || {};
+	return transfer({ method: 'get', url, responseType: 'stream' }, options).then(
+		(response) =>
+			new Promise((resolve, reject) => {
+				const target = isStream ? destination : fs.createWriteStream(destination);
+				// The body may still be streaming when the signal is aborted
+				const onAbort = () =>
+					response.data.destroy(
+						new AbortError('The transfer was aborted', { method: 'GET', path: withoutToken(url) })
+					);
+				if (signal) {
+					signal.addEventListener('abort', onAbort, { once: true });
+				}
+				pipeline(response.data, target, (error) => {
+					if (signal) {
+						signal.removeEventListener('abort', onAbort);
+					}
+					return error ? reject(error) : resolve();
+				});
+			})
+	);
+};
+
+module.exports = { upload, download, withoutToken };
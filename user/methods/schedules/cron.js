@@ -0,0 +1,92 @@
+const { ValidationError } = require('../../../errors');
+
+/**
+ * When a schedule runs, every field takes the cron syntax: "*", a value, a range ("1-5"), a list ("0,30")
+ * and a step after any of them
+ * @typedef {Object} CronFields
+ * @property {string} [minute='*']
+ * @property {string} [hour='*']
+ * @property {string} [dayOfMonth='*']
+ * @property {string} [month='*']
+ * @property {string} [dayOfWeek='*'] - 0 and 7 are Sunday
+ */
+
+// field -> [ name sent to the panel, lowest value, highest value, names allowed instead of numbers ]
+const cronFields = {
+	minute: [ 'minute', 0, 59 ],
+	hour: [ 'hour', 0, 23 ],
+	dayOfMonth: [ 'day_of_month', 1, 31 ],
+	month: [ 'month', 1, 12, [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ] ],
+	dayOfWeek: [ 'day_of_week', 0, 7, [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ] ]
+};
+
+/**
+ * Checks a single cron field
+ * @param  {string} value
+ * @param  {number} min
+ * @param  {number} max
+ * @param  {string[]} [names] Names standing for min, min + 1, ...
+ * @returns {boolean}
+ */
+const isValidField = (value, min, max, names = []) => {
+	const toNumber = (part) => {
+		const index = names.indexOf(part.toLowerCase());
+		if (index !== -1) {
+			return min + index;
+		}
+		return /^\d+$/.test(part) ? Number(part) : NaN;
+	};
+	const inRange = (number) => number >= min && number <= max;
+	return value.split(',').every((item) => {
+		const [ range, step, extra ] = item.split('/');
+		if (extra !== undefined || (step !== undefined && !(/^\d+$/.test(step) && Number(step) > 0))) {
+			return false;
+		}
+		if (range === '*') {
+			return true;
+		}
+		const bounds = range.split('-').map(toNumber);
+		if (bounds.length > 2 || !bounds.every(inRange)) {
+			return false;
+		}
+		return bounds.length === 1 || bounds[0] <= bounds[1];
+	});
+};
+
+/**
+ * Checks the cron fields of a schedule and converts them to what the panel expects
+ * @param  {string|CronFields} cron - Either the five fields as one expression (e.g "0 4 * * *") or separately
+ * @returns {{minute: string, hour: string, day_of_month: string, month: string, day_of_week: string}}
+ * @throws {ValidationError} Naming the invalid field
+ */
+const toCron = (cron) => {
+	let fields = cron;
+	if (typeof cron === 'string') {
+		const parts = cron.trim().split(/\s+/);
+		if (parts.length !== 5) {
+			throw new ValidationError('Cron expression must have 5 fields, got ' + parts.length, { field: 'cron' });
+		}
+		fields = Object.keys(cronFields).reduce((obj, key, index) => ({ ...obj, [key]: parts[index] }), {});
+	}
+	if (fields === null || typeof fields !== 'object') {
+		throw new ValidationError('Cron must be an expression or an Object of fields', { field: 'cron' });
+	}
+	return Object.keys(cronFields).reduce((result, key) => {
+		const [ name, min, max, names ] = cronFields[key];
+		const value = fields[key] === undefined ? '*' : fields[key];
+		if (typeof value !== 'string' && typeof value !== 'number') {
+			throw new ValidationError(key + ' must be a string', { field: name });
+		}
+		if (!isValidField(String(value), min, max, names)) {
+			throw new ValidationError(
+				'Invalid ' + key + ' "' + value + '", expected *, a value from ' + min + ' to ' + max +
+					', a range, a list or a step',
+				{ field: name }
+			);
+		}
+		result[name] = String(value);
+		return result;
+	}, {});
+};
+
+module.exports = { toCron };
@@ -0,0 +1,417 @@
+const { hydrate } = require('../../../includes');
+const { NotFoundError, ValidationError } = require('../../../errors');
+const { poll } = require('../../../wait');
+const { toCron } = require('./cron');
+
+/**
+ * @typedef {Object} Task
+ * @property {number} id
+ * @property {number} sequence_id Order of the task in the schedule
+ * @property {string} action One of "command", "power" or "backup"
+ * @property {string} payload Command, power signal or files left out of the backup
+ * @property {number} time_offset Seconds after the previous task the task runs
+ * @property {boolean} is_queued
+ * @property {boolean} continue_on_failure
+ */
+/**
+ * @typedef {Object} Schedule
+ * @property {number} id
+ * @property {string} name
+ * @property {{minute: string, hour: string, day_of_month: string, month: string, day_of_week: string}} cron
+ * @property {boolean} is_active
+ * @property {boolean} is_processing Whether the schedule is running right now
+ * @property {boolean} only_when_online
+ * @property {?string} last_run_at
+ * @property {?string} next_run_at
+ * @property {Task[]} tasks
+ */
+/**
+ * @typedef {Object} TaskOptions
+ * @property {string} action - One of "command", "power" or "backup"
+ * @property {string|string[]} [payload] - Command to send, power signal, or files to leave out of the backup
+ * @property {number} [timeOffset=0] - Seconds to wait after the previous task, up to 900
+ * @property {boolean} [continueOnFailure=false] - Whether the next tasks run when this one fails
+ */
+
+const taskActions = [ 'command', 'power', 'backup' ];
+const powerSignals = [ 'start', 'stop', 'restart', 'kill' ];
+
+/**
+ * Checks a task and converts it to what the panel expects
+ * @param  {TaskOptions} task
+ * @returns {{action: string, payload: string, time_offset: number, continue_on_failure: boolean}}
+ * @throws {ValidationError}
+ */
+const toTask = ({ action, payload, timeOffset = 0, continueOnFailure = false }) => {
+	if (!taskActions.includes(action)) {
+		throw new ValidationError('Action must be one of ' + taskActions.join(', '), { field: 'action' });
+	}
+	if (action === 'command' && (!payload || typeof payload !== 'string')) {
+		throw new ValidationError('Payload must be the command to send', { field: 'payload' });
+	}
+	if (action === 'power' && !powerSignals.includes(payload)) {
+		throw new ValidationError('Payload must be one of ' + powerSignals.join(', '), { field: 'payload' });
+	}
+	if (action === 'backup') {
+		payload = Array.isArray(payload) ? payload.join('\n') : payload || '';
+		if (typeof payload !== 'string') {
+			throw new ValidationError('Payload must be the files to leave out of the backup', { field: 'payload' });
+		}
+	}
+	if (!Number.isInteger(timeOffset) || timeOffset < 0 || timeOffset > 900) {
+		throw new ValidationError('Time offset must be an integer from 0 to 900', { field: 'time_offset' });
+	}
+	if (typeof continueOnFailure !== 'boolean') {
+		throw new ValidationError('continueOnFailure must be a boolean', { field: 'continue_on_failure' });
+	}
+	return { action, payload, time_offset: timeOffset, continue_on_failure: continueOnFailure };
+};
+
+/**
+ * Checks a schedule and converts it to what the panel expects
+ * @param  {Object} schedule
+ * @returns {Object}
+ * @throws {ValidationError}
+ */
+const toSchedule = ({ name, cron, isActive = true, onlyWhenOnline = false }) => {
+	if (!name || typeof name !== 'string') {
+		throw new ValidationError('Name must be a string', { field: 'name' });
+	}
+	if (typeof isActive !== 'boolean') {
+		throw new ValidationError('isActive must be a boolean', { field: 'is_active' });
+	}
+	if (typeof onlyWhenOnline !== 'boolean') {
+		throw new ValidationError('onlyWhenOnline must be a boolean', { field: 'only_when_online' });
+	}
+	return { name, ...toCron(cron), is_active: isActive, only_when_online: onlyWhenOnline };
+};
+
+/**
+ * Creates the client schedule methods bound to a set of request helpers
+ * @param  {Object} user Request helpers created by `createRequest`
+ * @returns {Object} Schedule methods
+ */
+module.exports = (user) => {
+	const schedulesPath = (identifier, scheduleId) =>
+		'/api/client/servers/' + identifier + '/schedules' + (scheduleId === undefined ? '' : '/' + scheduleId);
+	const checkIds = (identifier, ...ids) => {
+		if (!identifier || typeof identifier !== 'string') {
+			return new ValidationError('Server identifier must be a string', { field: 'identifier' });
+		}
+		const invalid = ids.find(([ id ]) => !Number.isInteger(id));
+		return invalid ? new ValidationError(invalid[1] + ' ID must be an integer', { field: invalid[2] }) : null;
+	};
+	/**
+	 * Runs a conversion that may throw a `ValidationError`, rejecting instead of throwing
+	 * @param  {function(): *} fn
+	 * @returns {Promise<*>}
+	 */
+	const attempt = (fn) => new Promise((resolve) => resolve(fn()));
+
+	/* GET */
+	/**
+	 * Gets the schedules of a server, including their tasks
+	 * @param {string} identifier - Identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Schedule[]>}
+	 */
+	const listSchedules = (identifier, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(schedulesPath(identifier), options)
+				.then((response) => {
+					resolve(response.data.data.map(hydrate));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Schedule>}
+	 */
+	const getSchedule = (identifier, scheduleId, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(schedulesPath(identifier, scheduleId), options)
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Waits until a schedule has finished running its tasks
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {WaitOptions} [options]
+	 * @returns {Promise<Schedule>}
+	 */
+	const waitForSchedule = (identifier, scheduleId, options = {}) =>
+		poll(
+			() =>
+				getSchedule(identifier, scheduleId, { signal: options.signal, cache: false }).then((schedule) => ({
+					done: !schedule.is_processing,
+					value: schedule
+				})),
+			options,
+			'schedule ' + scheduleId
+		);
+
+	/* POST */
+	/**
+	 * Creates a schedule, add its tasks with `createTask`
+	 * @param {string} identifier - Identifier of the server
+	 * @param {Object} schedule
+	 * @param {string} schedule.name - Name of the schedule
+	 * @param {string|CronFields} schedule.cron - When it runs, as an expression (e.g "0 4 * * *") or by field,
+	 * checked before it is sent
+	 * @param {boolean} [schedule.isActive=true] - Whether it runs at all
+	 * @param {boolean} [schedule.onlyWhenOnline=false] - Whether it only runs while the server is running
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Schedule>}
+	 */
+	const createSchedule = (identifier, schedule, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (schedule === null || typeof schedule !== 'object') {
+				return reject(new ValidationError('Schedule must be in an Object', { field: 'schedule' }));
+			}
+			attempt(() => toSchedule(schedule))
+				.then((data) => user.postRequest(schedulesPath(identifier), data, options))
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Changes a schedule. The panel needs every field, so whatever is left out is taken from the schedule
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {Object} changes - Same fields as `createSchedule`, cron fields given by name are merged into
+	 * the current ones (e.g `{ cron: { hour: '5' } }`)
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Schedule>}
+	 */
+	const updateSchedule = (identifier, scheduleId, changes, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (changes === null || typeof changes !== 'object') {
+				return reject(new ValidationError('Changes must be in an Object', { field: 'changes' }));
+			}
+			getSchedule(identifier, scheduleId, { signal: options.signal, cache: false })
+				.then((current) => {
+					const cron = {
+						minute: current.cron.minute,
+						hour: current.cron.hour,
+						dayOfMonth: current.cron.day_of_month,
+						month: current.cron.month,
+						dayOfWeek: current.cron.day_of_week
+					};
+					const data = toSchedule({
+						name: current.name,
+						isActive: current.is_active,
+						onlyWhenOnline: current.only_when_online,
+						...changes,
+						cron: typeof changes.cron === 'string' ? changes.cron : { ...cron, ...changes.cron }
+					});
+					return user.postRequest(schedulesPath(identifier, scheduleId), data, options);
+				})
+				.then((response) => {
+					resolve(hydrate(response.data));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Runs a schedule now, whatever its cron fields say
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule, it has to be active
+	 * @param {boolean|WaitOptions} [waitUntilCompleted=false] - Only resolve once every task has run,
+	 * pass `WaitOptions` to change how long it waits
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}|Schedule>} The schedule after the run when waiting
+	 */
+	const runSchedule = (identifier, scheduleId, waitUntilCompleted = false, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.postRequest(schedulesPath(identifier, scheduleId) + '/execute', {}, options)
+				.then(() => {
+					if (!waitUntilCompleted) {
+						return 'Successfully started the schedule';
+					}
+					const waitOptions = waitUntilCompleted === true ? {} : waitUntilCompleted;
+					// The panel marks the schedule as processing before it answers
+					return waitForSchedule(identifier, scheduleId, { signal: options.signal, ...waitOptions });
+				})
+				.then((result) => {
+					resolve(result);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Adds a task at the end of a schedule
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {TaskOptions} task
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Task>}
+	 */
+	const createTask = (identifier, scheduleId, task, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (task === null || typeof task !== 'object') {
+				return reject(new ValidationError('Task must be in an Object', { field: 'task' }));
+			}
+			attempt(() => toTask(task))
+				.then((data) => user.postRequest(schedulesPath(identifier, scheduleId) + '/tasks', data, options))
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Changes a task. Whatever is left out is taken from the task
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {number} taskId - ID of the task
+	 * @param {Object} changes - Same fields as `TaskOptions`
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Task>}
+	 */
+	const updateTask = (identifier, scheduleId, taskId, changes, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ], [ taskId, 'Task', 'task' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (changes === null || typeof changes !== 'object') {
+				return reject(new ValidationError('Changes must be in an Object', { field: 'changes' }));
+			}
+			getSchedule(identifier, scheduleId, { signal: options.signal, cache: false })
+				.then((schedule) => {
+					const current = schedule.tasks.find((task) => task.id === taskId);
+					if (!current) {
+						throw new NotFoundError('Schedule ' + scheduleId + ' has no task ' + taskId);
+					}
+					const data = toTask({
+						action: current.action,
+						payload: current.payload,
+						timeOffset: current.time_offset,
+						continueOnFailure: current.continue_on_failure,
+						...changes
+					});
+					return user.postRequest(schedulesPath(identifier, scheduleId) + '/tasks/' + taskId, data, options);
+				})
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* DELETE */
+	/**
+	 * Deletes a schedule and its tasks
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteSchedule = (identifier, scheduleId, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.deleteRequest(schedulesPath(identifier, scheduleId), options)
+				.then(() => {
+					resolve('Successfully deleted the schedule');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {number} scheduleId - ID of the schedule
+	 * @param {number} taskId - ID of the task
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteTask = (identifier, scheduleId, taskId, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIds(identifier, [ scheduleId, 'Schedule', 'schedule' ], [ taskId, 'Task', 'task' ]);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.deleteRequest(schedulesPath(identifier, scheduleId) + '/tasks/' + taskId, options)
+				.then(() => {
+					resolve('Successfully deleted the task');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	return {
+		//get
+		listSchedules,
+		getSchedule,
+		waitForSchedule,
+		//post
+		createSchedule,
+		updateSchedule,
+		runSchedule,
+		createTask,
+		updateTask,
+		//delete
+		deleteSchedule,
+		deleteTask
+	};
+};
@@ -0,0 +1,193 @@
+const { paginate, fetchAll } = require('../../../paginate');
+const { ValidationError } = require('../../../errors');
+
+/**
+ * @typedef {Object} ClientServer
+ * @property {boolean} server_owner Whether the API key owns the server
+ * @property {string} identifier Short identifier of the server
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} node Node name of the server
+ * @property {Object} sftp_details
+ * @property {string} description
+ * @property {Object} limits
+ * @property {Object} feature_limits
+ * @property {boolean} is_suspended
+ * @property {boolean} is_installing
+ */
+/**
+ * @typedef {Object} Resources
+ * @property {number} memory_bytes
+ * @property {number} cpu_absolute
+ * @property {number} disk_bytes
+ * @property {number} network_rx_bytes
+ * @property {number} network_tx_bytes
+ */
+/**
+ * @typedef {Object} ResourceUsage
+ * @property {string} current_state Power state of the server (e.g "running")
+ * @property {boolean} is_suspended
+ * @property {Resources} resources
+ */
+
+const powerSignals = [ 'start', 'stop', 'restart', 'kill' ];
+
+/**
+ * Creates the client server methods bound to a set of request helpers
+ * @param  {Object} user Request helpers created by `createRequest`
+ * @returns {Object} Client server methods
+ */
+module.exports = (user) => {
+	const serverPath = (identifier, suffix = '') => '/api/client/servers/' + encodeURIComponent(identifier) + suffix;
+
+	/**
+	 * Gets a list of all servers the API key has access to
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{servers: ClientServer[], pagination: Pagination}>}
+	 */
+	const getServers = (options) => {
+		return new Promise((resolve, reject) => {
+			user
+				.getRequest('/api/client', options)
+				.then((response) => {
+					resolve({
+						servers: response.data.data.map((data) => data.attributes),
+						pagination: response.data.meta.pagination
+					});
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Lazily iterates over all servers the API key has access to, following every page
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of servers per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {AsyncGenerator<ClientServer>}
+	 */
+	const iterateServers = (options) => paginate(user, '/api/client', options);
+	/**
+	 * Gets all servers the API key has access to from every page
+	 * @param {Object} [options]
+	 * @param {number} [options.per_page] - Amount of servers per page
+	 * @param {number} [options.maxPages=Infinity] - Maximum amount of pages to fetch
+	 * @param {RequestOptions} [options.options] - Also accepts any `RequestOptions`, such as `timeout` or `signal`
+	 * @returns {Promise<ClientServer[]>}
+	 */
+	const fetchAllServers = (options) => fetchAll(user, '/api/client', options);
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<ClientServer>}
+	 */
+	const getServer = (identifier, options) => {
+		return new Promise((resolve, reject) => {
+			if (!identifier || typeof identifier !== 'string') {
+				return reject(new ValidationError('Server identifier must be a string', { field: 'identifier' }));
+			}
+			user
+				.getRequest(serverPath(identifier), options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<ResourceUsage>}
+	 */
+	const getServerResources = (identifier, options) => {
+		return new Promise((resolve, reject) => {
+			if (!identifier || typeof identifier !== 'string') {
+				return reject(new ValidationError('Server identifier must be a string', { field: 'identifier' }));
+			}
+			user
+				.getRequest(serverPath(identifier, '/resources'), options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* POST */
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} signal - One of "start", "stop", "restart" or "kill"
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const sendPowerSignal = (identifier, signal, options) => {
+		return new Promise((resolve, reject) => {
+			if (!identifier || typeof identifier !== 'string') {
+				return reject(new ValidationError('Server identifier must be a string', { field: 'identifier' }));
+			}
+			if (!powerSignals.includes(signal)) {
+				return reject(
+					new ValidationError('Power signal must be one of ' + powerSignals.join(', '), { field: 'signal' })
+				);
+			}
+			user
+				.postRequest(serverPath(identifier, '/power'), { signal }, options)
+				.then(() => {
+					resolve('Successfully sent the ' + signal + ' signal to the server');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} command - Command to run in the server console
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const sendCommand = (identifier, command, options) => {
+		return new Promise((resolve, reject) => {
+			if (!identifier || typeof identifier !== 'string') {
+				return reject(new ValidationError('Server identifier must be a string', { field: 'identifier' }));
+			}
+			if (!command || typeof command !== 'string') {
+				return reject(new ValidationError('Command must be a string', { field: 'command' }));
+			}
+			user
+				.postRequest(serverPath(identifier, '/command'), { command }, options)
+				.then(() => {
+					resolve('Successfully sent the command to the server');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	return {
+		//get
+		getServers,
+		iterateServers,
+		fetchAllServers,
+		getServer,
+		getServerResources,
+		//post
+		sendPowerSignal,
+		startServer: (identifier, options) => sendPowerSignal(identifier, 'start', options),
+		stopServer: (identifier, options) => sendPowerSignal(identifier, 'stop', options),
+		restartServer: (identifier, options) => sendPowerSignal(identifier, 'restart', options),
+		killServer: (identifier, options) => sendPowerSignal(identifier, 'kill', options),
+		sendCommand
+	};
+};
@@ -0,0 +1,222 @@
+const { NotFoundError, ValidationError } = require('../../../errors');
+const { resolvePermissions, permissionCatalog } = require('./permissions');
+
+/**
+ * @typedef {Object} Subuser
+ * @property {string} uuid
+ * @property {string} username
+ * @property {string} email
+ * @property {string} image Gravatar of the user
+ * @property {boolean} 2fa_enabled
+ * @property {string} created_at
+ * @property {Permission[]} permissions
+ */
+
+/**
+ * Creates the client subuser methods bound to a set of request helpers
+ * @param  {Object} user Request helpers created by `createRequest`
+ * @returns {Object} Subuser methods
+ */
+module.exports = (user) => {
+	// Permissions are checked against the built-in catalog until the panel's one has been fetched
+	let catalog = permissionCatalog;
+
+	const usersPath = (identifier, uuid = '') =>
+		'/api/client/servers/' + identifier + '/users' + (uuid ? '/' + uuid : '');
+	const isEmail = (value) => /^[^\s@]+@[^\s@]+$/.test(value);
+	const checkIdentifier = (identifier) =>
+		!identifier || typeof identifier !== 'string'
+			? new ValidationError('Server identifier must be a string', { field: 'identifier' })
+			: null;
+	const checkSubuser = (subuser) =>
+		!subuser || typeof subuser !== 'string'
+			? new ValidationError('Subuser must be a UUID or an email address', { field: 'subuser' })
+			: null;
+	const checkPermissions = (permissions) => {
+		try {
+			return { permissions: resolvePermissions(permissions, catalog) };
+		} catch (error) {
+			return { invalid: error };
+		}
+	};
+
+	/* GET */
+	/**
+	 * Gets the permissions the panel knows, used to check permissions from then on
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<PermissionCatalog>}
+	 */
+	const getPermissionCatalog = (options) => {
+		return new Promise((resolve, reject) => {
+			user
+				.getRequest('/api/client/permissions', options)
+				.then((response) => {
+					catalog = response.data.attributes.permissions;
+					resolve(catalog);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Gets the subusers of a server
+	 * @param {string} identifier - Identifier of the server
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Subuser[]>}
+	 */
+	const listSubusers = (identifier, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			user
+				.getRequest(usersPath(identifier), options)
+				.then((response) => {
+					resolve(response.data.data.map((data) => data.attributes));
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 *
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} subuser - UUID or email address of the subuser
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Subuser>}
+	 */
+	const getSubuser = (identifier, subuser, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkSubuser(subuser);
+			if (invalid) {
+				return reject(invalid);
+			}
+			const lookup = isEmail(subuser)
+				? listSubusers(identifier, options).then((subusers) => {
+					const found = subusers.find((item) => item.email.toLowerCase() === subuser.toLowerCase());
+					if (!found) {
+						throw new NotFoundError('Server ' + identifier + ' has no subuser ' + subuser);
+					}
+					return found;
+				})
+				: user.getRequest(usersPath(identifier, subuser), options).then((response) => response.data.attributes);
+			lookup
+				.then((found) => {
+					resolve(found);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	// Looks the subuser up when given an email address, only the UUID is part of the endpoints
+	const toUuid = (identifier, subuser, options) =>
+		isEmail(subuser)
+			? getSubuser(identifier, subuser, { signal: options.signal, cache: false }).then((found) => found.uuid)
+			: Promise.resolve(subuser);
+
+	/* POST */
+	/**
+	 * Adds a subuser to a server, the panel invites the email address when it has no account yet
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} email - Email address of the subuser
+	 * @param {string|string[]} permissions - Preset name ("read-only", "operator" or "full"), or permissions,
+	 * `group.*` wildcards and preset names
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Subuser>}
+	 */
+	const createSubuser = (identifier, email, permissions, options) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier);
+			if (invalid) {
+				return reject(invalid);
+			}
+			if (typeof email !== 'string' || !isEmail(email)) {
+				return reject(new ValidationError('Email must be an email address', { field: 'email' }));
+			}
+			const checked = checkPermissions(permissions);
+			if (checked.invalid) {
+				return reject(checked.invalid);
+			}
+			user
+				.postRequest(usersPath(identifier), { email, permissions: checked.permissions }, options)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+	/**
+	 * Replaces the permissions of a subuser
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} subuser - UUID or email address of the subuser
+	 * @param {string|string[]} permissions - Same as `createSubuser`
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<Subuser>}
+	 */
+	const updateSubuser = (identifier, subuser, permissions, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkSubuser(subuser);
+			if (invalid) {
+				return reject(invalid);
+			}
+			const checked = checkPermissions(permissions);
+			if (checked.invalid) {
+				return reject(checked.invalid);
+			}
+			toUuid(identifier, subuser, options)
+				.then((id) =>
+					user.postRequest(usersPath(identifier, id), { permissions: checked.permissions }, options)
+				)
+				.then((response) => {
+					resolve(response.data.attributes);
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	/* DELETE */
+	/**
+	 * Removes a subuser from a server, their account stays
+	 * @param {string} identifier - Identifier of the server
+	 * @param {string} subuser - UUID or email address of the subuser
+	 * @param {RequestOptions} [options]
+	 * @returns {Promise<{message: string}>}
+	 */
+	const deleteSubuser = (identifier, subuser, options = {}) => {
+		return new Promise((resolve, reject) => {
+			const invalid = checkIdentifier(identifier) || checkSubuser(subuser);
+			if (invalid) {
+				return reject(invalid);
+			}
+			toUuid(identifier, subuser, options)
+				.then((id) => user.deleteRequest(usersPath(identifier, id), options))
+				.then(() => {
+					resolve('Successfully removed the subuser');
+				})
+				.catch((error) => {
+					reject(error);
+				});
+		});
+	};
+
+	return {
+		//get
+		getPermissionCatalog,
+		listSubusers,
+		getSubuser,
+		//post
+		createSubuser,
+		updateSubuser,
+		//delete
+		deleteSubuser
+	};
+};
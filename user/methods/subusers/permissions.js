@@ -0,0 +1,208 @@
+const { ValidationError } = require('../../../errors');
+
+/**
+ * A permission key of the panel, `group.key`
+ * @typedef {'websocket.connect'|'control.console'|'control.start'|'control.stop'|'control.restart'|
+ * 'user.create'|'user.read'|'user.update'|'user.delete'|'file.create'|'file.read'|'file.read-content'|
+ * 'file.update'|'file.delete'|'file.archive'|'file.sftp'|'backup.create'|'backup.read'|'backup.delete'|
+ * 'backup.download'|'backup.restore'|'allocation.read'|'allocation.create'|'allocation.update'|'allocation.delete'|
+ * 'startup.read'|'startup.update'|'startup.docker-image'|'database.create'|'database.read'|'database.update'|
+ * 'database.delete'|'database.view_password'|'schedule.create'|'schedule.read'|'schedule.update'|
+ * 'schedule.delete'|'settings.rename'|'settings.reinstall'|'activity.read'} Permission
+ */
+/**
+ * Permissions grouped the way the panel's `/api/client/permissions` returns them
+ * @typedef {Object<string, {description: string, keys: Object<string, string>}>} PermissionCatalog
+ */
+
+/**
+ * Permissions of Pterodactyl 1.x, used to check permissions without asking the panel
+ * @type {PermissionCatalog}
+ */
+const permissionCatalog = {
+	websocket: {
+		description: 'Connecting to the websocket of the server, to see its console and live stats.',
+		keys: { connect: 'Connect to the websocket of the server.' }
+	},
+	control: {
+		description: 'Controlling the power state of the server and sending commands.',
+		keys: {
+			console: 'Send commands to the server console.',
+			start: 'Start the server when it is stopped.',
+			stop: 'Stop the server when it is running.',
+			restart: 'Restart the server.'
+		}
+	},
+	user: {
+		description: 'Managing the subusers of the server.',
+		keys: {
+			create: 'Add subusers.',
+			read: 'See the subusers and their permissions.',
+			update: 'Change the permissions of subusers.',
+			delete: 'Remove subusers.'
+		}
+	},
+	file: {
+		description: 'Managing the files of the server.',
+		keys: {
+			create: 'Create files and upload them.',
+			read: 'List directories.',
+			'read-content': 'Read and download files.',
+			update: 'Change and rename files.',
+			delete: 'Delete files.',
+			archive: 'Compress and decompress files.',
+			sftp: 'Connect over SFTP, with the other file permissions.'
+		}
+	},
+	backup: {
+		description: 'Managing the backups of the server.',
+		keys: {
+			create: 'Create backups.',
+			read: 'List backups.',
+			delete: 'Delete backups.',
+			download: 'Download backups.',
+			restore: 'Restore backups, which may delete every file of the server.'
+		}
+	},
+	allocation: {
+		description: 'Managing the network allocations of the server.',
+		keys: {
+			read: 'See the allocations.',
+			create: 'Add allocations.',
+			update: 'Change the primary allocation and notes.',
+			delete: 'Remove allocations.'
+		}
+	},
+	startup: {
+		description: 'Managing the startup parameters of the server.',
+		keys: {
+			read: 'See the startup variables.',
+			update: 'Change the startup variables.',
+			'docker-image': 'Change the docker image.'
+		}
+	},
+	database: {
+		description: 'Managing the databases of the server.',
+		keys: {
+			create: 'Create databases.',
+			read: 'List databases.',
+			update: 'Rotate database passwords.',
+			delete: 'Delete databases.',
+			view_password: 'See database passwords.'
+		}
+	},
+	schedule: {
+		description: 'Managing the schedules of the server.',
+		keys: {
+			create: 'Create schedules.',
+			read: 'See schedules and their tasks.',
+			update: 'Change schedules and tasks, and run them.',
+			delete: 'Delete schedules.'
+		}
+	},
+	settings: {
+		description: 'Changing the settings of the server.',
+		keys: {
+			rename: 'Rename the server.',
+			reinstall: 'Reinstall the server.'
+		}
+	},
+	activity: {
+		description: 'Seeing the activity log of the server.',
+		keys: { read: 'See the activity log.' }
+	}
+};
+
+/**
+ * Flattens a catalog to its permission keys
+ * @param  {PermissionCatalog} catalog
+ * @returns {Permission[]}
+ */
+const catalogKeys = (catalog) =>
+	Object.keys(catalog).reduce(
+		(keys, group) => keys.concat(Object.keys(catalog[group].keys).map((key) => group + '.' + key)),
+		[]
+	);
+
+// Keeps the order of the catalog, which is also the order permissions come back in
+const inCatalogOrder = (keys) => catalogKeys(permissionCatalog).filter((key) => keys.includes(key));
+
+const readOnly = [
+	'websocket.connect',
+	'user.read',
+	'file.read',
+	'file.read-content',
+	'backup.read',
+	'allocation.read',
+	'startup.read',
+	'database.read',
+	'schedule.read',
+	'activity.read'
+];
+
+/**
+ * Sets of permissions for common roles, usable wherever permissions are expected
+ * @type {Object<string, Permission[]>}
+ */
+const permissionPresets = {
+	// Watches the console and looks around without changing anything
+	'read-only': inCatalogOrder(readOnly),
+	// Runs the server day to day: power, console, files, backups and schedules, but no subusers,
+	// databases, allocations, startup or settings
+	operator: inCatalogOrder([
+		...readOnly,
+		'control.console',
+		'control.start',
+		'control.stop',
+		'control.restart',
+		'file.create',
+		'file.update',
+		'file.delete',
+		'file.archive',
+		'file.sftp',
+		'backup.create',
+		'backup.download',
+		'schedule.create',
+		'schedule.update'
+	]),
+	// Everything the owner can do
+	full: catalogKeys(permissionCatalog)
+};
+
+/**
+ * Checks permissions and expands presets and `group.*` wildcards
+ * @param  {string|string[]} permissions Preset name, or permission keys, wildcards and preset names
+ * @param  {PermissionCatalog} [catalog] Catalog to check against, the built-in one by default
+ * @returns {Permission[]} Every permission once, in the order of the catalog
+ * @throws {ValidationError} Naming the unknown permissions
+ */
+const resolvePermissions = (permissions, catalog = permissionCatalog) => {
+	const list = typeof permissions === 'string' ? [ permissions ] : permissions;
+	if (!Array.isArray(list) || !list.length || list.some((permission) => typeof permission !== 'string')) {
+		throw new ValidationError('Permissions must be a preset name or a non-empty array of permissions', {
+			field: 'permissions'
+		});
+	}
+	const known = catalogKeys(catalog);
+	const unknown = [];
+	const wanted = new Set();
+	list.forEach((permission) => {
+		let keys = [ permission ];
+		if (Object.prototype.hasOwnProperty.call(permissionPresets, permission)) {
+			keys = permission === 'full' ? known : permissionPresets[permission];
+		} else if (permission.endsWith('.*')) {
+			const group = permission.slice(0, -1);
+			keys = known.filter((key) => key.startsWith(group));
+		}
+		if (!keys.length || keys.some((key) => !known.includes(key))) {
+			unknown.push(permission);
+		}
+		keys.forEach((key) => wanted.add(key));
+	});
+	if (unknown.length) {
+		throw new ValidationError('Unknown permissions: ' + unknown.join(', '), { field: 'permissions' });
+	}
+	return known.filter((key) => wanted.has(key));
+};
+
+module.exports = { permissionCatalog, permissionPresets, resolvePermissions, catalogKeys };
@@ -0,0 +1,71 @@
+const { TimeoutError, AbortError } = require('./errors');
+
+/**
+ * Resolves after the given amount of milliseconds, or rejects as soon as the signal is aborted
+ * @param  {number} ms
+ * @param  {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const abortableSleep = (ms, signal) =>
+	new Promise((resolve, reject) => {
+		if (signal && signal.aborted) {
+			return reject(new AbortError('The operation was aborted'));
+		}
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(new AbortError('The operation was aborted'));
+		};
+		const timer = setTimeout(() => {
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+			resolve();
+		}, ms);
+		if (signal) {
+			signal.addEventListener('abort', onAbort, { once: true });
+		}
+	});
+
+/**
+ * @typedef {Object} WaitOptions
+ * @property {number} [timeout=300000] Milliseconds to wait before rejecting with a `TimeoutError`
+ * @property {number} [interval=2000] Milliseconds between the first checks, grows by `factor` after every check
+ * @property {number} [maxInterval=30000] Maximum milliseconds between two checks
+ * @property {number} [factor=1.5] How much the interval grows after every check
+ * @property {AbortSignal} [signal] Rejects with an `AbortError` once aborted
+ */
+
+/**
+ * Calls `check` with backoff until it reports it is done
+ * @param  {function(): Promise<{done: boolean, value: *}>} check
+ * @param  {WaitOptions} [options]
+ * @param  {string} [description='the condition'] What is being waited for, used in the timeout message
+ * @returns {Promise<*>} The value of the check that was done
+ */
+const poll = async (
+	check,
+	{ timeout = 300000, interval = 2000, maxInterval = 30000, factor = 1.5, signal } = {},
+	description = 'the condition'
+) => {
+	const start = Date.now();
+	let wait = interval;
+	let last;
+	for (;;) {
+		if (signal && signal.aborted) {
+			throw new AbortError('The operation was aborted');
+		}
+		const result = await check();
+		if (result.done) {
+			return result.value;
+		}
+		last = result.value;
+		const remaining = timeout - (Date.now() - start);
+		if (remaining <= 0) {
+			throw new TimeoutError('Timed out after ' + timeout + 'ms waiting for ' + description, { timeout, last });
+		}
+		await abortableSleep(Math.min(wait, remaining), signal);
+		wait = Math.min(wait * factor, maxInterval);
+	}
+};
+
+module.exports = { poll, abortableSleep };